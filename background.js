@@ -1,33 +1,824 @@
-// This script runs in the background
+// This script runs in the background.
+// It owns the analysis pipeline (extraction + AI), so closing the popup
+// mid-request no longer throws the work away. The popup, popout and context
+// menu start jobs and subscribe to their progress through runtime messages:
+//   { action: "startAnalysis", tabId, text?, ocr?, password?, review?, extracted? } -> { job }
+//       (text = selected text, ocr = read the page's images, password = open password of an encrypted PDF,
+//       review = stop after extracting a web page so the user can check the text (status 'review'),
+//       extracted = {text, blocks, selector?}: analyze this reviewed page text instead of extracting it again;
+//       selector: save it as the site's extraction rule, see common/siterules.js)
+//   { action: "analyzePickedElement", text, blocks, selector, label } -> { job }  (from the content script: the block
+//       the user picked on the page, see content_scripts/picker.js; analyzed like reviewed page text, and its
+//       selector saved as the site's extraction rule)
+//   { action: "importFile", tabId, name, data, password? } -> { job }  (a local file's bytes; tabId = the popout showing it)
+//   { action: "getJob", tabId }                -> { job }   (null if none)
+//   { action: "watchPolicy" | "unwatchPolicy", tabId } -> { job }  (watch the job's page for changes)
+//   { action: "recheckWatched" }               -> { checked, changed }  (re-check watched policies now)
+//   { action: "exportAnnotatedPdf", tabId?, result, data?, password? } -> { data, highlighted }  (a copy of the result's PDF
+//       with its clauses highlighted, see common/annotate.js; data = the PDF's bytes when the caller has them, e.g. an imported file;
+//       password = the open password the PDF was analyzed with)
+//   { action: "frameTerms", token, frameId, terms }  (from the content script in a frame: its terms, relayed to
+//       frame frameId of the tab, the one that asked, see requestFrameTerms() in common/extract.js)
+//   broadcast: { action: "jobUpdate", job }    whenever a job changes
 browser.runtime.onInstalled.addListener(() => {
   console.log('LegalEyes extension installed');
-  
+
   // Create context menu item
   browser.contextMenus.create({
     id: "summarize-selection",
     title: "Summarize Selected Text",
     contexts: ["selection"]
   });
-  
-  // Check if API key is set
-  browser.storage.local.get('apiKey', function(result) {
-    if (!result.apiKey) {
+
+  scheduleRecheck().catch(error => console.error("Could not schedule the re-checks:", error));
+
+  // Check if the selected AI provider is configured (API key set if required)
+  loadProviderSettings().then(function(settings) {
+    if (!isProviderConfigured(settings)) {
       // Open the options page to prompt for API key
       browser.runtime.openOptionsPage();
     }
   });
 });
 
+// --- Analysis Jobs ---
+
+/**
+ * Analysis jobs keyed by tab ID (at most one per tab).
+ * Job shape: { id, tabId, url, title, source ('html' | 'pdf' | 'selection' | 'file'),
+ *   pdfUrl (where the PDF was read from; differs from url for PDFs embedded in a page),
+ *   status ('extracting' | 'review' | 'analyzing' | 'done' | 'error'), progress ({part, total, stage?: 'ocr'} | null),
+ *   extraction (in 'review': {choices}, the extracted text and the runner-up candidates, each with
+ *   its strategy, confidence, length, preview, text and blocks; see extractTermsStructure()),
+ *   result, error (user-facing message), passwordNeeded ('required' | 'incorrect' | null: the PDF
+ *   needs an open password, see common/pdf.js), ocrAvailable (images on the page that OCR could read,
+ *   when the page had no usable text), foundOnPage (clause indices highlighted in the tab),
+ *   historyId (the saved history record, see common/history.js), watched (the page is a watched
+ *   policy, see common/changes.js), startedAt, finishedAt }
+ * Snapshots are mirrored to storage.session so a restarted background page can
+ * still show finished jobs.
+ */
+const jobs = new Map();
+let nextJobId = 1;
+
+/** Interval that keeps the event page alive while a job is running. */
+let keepAliveTimer = null;
+
+/**
+ * Whether a job is still working.
+ * @param {object} job
+ * @returns {boolean}
+ */
+function isJobRunning(job) {
+  return job.status === 'extracting' || job.status === 'analyzing';
+}
+
+/**
+ * Applies changes to a job, persists it and notifies any open popup/popout.
+ * @param {object} job - The job to update (modified in place).
+ * @param {object} changes - Fields to change.
+ */
+function updateJob(job, changes) {
+  Object.assign(job, changes);
+  const snapshot = { ...job };
+  browser.storage.session.set({ [`job-${job.tabId}`]: snapshot })
+    .catch(error => console.warn("Could not persist job state:", error));
+  browser.runtime.sendMessage({ action: "jobUpdate", job: snapshot })
+    .catch(() => { /* No popup or popout is listening; that's fine */ });
+  updateKeepAlive();
+}
+
+/**
+ * Firefox unloads idle event pages; pinging an extension API keeps the
+ * background alive while long AI requests are in flight.
+ */
+function updateKeepAlive() {
+  const anyRunning = recheckRunning || [...jobs.values()].some(isJobRunning);
+  if (anyRunning && !keepAliveTimer) {
+    keepAliveTimer = setInterval(() => browser.runtime.getPlatformInfo(), 20000);
+  } else if (!anyRunning && keepAliveTimer) {
+    clearInterval(keepAliveTimer);
+    keepAliveTimer = null;
+  }
+}
+
+/**
+ * Returns the job for a tab, restoring it from storage.session if the
+ * background page was restarted. Jobs that were interrupted by the restart
+ * are reported as failed.
+ * @param {number} tabId
+ * @returns {Promise<object|null>}
+ */
+async function getJob(tabId) {
+  if (jobs.has(tabId)) return jobs.get(tabId);
+  const key = `job-${tabId}`;
+  const stored = (await browser.storage.session.get(key))[key];
+  if (!stored) return null;
+  jobs.set(tabId, stored);
+  if (isJobRunning(stored)) {
+    updateJob(stored, { status: 'error', error: "The analysis was interrupted. Please try again.", progress: null });
+  }
+  return stored;
+}
+
+/**
+ * Starts analyzing a tab (or text selected in it). If a job is already
+ * running for the tab, that job is returned instead of starting another.
+ * Synchronous up to the point the work starts, so callers handling a user
+ * action (the context menu) can still open the popup afterwards.
+ * @param {{id: number, url: string, title: string}} tab - The tab to analyze.
+ * @param {string} [selectionText] - Analyze this text instead of extracting the page.
+ * @param {{ocr?: boolean, password?: string, review?: boolean, extracted?: {text: string, blocks?: object[], selector?: string, picked?: boolean},
+ *   file?: {name: string, data: ArrayBuffer, password?: string}}} [options]
+ *   ocr: read the text from the page's images instead; password: the open password of an encrypted PDF;
+ *   review: stop after extracting a web page's text, for the user to check it (status 'review');
+ *   extracted: the page text the user checked (and maybe picked or edited), analyzed as is; with a
+ *   `selector`, the block it came from is remembered for the site (`picked`: with the element picker);
+ *   file: analyze this imported file (the job belongs to the tab showing it). Passwords are never stored.
+ * @returns {object} - The job.
+ */
+function startAnalysis(tab, selectionText, options = {}) {
+  const existing = jobs.get(tab.id);
+  if (existing && isJobRunning(existing)) {
+    console.log(`Job ${existing.id} already running for tab ${tab.id}.`);
+    return existing;
+  }
+
+  const job = {
+    id: nextJobId++,
+    tabId: tab.id,
+    url: options.file ? '' : tab.url,
+    title: options.file ? options.file.name : tab.title,
+    source: selectionText ? 'selection' : (options.file ? 'file' : 'html'),
+    status: 'extracting',
+    progress: null,
+    result: null,
+    pdfUrl: null,
+    extraction: null,
+    error: null,
+    passwordNeeded: null,
+    ocrAvailable: 0,
+    foundOnPage: [],
+    historyId: null,
+    watched: false,
+    startedAt: Date.now(),
+    finishedAt: null
+  };
+  jobs.set(tab.id, job);
+  updateJob(job, {});
+  console.log(`Starting job ${job.id} for tab ${tab.id} (${job.source}).`);
+  runJob(job, selectionText, options);
+  return job;
+}
+
+/**
+ * Runs a job: extract the text (HTML via the content script or OCR of its
+ * images, PDF via PDF.js with OCR for scanned pages), analyze it, and
+ * highlight the clauses in the page.
+ * @param {object} job
+ * @param {string} [selectionText]
+ * @param {{ocr?: boolean, password?: string, review?: boolean, extracted?: object, file?: object}} [options] - See startAnalysis().
+ */
+async function runJob(job, selectionText, options = {}) {
+  const onOcrProgress = (part, total) => updateJob(job, { progress: { part, total, stage: 'ocr' } });
+  try {
+    let extractedText = null;
+    let pageOffsets = null; // PDFs: where each page starts in the text (page references)
+    let structure = {}; // Bookmarks or headings, for the document outline (common/outline.js)
+
+    if (selectionText) {
+      extractedText = selectionText;
+    } else if (options.file) {
+      // --- Handle an imported file (common/files.js) ---
+      const file = await getTextFromFile(options.file.name, options.file.data, onOcrProgress, options.file.password);
+      console.log(`Read ${file.type} file ${options.file.name}.`);
+      extractedText = file.text;
+      pageOffsets = file.pageOffsets || null;
+      structure = { pdfOutline: file.pdfOutline, headings: file.headings };
+      if (typeof extractedText !== 'string' || extractedText.length <= 100) {
+        throw new Error("Couldn't find sufficient text content in the file.");
+      }
+    } else if (options.extracted) {
+      // --- Page text the user checked in the popup (another candidate, or edited) or picked on the page ---
+      extractedText = options.extracted.text;
+      structure = { headings: listBlockHeadings(options.extracted.blocks) };
+      if (typeof extractedText !== 'string' || extractedText.trim().length <= 100) {
+        throw new Error("The text to analyze is too short.");
+      }
+      if (options.extracted.selector) {
+        // Next time, extraction on this site starts with the block the user chose (common/siterules.js)
+        await saveSiteRuleForPage(job.url, options.extracted.selector, options.extracted.picked ? 'picked' : 'confirmed')
+          .catch(error => console.warn("Could not save the site rule:", error.message));
+      }
+    } else {
+      // --- >>> PDF Detection Logic (common/detect.js) <<< ---
+      const pdf = await detectPdfInTab(job.tabId, job.url);
+      const isPdf = Boolean(pdf);
+      console.log("Is PDF?", isPdf, pdf ? pdf.url : '');
+
+      if (isPdf) {
+        // --- Handle PDF ---
+        console.log("Handling as PDF...");
+        updateJob(job, { source: 'pdf', pdfUrl: pdf.url });
+        const pdfText = await getTextFromPdfData(await fetchPdfData(job.tabId, pdf.url), onOcrProgress, options.password);
+        extractedText = pdfText?.text;
+        pageOffsets = pdfText?.pageOffsets || null;
+        structure = { pdfOutline: pdfText?.outline };
+      } else if (options.ocr) {
+        // --- Handle HTML terms published as images ---
+        extractedText = await getTextFromPageImages(job.tabId, onOcrProgress);
+      } else {
+        // --- Handle HTML ---
+        console.log("Handling as HTML. Sending extractTC message to content script");
+        const siteRule = await findSiteRule(job.url);
+        const response = await browser.tabs.sendMessage(job.tabId, { action: "extractTC", siteRule });
+        if (response && response.error) {
+          throw new Error(`Error during HTML extraction: ${response.error}`);
+        }
+        extractedText = response?.text; // Use the text from the content script
+        structure = { headings: listBlockHeadings(response?.blocks) };
+        if (response?.extraction) {
+          console.log(`Page text found by ${response.extraction.strategy} (${response.extraction.label}), confidence ${response.extraction.confidence}.`);
+        }
+        if (options.review && response?.extraction && typeof extractedText === 'string' && extractedText.length > 100) {
+          // Let the user check the text, or pick another part of the page, before anything is sent to the AI
+          const { candidates, ...chosen } = response.extraction;
+          const choices = [{ ...chosen, text: extractedText, blocks: response.blocks }, ...(candidates || [])];
+          updateJob(job, { status: 'review', extraction: { choices }, progress: null, finishedAt: Date.now() });
+          return;
+        }
+      }
+
+      if (typeof extractedText !== 'string' || extractedText.length <= 100) {
+        console.log("No substantial text extracted from", isPdf ? "PDF" : "HTML page");
+        if (!isPdf && !options.ocr) {
+          // The terms may be pictures of text; let the user opt into OCR
+          const images = await findPageTextImages(job.tabId);
+          if (images.length > 0) {
+            updateJob(job, { ocrAvailable: images.length });
+            throw new Error(`Couldn't find sufficient text content on the page, but it has ${images.length} ${images.length === 1 ? 'image' : 'images'} that may contain the terms. Use "Read Text from Images" to read them with OCR (on this device).`);
+          }
+        }
+        throw new Error(`Couldn't find sufficient text content on the ${isPdf ? 'PDF' : (options.ocr ? 'page images' : 'page')}.`);
+      }
+    }
+
+    // --- Process (Common Logic) ---
+    console.log(`Got text (length: ${extractedText.length}). Processing with AI...`);
+    updateJob(job, { status: 'analyzing', progress: null });
+    const onProgress = (part, total) => updateJob(job, { progress: { part, total } });
+    const policy = job.source === 'html' || job.source === 'pdf' ? await getWatchedPolicy(policyUrl(job.url)) : null;
+    const previous = policy ? await getLatestVersion(policy.url) : null;
+    const hash = await hashDocumentText(extractedText);
+    const outline = buildDocumentOutline(extractedText, { ...structure, pageOffsets });
+    let result;
+    if (previous && previous.hash === hash) {
+      // Watched policy, unchanged since the last version: no need to ask the AI again
+      console.log(`Watched policy unchanged since version ${previous.id}.`);
+      result = { ...previous.result, changes: { previousVersionId: previous.id, previousCapturedAt: previous.capturedAt, unchanged: true } };
+    } else if (previous) {
+      console.log(`Watched policy changed since version ${previous.id}; analyzing the changed sections.`);
+      result = await analyzeChangedVersion(previous, extractedText, onProgress);
+    } else {
+      result = await processWithAI(extractedText, onProgress, outline);
+    }
+    if (pageOffsets) addPageReferences(result.concerningClauses, extractedText, pageOffsets);
+    attachDocumentOutline(result, outline, extractedText, { pageOffsets, previousOutline: previous?.result?.outline });
+    if (job.source === 'pdf') result.pdfUrl = job.pdfUrl.split('#')[0]; // Page references link to it
+
+    const foundOnPage = job.source === 'html' ? await highlightClausesInTab(job.tabId, result) : [];
+    const historyId = await saveJobToHistory(job, extractedText, result);
+    if (policy) await recordPolicyVersion(policy, previous, extractedText, hash, result, historyId);
+    updateJob(job, { status: 'done', result, foundOnPage, historyId, watched: Boolean(policy), progress: null, finishedAt: Date.now() });
+    console.log(`Job ${job.id} finished with ${result.concerningClauses.length} clauses.`);
+
+  } catch (error) {
+    // Catch errors from PDF handling, HTML handling, AI processing, etc.
+    console.error(`Job ${job.id} failed:`, error);
+    updateJob(job, {
+      status: 'error',
+      error: describeAnalysisError(error, job.source),
+      passwordNeeded: error.pdfPassword || null,
+      progress: null,
+      finishedAt: Date.now()
+    });
+  }
+}
+
+/**
+ * Downloads a PDF for analysis. blob: URLs (and PDFs the extension is refused)
+ * are fetched by the content script of the page that shows or embeds them,
+ * with the page's own origin and cookies.
+ * @param {number} tabId
+ * @param {string} url
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function fetchPdfData(tabId, url) {
+  if (/^file:/i.test(url)) {
+    throw new Error("Firefox doesn't let extensions read PDF files opened from your computer. Import it with the folder button in the popup instead.");
+  }
+  if (!/^blob:/i.test(url)) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+      const data = await response.arrayBuffer();
+      console.log(`PDF data fetched (${data.byteLength} bytes)`);
+      return data;
+    } catch (error) {
+      console.warn(`Background fetch of ${url} failed, asking the page:`, error);
+    }
+  }
+  let response;
+  try {
+    response = await browser.tabs.sendMessage(tabId, { action: "fetchPdfData", url });
+  } catch (error) {
+    throw new Error("Could not download the PDF: the page that holds it can't be reached.");
+  }
+  if (!response || response.error || !response.data) {
+    throw new Error(`Could not download the PDF: ${response?.error || "no data"}`);
+  }
+  console.log(`PDF data fetched by the page (${response.data.byteLength} bytes)`);
+  return response.data;
+}
+
+/**
+ * Creates a copy of an analyzed PDF with its concerning clauses highlighted.
+ * @param {number} [tabId] - The tab the PDF was analyzed in (to fetch blob: PDFs).
+ * @param {object} result - An analysis result with `pdfUrl`.
+ * @param {ArrayBuffer} [data] - The PDF itself, when the caller has it (imported files).
+ * @param {string} [password] - The open password of an encrypted PDF.
+ * @returns {Promise<{data: Uint8Array, highlighted: number}>} - See createAnnotatedPdf().
+ */
+async function exportAnnotatedPdf(tabId, result, data, password) {
+  if (!result || (!data && !result.pdfUrl)) throw new Error("Only PDF analyses can be exported as an annotated PDF.");
+  const pdfData = data || await fetchPdfData(tabId, result.pdfUrl);
+  console.log(`Creating an annotated copy of ${result.pdfUrl || 'an imported PDF'}...`);
+  return createAnnotatedPdf(pdfData, result.concerningClauses || [], password);
+}
+
+/**
+ * Asks the tab's content script for images that may contain text.
+ * @param {number} tabId
+ * @returns {Promise<{src: string}[]>} - Empty when there are none or the page can't be reached.
+ */
+async function findPageTextImages(tabId) {
+  try {
+    const response = await browser.tabs.sendMessage(tabId, { action: "findTextImages" });
+    return response?.images || [];
+  } catch (error) {
+    console.warn("Could not list the page images:", error);
+    return [];
+  }
+}
+
+/**
+ * Reads the text of a page's images with OCR (common/ocr.js). The images are
+ * downloaded by the background script (the page's copies may be cross-origin).
+ * @param {number} tabId
+ * @param {function(number, number): void} onProgress - Called with (imageNumber, totalImages).
+ * @returns {Promise<string>} - The text of all images, in page order.
+ */
+async function getTextFromPageImages(tabId, onProgress) {
+  const images = await findPageTextImages(tabId);
+  console.log(`Reading ${images.length} page images with OCR...`);
+  const blobs = [];
+  for (const image of images) {
+    try {
+      const response = await fetch(image.src);
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+      blobs.push(await response.blob());
+    } catch (error) {
+      console.warn(`Could not download image ${image.src}:`, error);
+    }
+  }
+  const texts = await recognizeImages(blobs, onProgress);
+  return texts.filter(text => text).join('\n\n');
+}
+
+/**
+ * Turns a pipeline error into a message for the user.
+ * @param {Error} error
+ * @param {string} source - The job source.
+ * @returns {string}
+ */
+function describeAnalysisError(error, source) {
+  if (source === 'selection') {
+    return `Error processing selection: ${error.message}`;
+  }
+  let userMessage = `An error occurred: ${error.message}`;
+  if (error.pdfPassword) {
+    userMessage = error.message; // Shown next to the password field
+  } else if (error.message.includes("Could not establish connection")) {
+    userMessage = "Could not connect to the HTML page content. Ensure the extension has permission and try reloading the page.";
+  } else if (error.message.includes("Failed to fetch") && source === 'pdf') {
+    userMessage = "Failed to download the PDF. Check the URL and network connection.";
+  } else if (error.message.includes("PDF")) { // Keep PDF specific errors somewhat clear
+    userMessage = `Error processing PDF: ${error.message}`;
+  }
+  return userMessage;
+}
+
+/**
+ * Asks the tab's content script to highlight each clause's source text.
+ * Failures are logged only; highlighting is a convenience.
+ * @param {number} tabId
+ * @param {object} result
+ * @returns {Promise<number[]>} - Indices of the clauses found on the page.
+ */
+async function highlightClausesInTab(tabId, result) {
+  // Only verified quotes: an unverified one isn't in the document, so a match would be a wrong passage
+  const clauses = (result.concerningClauses || []).map((clause, index) => ({
+    index,
+    title: (clause.title || '').replace(/<[^>]*>/g, ''),
+    quote: clause.verified === true ? clause.sourceQuote || '' : '',
+    severity: clause.severity || 'medium'
+  })).filter(clause => clause.quote);
+  if (clauses.length === 0) return [];
+
+  try {
+    const response = await browser.tabs.sendMessage(tabId, { action: "highlightClauses", clauses });
+    console.log(`Highlighted ${response?.found?.length || 0} clauses on the page.`);
+    return response?.found || [];
+  } catch (error) {
+    console.warn("Could not highlight clauses on the page:", error);
+    return [];
+  }
+}
+
+/**
+ * Records a finished analysis in the history library.
+ * Failures are logged only; the result is still shown.
+ * @param {{url: string, title: string, source: string}} job - The job (or the watched policy being re-checked).
+ * @param {string} text - The analyzed text.
+ * @param {object} result
+ * @returns {Promise<number|null>} - The history record ID.
+ */
+async function saveJobToHistory(job, text, result) {
+  try {
+    const settings = await loadProviderSettings();
+    const id = await saveAnalysis({
+      url: job.url,
+      title: job.title || job.url,
+      source: job.source,
+      analyzedAt: Date.now(),
+      hash: await hashDocumentText(text),
+      text,
+      result,
+      provider: settings.providerId
+    });
+    console.log(`Saved the analysis of ${job.url} to history as #${id}.`);
+    return id;
+  } catch (error) {
+    console.warn("Could not save the analysis to history:", error);
+    return null;
+  }
+}
+
+// --- Watched Policies ---
+
+/**
+ * The key a page is watched under: its URL without the fragment.
+ * @param {string} url
+ * @returns {string}
+ */
+function policyUrl(url) {
+  return (url || '').split('#')[0];
+}
+
+/**
+ * Stores a new version of a watched policy (unless the text is unchanged)
+ * and records when it was last checked. Nothing is stored when the policy
+ * stopped being watched in the meantime.
+ * Failures are logged only; the result is still shown.
+ * @param {object} policy - The watched record.
+ * @param {object|null} previous - The latest stored version.
+ * @param {string} text
+ * @param {string} hash - hashDocumentText(text).
+ * @param {object} result
+ * @param {number|null} historyId
+ */
+async function recordPolicyVersion(policy, previous, text, hash, result, historyId) {
+  try {
+    if (!await getWatchedPolicy(policy.url)) {
+      console.log(`${policy.url} is no longer watched; the new version is not stored.`);
+      return;
+    }
+    if (!previous || previous.hash !== hash) {
+      const versionId = await saveVersion({ url: policy.url, capturedAt: Date.now(), hash, text, result, historyId });
+      console.log(`Stored version ${versionId} of ${policy.url}.`);
+    }
+    await updateWatchedPolicy(policy.url, { lastCheckedAt: Date.now(), lastError: null });
+  } catch (error) {
+    console.warn("Could not store the policy version:", error);
+  }
+}
+
+/**
+ * Starts watching the page of a finished job. The analyzed text becomes the
+ * first version later analyses are compared against.
+ * @param {object} job - A finished HTML or PDF job.
+ */
+async function watchJobPolicy(job) {
+  if (job.status !== 'done' || (job.source !== 'html' && job.source !== 'pdf')) {
+    throw new Error("Only finished analyses of a page or PDF can be watched.");
+  }
+  const record = job.historyId ? await getAnalysis(job.historyId) : null;
+  if (!record) throw new Error("The analyzed text is not available. Please run the analysis again.");
+  const url = policyUrl(job.url);
+  await watchPolicy({ url, title: job.title || url });
+  const previous = await getLatestVersion(url);
+  if (!previous || previous.hash !== record.hash) {
+    await saveVersion({ url, capturedAt: record.analyzedAt, hash: record.hash, text: record.text, result: record.result, historyId: record.id });
+  }
+  updateJob(job, { watched: true });
+  console.log(`Watching ${url}.`);
+}
+
+// --- Scheduled Re-checks ---
+
+const RECHECK_ALARM = 'recheck-watched';
+
+/** Default hours between re-checks of watched policies (0 turns them off). */
+const DEFAULT_RECHECK_INTERVAL_HOURS = 24;
+
+/** Whether watched policies are being re-checked right now. */
+let recheckRunning = false;
+
+/**
+ * Creates (or clears) the re-check alarm from the `recheckIntervalHours` setting.
+ * An alarm with the same period is left running. A new one first fires when
+ * the policy checked longest ago is due, so restarting the browser doesn't
+ * re-check (and re-analyze) everything.
+ */
+async function scheduleRecheck() {
+  const { recheckIntervalHours = DEFAULT_RECHECK_INTERVAL_HOURS } = await browser.storage.local.get('recheckIntervalHours');
+  if (!(recheckIntervalHours > 0)) {
+    await browser.alarms.clear(RECHECK_ALARM);
+    console.log("Re-checks of watched policies are turned off.");
+    return;
+  }
+  const periodInMinutes = recheckIntervalHours * 60;
+  const existing = await browser.alarms.get(RECHECK_ALARM);
+  if (existing && existing.periodInMinutes === periodInMinutes) return;
+
+  const policies = await listWatchedPolicies();
+  const oldestCheck = policies.length > 0 ? Math.min(...policies.map(policy => policy.lastCheckedAt || 0)) : Date.now();
+  const delayInMinutes = Math.max(1, periodInMinutes - (Date.now() - oldestCheck) / 60000);
+  await browser.alarms.clear(RECHECK_ALARM);
+  browser.alarms.create(RECHECK_ALARM, { delayInMinutes, periodInMinutes });
+  console.log(`Watched policies will be re-checked every ${recheckIntervalHours} hours, next in ${Math.round(delayInMinutes)} minutes.`);
+}
+
+/**
+ * Downloads a watched policy and extracts its text, without opening a tab.
+ * HTML goes through the same extractor as the content script (common/extract.js);
+ * a page without usable text that embeds a PDF is read from the PDF.
+ * @param {string} url
+ * @returns {Promise<{text: string, source: 'html' | 'pdf', structure: object, pageOffsets?: object[], pdfUrl?: string}>}
+ *   structure: bookmarks or headings for the document outline (see buildDocumentOutline());
+ *   pageOffsets and pdfUrl for PDFs (page references).
+ */
+async function fetchPolicyText(url) {
+  const fromPdf = async pdfUrl => {
+    const pdf = await getTextFromPdfUrl(pdfUrl);
+    return { text: pdf?.text, source: 'pdf', structure: { pdfOutline: pdf?.outline }, pageOffsets: pdf?.pageOffsets, pdfUrl };
+  };
+  if (looksLikePdfUrl(url)) {
+    return fromPdf(url);
+  }
+  const response = await fetch(url, { credentials: 'include', cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  if ((response.headers.get('content-type') || '').includes('application/pdf')) {
+    return fromPdf(url);
+  }
+  const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+  const terms = await extractTermsStructure(doc, url, await findSiteRule(url));
+  const text = terms ? terms.text : null;
+  if (!text || text.length <= 100) {
+    // The page may only embed the policy as a PDF (see common/detect.js)
+    const embedded = findEmbeddedPdfs(doc).find(candidate => candidate.declared && /^https?:/i.test(candidate.url));
+    if (embedded) return fromPdf(embedded.url);
+  }
+  return { text, source: 'html', structure: { headings: listBlockHeadings(terms?.blocks) } };
+}
+
+/**
+ * Re-checks one watched policy against its latest stored version. When the
+ * text changed materially (any section added, removed or reworded; changes in
+ * spacing, case or punctuation alone don't count), the changed sections are
+ * analyzed, the new version is stored and a notification is shown.
+ * @param {object} policy - The watched record.
+ * @returns {Promise<boolean>} - Whether the policy changed.
+ */
+async function recheckPolicy(policy) {
+  const { text, source, structure, pageOffsets, pdfUrl } = await fetchPolicyText(policy.url);
+  if (typeof text !== 'string' || text.length <= 100) {
+    throw new Error("Couldn't find sufficient text content at the policy URL.");
+  }
+  const previous = await getLatestVersion(policy.url);
+  const hash = await hashDocumentText(text);
+  if (previous && (previous.hash === hash || diffSections(previous.text, text).changes.length === 0)) {
+    await updateWatchedPolicy(policy.url, { lastCheckedAt: Date.now(), lastError: null });
+    return false;
+  }
+
+  console.log(`Watched policy changed: ${policy.url}`);
+  const outline = buildDocumentOutline(text, { ...structure, pageOffsets });
+  const result = previous ? await analyzeChangedVersion(previous, text) : await processWithAI(text, undefined, outline);
+  if (pageOffsets) addPageReferences(result.concerningClauses, text, pageOffsets);
+  attachDocumentOutline(result, outline, text, { pageOffsets, previousOutline: previous?.result?.outline });
+  if (pdfUrl) result.pdfUrl = pdfUrl;
+  const historyId = await saveJobToHistory({ url: policy.url, title: policy.title, source }, text, result);
+  await recordPolicyVersion(policy, previous, text, hash, result, historyId);
+  if (result.changes) notifyPolicyChanged(policy, result.changes, historyId);
+  return true;
+}
+
+/**
+ * Re-checks every watched policy, one after the other.
+ * @returns {Promise<{checked: number, changed: number}>}
+ */
+async function recheckWatchedPolicies() {
+  if (recheckRunning) return { checked: 0, changed: 0 };
+  recheckRunning = true;
+  updateKeepAlive();
+  let checked = 0;
+  let changed = 0;
+  try {
+    for (const policy of await listWatchedPolicies()) {
+      try {
+        if (await recheckPolicy(policy)) changed++;
+        checked++;
+      } catch (error) {
+        // One unreachable policy shouldn't stop the others
+        console.error(`Re-check of ${policy.url} failed:`, error);
+        try {
+          await updateWatchedPolicy(policy.url, { lastCheckedAt: Date.now(), lastError: error.message });
+        } catch (updateError) {
+          console.warn(`Could not record the failed re-check of ${policy.url}:`, updateError);
+        }
+      }
+    }
+  } finally {
+    recheckRunning = false;
+    updateKeepAlive();
+  }
+  console.log(`Re-checked ${checked} watched policies, ${changed} changed.`);
+  return { checked, changed };
+}
+
+/**
+ * Tells the user that a watched policy changed. Clicking the notification
+ * opens the updated analysis with its change report.
+ * @param {object} policy - The watched record.
+ * @param {object} changes - The `changes` report of the new result.
+ * @param {number|null} historyId - The saved analysis to open.
+ */
+function notifyPolicyChanged(policy, changes, historyId) {
+  const { sections, clauses } = changes;
+  const changedSections = sections.added + sections.removed + sections.modified;
+  let message = `${changedSections} ${changedSections === 1 ? 'section' : 'sections'} changed.`;
+  if (clauses.added.length > 0) message += ` ${clauses.added.length} new concerning ${clauses.added.length === 1 ? 'clause' : 'clauses'}.`;
+  if (clauses.removed.length > 0) message += ` ${clauses.removed.length} no longer flagged.`;
+  if (historyId) message += ' Click to see what changed.';
+  const options = {
+    type: 'basic',
+    iconUrl: browser.runtime.getURL('icons/icon-96.png'),
+    title: `Policy changed: ${policy.title || policy.url}`,
+    message
+  };
+  if (historyId) {
+    browser.notifications.create(`policy-change-${historyId}`, options);
+  } else {
+    browser.notifications.create(options);
+  }
+}
+
+browser.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === RECHECK_ALARM) {
+    recheckWatchedPolicies().catch(error => console.error("Scheduled re-check failed:", error));
+  }
+});
+
+browser.notifications.onClicked.addListener(notificationId => {
+  const match = /^policy-change-(\d+)$/.exec(notificationId);
+  if (!match) return;
+  browser.windows.create({
+    url: browser.runtime.getURL(`popout/popout.html?historyId=${match[1]}`),
+    type: "popup",
+    width: 700,
+    height: 650
+  });
+  browser.notifications.clear(notificationId);
+});
+
+browser.runtime.onStartup.addListener(() => {
+  scheduleRecheck().catch(error => console.error("Could not schedule the re-checks:", error));
+});
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.recheckIntervalHours) {
+    scheduleRecheck().catch(error => console.error("Could not schedule the re-checks:", error));
+  }
+});
+
+/**
+ * Forgets a tab's job.
+ * @param {number} tabId
+ */
+function clearJob(tabId) {
+  jobs.delete(tabId);
+  browser.storage.session.remove(`job-${tabId}`);
+  updateKeepAlive();
+}
+
+// Jobs belong to a page: drop them when the tab closes or navigates elsewhere
+browser.tabs.onRemoved.addListener(clearJob);
+browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  const job = jobs.get(tabId);
+  if (changeInfo.url && job && !isJobRunning(job) && job.url !== changeInfo.url) {
+    clearJob(tabId);
+  }
+});
+
+// --- Message API ---
+browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === "startAnalysis") {
+    browser.tabs.get(message.tabId).then(tab => {
+      sendResponse({ job: startAnalysis(tab, message.text, {
+        ocr: Boolean(message.ocr),
+        password: message.password,
+        review: Boolean(message.review),
+        extracted: message.extracted
+      }) });
+    }).catch(error => {
+      console.error("Could not start analysis:", error);
+      sendResponse({ job: null, error: error.message });
+    });
+    return true; // Required for async response
+  } else if (message.action === "analyzePickedElement") {
+    if (!sender.tab) return; // Only content scripts pick elements
+    console.log(`Analyzing the block picked on tab ${sender.tab.id} (${message.label}).`);
+    const extracted = { text: message.text, blocks: message.blocks, selector: message.selector, picked: true };
+    sendResponse({ job: startAnalysis(sender.tab, null, { extracted }) });
+    // The popup closed when the user went to the page; reopen it to show the progress where allowed
+    browser.action.openPopup().catch(error => console.log("Could not reopen the popup:", error.message));
+  } else if (message.action === "frameTerms") {
+    // Content scripts can't message other frames directly (and the page must not see the text)
+    if (!sender.tab || !Number.isInteger(message.frameId)) return;
+    const { token, terms } = message;
+    browser.tabs.sendMessage(sender.tab.id, { action: "frameTerms", token, terms }, { frameId: message.frameId })
+      .catch(error => console.warn("Could not pass on a frame's terms:", error.message));
+  } else if (message.action === "importFile") {
+    browser.tabs.get(message.tabId).then(tab => {
+      sendResponse({ job: startAnalysis(tab, null, { file: { name: message.name, data: message.data, password: message.password } }) });
+    }).catch(error => {
+      console.error("Could not start the file analysis:", error);
+      sendResponse({ job: null, error: error.message });
+    });
+    return true; // Required for async response
+  } else if (message.action === "getJob") {
+    getJob(message.tabId).then(job => sendResponse({ job }));
+    return true; // Required for async response
+  } else if (message.action === "recheckWatched") {
+    recheckWatchedPolicies().then(summary => sendResponse(summary)).catch(error => {
+      console.error("Re-check failed:", error);
+      sendResponse({ checked: 0, changed: 0, error: error.message });
+    });
+    return true; // Required for async response
+  } else if (message.action === "exportAnnotatedPdf") {
+    exportAnnotatedPdf(message.tabId, message.result, message.data, message.password).then(annotated => sendResponse(annotated)).catch(error => {
+      console.error("Annotated PDF export failed:", error);
+      sendResponse({ data: null, error: error.message });
+    });
+    return true; // Required for async response
+  } else if (message.action === "watchPolicy" || message.action === "unwatchPolicy") {
+    getJob(message.tabId).then(async job => {
+      if (!job) throw new Error("There is no analysis for this tab.");
+      if (message.action === "watchPolicy") {
+        await watchJobPolicy(job);
+      } else {
+        await unwatchPolicy(policyUrl(job.url));
+        updateJob(job, { watched: false });
+      }
+      sendResponse({ job });
+    }).catch(error => {
+      console.error(`${message.action} failed:`, error);
+      sendResponse({ job: null, error: error.message });
+    });
+    return true; // Required for async response
+  }
+  // Other actions (e.g. jobUpdate echoes) are not for the background script
+});
+
 // Handle context menu clicks
 browser.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId === "summarize-selection" && info.selectionText) {
     console.log("Selected text:", info.selectionText.substring(0, 50) + "...");
-    // Store the selected text
-    browser.storage.local.set({ 
-      selectedText: info.selectionText,
-      contextMenuClicked: true
-    });
-    
+    // Start the analysis here; the popup picks up the job for this tab
+    startAnalysis(tab, info.selectionText);
+
     // Open the popup
     try {
       browser.action.openPopup();
@@ -0,0 +1,292 @@
+/**
+ * analysis.js: The analysis pipeline shared by the background script.
+ * - processWithAI() splits long documents into chunks, sends each chunk to the
+ *   configured provider (or the offline rule engine), merges the results and
+ *   verifies every clause's quote against the source text.
+ * - buildResultFromStructured() / parseAIResponse() turn the AI reply into the
+ *   {summary, concerningClauses} result displayed by the popup, popout and sidebar
+ *   (plus the AI's section summaries, see common/outline.js).
+ * Loaded as a plain script (functions are shared globals).
+ */
+
+/**
+ * Analyzes a document with the configured AI provider (see common/providers.js).
+ * Long documents are split into section-aware chunks (see common/chunker.js),
+ * each chunk is analyzed separately and the results are merged.
+ * @param {string} text - The text to analyze (e.g., T&C content).
+ * @param {function(number, number): void} [onProgress] - Called with (chunkNumber, totalChunks) before each request.
+ * @param {object} [outline] - The document's sections (buildDocumentOutline()); the AI summarizes each in one
+ *   line, returned as `sectionSummaries` for attachDocumentOutline().
+ * @returns {Promise<object>} - A promise that resolves with the merged result, including `coverage`.
+ */
+async function processWithAI(text, onProgress, outline) {
+  console.log("Processing with AI...");
+  const settings = await loadProviderSettings();
+  if (!isProviderConfigured(settings)) { throw new Error("API key not found. Please set it in options."); }
+
+  if (AI_PROVIDERS[settings.providerId].offline) {
+    // Local pattern matching covers the whole document in one pass
+    console.log("Using offline rule-based analysis.");
+    const result = analyzeWithRules(text);
+    verifyClauseQuotes(result.concerningClauses, text);
+    result.coverage = { totalChars: text.length, analyzedChars: text.length, chunksAnalyzed: 1, totalChunks: 1 };
+    return result;
+  }
+
+  const allChunks = splitIntoChunks(text);
+  const chunks = allChunks.slice(0, MAX_CHUNKS);
+  if (allChunks.length > chunks.length) {
+    console.warn(`Document has ${allChunks.length} chunks; only the first ${MAX_CHUNKS} will be analyzed.`);
+  }
+
+  const chunkResults = [];
+  let analyzedChars = 0;
+  let lastError = null;
+  for (let i = 0; i < chunks.length; i++) {
+    if (onProgress) onProgress(i + 1, chunks.length);
+    try {
+      // The chunk's span in the text, up to the next chunk (the whitespace between them included)
+      const spanStart = i === 0 ? 0 : chunks[i].start;
+      const spanEnd = allChunks[i + 1]?.start ?? text.length;
+      const sections = outline ? formatOutlineForPrompt(outline, spanStart, spanEnd) : '';
+      const result = await analyzeChunkWithAI(settings, chunks[i].text, i + 1, chunks.length, sections);
+      chunkResults.push(result);
+      analyzedChars += spanEnd - spanStart;
+    } catch (error) {
+      // Keep going so one failed chunk doesn't throw away the rest of the document
+      console.error(`Chunk ${i + 1}/${chunks.length} failed:`, error);
+      lastError = error;
+    }
+  }
+  if (chunkResults.length === 0) {
+    throw lastError || new Error("No text was analyzed.");
+  }
+
+  const merged = chunkResults.length === 1 ? chunkResults[0] : mergeChunkResults(chunkResults);
+  // Check every quote against the full text, so clauses the AI made up are flagged
+  verifyClauseQuotes(merged.concerningClauses, text);
+  merged.coverage = {
+    totalChars: text.length,
+    analyzedChars,
+    chunksAnalyzed: chunkResults.length,
+    totalChunks: allChunks.length
+  };
+  console.log("Coverage:", merged.coverage);
+  return merged;
+}
+
+/**
+ * Sends a single chunk of text to the configured AI provider for analysis.
+ * @param {object} settings - Provider settings from loadProviderSettings().
+ * @param {string} text - The chunk text (at most CHUNK_MAX_CHARS long).
+ * @param {number} part - 1-based index of this chunk.
+ * @param {number} totalParts - Number of chunks being analyzed.
+ * @param {string} [sections] - The sections starting in this chunk (formatOutlineForPrompt()).
+ * @returns {Promise<object>} - A promise that resolves with the parsed AI response.
+ */
+async function analyzeChunkWithAI(settings, text, part, totalParts, sections) {
+  try {
+    const aiResponse = await callAIProvider(settings, buildAnalysisPrompt(text, part, totalParts, sections));
+    console.log("Raw AI response:", aiResponse.substring(0, 200) + "..."); // Log truncated response
+
+    // Parse the raw AI text into structured data.
+    // JSON mode is the normal path; the markdown parser only handles legacy responses.
+    try {
+      return buildResultFromStructured(parseStructuredResponse(aiResponse));
+    } catch (structuredError) {
+      if (!(structuredError instanceof SyntaxError)) throw structuredError;
+      console.warn("AI response was not JSON, falling back to markdown parser.");
+      return parseAIResponse(aiResponse);
+    }
+
+  } catch (error) {
+    // Catch errors from fetch or JSON parsing
+    console.error('Error inside processWithAI:', error);
+    throw error; // Re-throw to allow calling function to handle UI updates
+  }
+}
+
+/**
+ * Converts validated structured data (see parseStructuredResponse) into the
+ * result object used by displayResults and the action buttons.
+ * @param {{summary: string[], concerningClauses: object[], sectionSummaries?: object[]}} data - Validated AI output.
+ * @returns {object} An object containing `summary` (string, HTML), `concerningClauses` (array of objects)
+ *   and `sectionSummaries` ({id, summary} in plain text).
+ */
+function buildResultFromStructured(data) {
+  const summary = data.summary.length > 0
+    ? '<ul>' + data.summary.map(item => `<li>${convertMarkdownToHtml(escapeHtml(item))}</li>`).join('') + '</ul>'
+    : '<p>No summary was provided.</p>';
+
+  const concerningClauses = data.concerningClauses.map(clause => ({
+    title: escapeHtml(clause.title.trim()),
+    text: convertMarkdownToHtml(escapeHtml(clause.explanation.trim())),
+    severity: clause.severity.trim().toLowerCase(),
+    category: clause.category.trim().replace(/\s+/g, '-').toLowerCase(),
+    quote: clause.quote.trim()
+  }));
+  // High severity first, same as the markdown parser
+  concerningClauses.sort((a, b) => (a.severity === 'high' ? 0 : 1) - (b.severity === 'high' ? 0 : 1));
+
+  console.log(`Parsed structured response: ${data.summary.length} summary bullets, ${concerningClauses.length} clauses.`);
+  return { summary, concerningClauses, sectionSummaries: data.sectionSummaries || [] };
+}
+
+/**
+ * Parses a legacy markdown response from the AI into a structured object.
+ * Only used when the response is not JSON (see buildResultFromStructured).
+ * @param {string} aiResponse - The raw text string from the AI provider.
+ * @returns {object} An object containing `summary` (string, HTML) and `concerningClauses` (array of objects).
+ */
+function parseAIResponse(aiResponse) {
+  console.log("Parsing AI response...");
+  let summary = "<p>Summary could not be parsed.</p>"; // Default value
+  let concerningClauses = [];
+
+  try {
+    // --- Summary Parsing ---
+    // Regex to find the summary section between **SUMMARY:** and **CONCERNING CLAUSES:** (or end of string)
+    const summaryMatch = aiResponse.match(/\*\*1\. SUMMARY:\*\*([\s\S]*?)(?=\*\*2\. CONCERNING CLAUSES:|$)/i);
+    if (summaryMatch && summaryMatch[1]) {
+      const summaryText = summaryMatch[1].trim();
+      // Regex to find lines starting with '*' or '-' (list items)
+      const bulletPoints = summaryText.match(/^[\*\-]\s+(.*)/gm);
+
+      if (bulletPoints && bulletPoints.length > 0) {
+        console.log("Found bullet points:", bulletPoints.length);
+        // Process matched bullet points into clean HTML list items
+        const formattedBullets = bulletPoints
+          .map(bullet => bullet.replace(/^[\*\-]\s+/, '').trim()) // Remove marker
+          .filter(bullet => bullet.length > 0) // Remove empty lines
+          .map(bullet => convertMarkdownToHtml(bullet)); // Convert inner markdown
+
+        if (formattedBullets.length > 0) {
+          summary = '<ul>' + formattedBullets.map(bullet => `<li>${bullet}</li>`).join('') + '</ul>';
+          console.log("Successfully parsed summary bullets.");
+        } else {
+          console.log("Formatted bullet points array was empty after processing.");
+          summary = '<p>' + convertMarkdownToHtml(summaryText) + '</p>'; // Fallback to paragraph
+        }
+      } else {
+        console.log("No bullet points matched in summary section. Using raw text.");
+        summary = '<p>' + convertMarkdownToHtml(summaryText) + '</p>'; // Fallback to paragraph
+      }
+    } else {
+      console.log("Summary section regex did not match.");
+    }
+
+    // --- Concerning Clauses Parsing ---
+    // Regex to find the concerning clauses section after **CONCERNING CLAUSES:**
+    const clausesMatch = aiResponse.match(/\*\*2\. CONCERNING CLAUSES:\*\*([\s\S]*)/i);
+    if (clausesMatch && clausesMatch[1]) {
+      const clausesText = clausesMatch[1].trim();
+      // Split *before* a line that starts (^) with optional bullet/space and then **Title**. Use 'm' flag for multiline ^.
+      const clauseBlocks = clausesText.split(/(?=^[\*\-]?\s*\*\*.*?\*\*)/m);
+      
+      console.log(`Found ${clauseBlocks.length} potential clause blocks after split.`); // Log count
+
+      // Filter out any empty strings resulting from the split (e.g., if text started with a title)
+      const validBlocks = clauseBlocks.filter(block => block.trim().length > 0);
+      console.log(`Found ${validBlocks.length} *valid* clause blocks after filtering empty strings.`); // Log valid count
+
+      for (const block of validBlocks) {
+        const trimmedBlock = block.trim();
+        if (!trimmedBlock) continue; // Skip empty blocks
+
+        // Regex to extract title (handles optional leading list marker)
+        const titleMatch = trimmedBlock.match(/^[\*\-]?\s*\*\*(.*?)\*\*/);
+        const title = titleMatch ? titleMatch[1].trim() : null;
+
+        // Regex to extract severity
+        const severityMatch = trimmedBlock.match(/Severity:\s*(High|Medium|Low)/i);
+        const severity = severityMatch ? severityMatch[1].toLowerCase() : 'medium'; // Default
+
+        // Regex to extract category (handles potential space)
+        const categoryMatch = trimmedBlock.match(/Category:\s*(Privacy|Data\sUsage|Legal\sRights|Service\sChanges|User\sContent)/i);
+        const category = categoryMatch ? categoryMatch[1].replace(/\s+/g, '-').toLowerCase() : 'general'; // Default
+
+        // Extract the explanation text: starts after title, ends before Severity/Category
+        let textContent = trimmedBlock;
+        if (titleMatch) {
+           textContent = textContent.substring(textContent.indexOf(titleMatch[0]) + titleMatch[0].length);
+        }
+
+        // Find where to cut (before Severity or Category label)
+        // Remove Severity line (case-insensitive, multiline)
+        textContent = textContent.replace(/^\s*Severity:\s*(High|Medium|Low)\s*$/gim, '');
+        // Remove Category line (case-insensitive, multiline)
+        textContent = textContent.replace(/^\s*Category:\s*(Privacy|Data\sUsage|Legal\sRights|Service\sChanges|User\sContent)\s*$/gim, '');
+        // Trim remaining whitespace (especially blank lines left by removal)
+        const cleanedTextContent = textContent.trim();
+
+        // Convert the CLEANED text content to HTML
+        const text = convertMarkdownToHtml(cleanedTextContent); // Pass the cleaner version
+
+        // Add to results only if both title and text seem valid
+        if (title && text) {
+          concerningClauses.push({ title, text, severity, category });
+        } else {
+           console.warn(`Skipped clause block. Title found: ${!!title}, Text is truthy: ${!!text}`, trimmedBlock.substring(0,60)+"...");
+        }
+      } // End for loop
+      console.log(`Finished processing blocks. Parsed ${concerningClauses.length} concerning clauses.`);
+
+      if (concerningClauses.length > 1) { // Only sort if there's more than one clause
+        console.log("Sorting concerning clauses (High severity first)...");
+        concerningClauses.sort((a, b) => {
+            const severityA = a.severity || 'medium'; // Default to medium if missing
+            const severityB = b.severity || 'medium';
+
+            // Prioritize 'high'
+            if (severityA === 'high' && severityB !== 'high') {
+                return -1; // a comes first
+            }
+            if (severityA !== 'high' && severityB === 'high') {
+                return 1; // b comes first
+            }
+            return 0;
+          });
+           console.log("Sorting complete.");
+      }
+    } else {
+      console.log("Concerning clauses section regex did not match or section was empty.");
+      // Double-check if the AI *explicitly* mentioned no clauses in the *entire* response
+      // (This is less critical now, as the main check failed, but doesn't hurt)
+      if (/No concerning clauses/i.test(aiResponse)) {
+          console.log("AI response explicitly stated no concerning clauses.");
+      }
+    }
+  } catch (parseError) {
+      console.error("Error during parsing AI response:", parseError);
+  }
+  console.log("Returning parsed data:", { summary: summary.substring(0,50)+"...", concerningClausesCount: concerningClauses.length });
+  return { summary, concerningClauses };
+} // End parseAIResponse
+
+/**
+ * Converts basic Markdown formatting (bold, italics, code, lists) in a string to HTML.
+ * @param {string} text - The input text possibly containing Markdown.
+ * @returns {string} - The text converted to HTML.
+ */
+function convertMarkdownToHtml(text) {
+  if (!text) return '';
+  // Process line by line to handle list markers before other markdown
+  const lines = text.split('\n');
+  const processedLines = lines.map(line => {
+      let processedLine = line.trim();
+      // Handle list items specifically first to avoid italic conversion of '*'
+      if (processedLine.startsWith('* ') || processedLine.startsWith('- ')) {
+          processedLine = processedLine.substring(2); // Remove marker
+      }
+      // Standard Markdown conversion
+      processedLine = processedLine.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+                                  .replace(/__(.*?)__/g, '<strong>$1</strong>')
+                                  // Use lookarounds to avoid italics interfering with bold
+                                  .replace(/(?<![\*_])\*([^\*]+)\*(?![\*_])/g, '<em>$1</em>')
+                                  .replace(/(?<![\*_])_([^_]+)_(?![\*_])/g, '<em>$1</em>')
+                                  .replace(/`([^`]+?)`/g, '<code>$1</code>');
+      return processedLine;
+  });
+  // Join lines back with <br>, filtering out potentially empty lines
+  return processedLines.filter(line => line.length > 0).join('<br>');
+}
@@ -0,0 +1,314 @@
+/**
+ * annotate.js: Makes an annotated copy of an analyzed PDF: each concerning
+ * clause is highlighted in the original document, colored by severity, with
+ * its title and explanation as the highlight's popup note.
+ * - findClauseHighlights() maps clause quotes to line boxes on the page, using
+ *   the line positions recorded by common/layout.js.
+ * - createAnnotatedPdf() adds the highlights with PDF.js (an incremental update,
+ *   so the original content is kept byte for byte), then appends a second
+ *   update giving each highlight its note, which PDF.js can't write itself.
+ * Used by the background script. Loaded as a plain script (functions are shared globals).
+ */
+
+/** Highlight colors (RGB, 0-255) by severity; pale enough to keep the text readable. */
+const HIGHLIGHT_COLORS = {
+  high: [255, 138, 128],
+  medium: [255, 196, 110],
+  low: [255, 241, 118]
+};
+
+/** Author shown on the highlights in PDF viewers. */
+const HIGHLIGHT_AUTHOR = 'LegalEyes';
+
+/** PDF.js only saves annotation storage entries whose key has this prefix (its editors' ids). */
+const PDFJS_EDITOR_KEY_PREFIX = 'pdfjs_internal_editor_';
+
+/** Highlight boxes extend this far (in font sizes) below and above a line's baseline. */
+const HIGHLIGHT_DESCENT = 0.25;
+const HIGHLIGHT_ASCENT = 0.9;
+
+/**
+ * Works out where each clause's quote is drawn: one highlight per clause and
+ * page, with a box (quad) per line. Quotes are located again in the text
+ * layer, so pages that were read with OCR (no positions) are skipped.
+ * @param {object[]} clauses - Concerning clauses (title, text, severity, quote, sourceQuote).
+ * @param {string} text - The PDF's text, from readPdfText() without OCR.
+ * @param {{line: object, offset: number}[]} lineOffsets - From readPdfText().
+ * @returns {{clause: object, pageIndex: number, quadPoints: number[], rect: number[]}[]} - PDF coordinates;
+ *   each quad is (left, top), (right, top), (left, bottom), (right, bottom).
+ */
+function findClauseHighlights(clauses, text, lineOffsets) {
+  const tokens = tokenizeWithOffsets(text);
+  const highlights = [];
+  for (const clause of clauses || []) {
+    const match = locateQuote(clause.sourceQuote || clause.quote, text, tokens);
+    if (!match || match.score < QUOTE_MATCH_THRESHOLD) {
+      console.warn(`Could not find "${clause.title}" in the PDF's text layer.`);
+      continue;
+    }
+
+    const byPage = new Map();
+    for (const { line, offset } of lineOffsets) {
+      const lineEnd = offset + line.text.length;
+      if (lineEnd <= match.start || offset >= match.end || !line.text) continue;
+      // Characters are taken to be evenly spread over the line
+      const charWidth = (line.right - line.x) / line.text.length;
+      const left = line.x + Math.max(0, match.start - offset) * charWidth;
+      const right = line.x + (Math.min(lineEnd, match.end) - offset) * charWidth;
+      const bottom = line.y - line.fontSize * HIGHLIGHT_DESCENT;
+      const top = line.y + line.fontSize * HIGHLIGHT_ASCENT;
+      if (!byPage.has(line.page)) byPage.set(line.page, []);
+      byPage.get(line.page).push(left, top, right, top, left, bottom, right, bottom);
+    }
+
+    for (const [page, quadPoints] of byPage) {
+      const xs = quadPoints.filter((value, index) => index % 2 === 0);
+      const ys = quadPoints.filter((value, index) => index % 2 === 1);
+      highlights.push({
+        clause,
+        pageIndex: page - 1,
+        quadPoints,
+        rect: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+      });
+    }
+  }
+  return highlights;
+}
+
+/**
+ * The popup note of a clause's highlight.
+ * @param {object} clause
+ * @returns {string}
+ */
+function formatHighlightNote(clause) {
+  const explanation = new DOMParser().parseFromString(clause.text || '', 'text/html').body.textContent.trim();
+  const heading = `${clause.title || 'Concerning clause'} (${clause.severity || 'Unknown'} severity${clause.category ? `, ${clause.category}` : ''})`;
+  return explanation ? `${heading}\n\n${explanation}` : heading;
+}
+
+/**
+ * Encodes a string as a PDF text string (UTF-16BE with a byte order mark, in hex).
+ * @param {string} value
+ * @returns {string}
+ */
+function toPdfTextString(value) {
+  let hex = 'FEFF';
+  for (let i = 0; i < value.length; i++) hex += value.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+  return `<${hex}>`;
+}
+
+/**
+ * Converts bytes to a string with one character per byte (so string offsets are byte offsets).
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBinaryString(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return result;
+}
+
+/**
+ * Reads the PDF array starting at `index` in a PDF source string, skipping
+ * over (string) and <hex string> contents, which may hold brackets.
+ * @param {string} source
+ * @param {number} index - Position of the opening '['.
+ * @returns {string} - The array's source text, brackets included.
+ */
+function readPdfArraySource(source, index) {
+  let depth = 0;
+  for (let i = index; i < source.length; i++) {
+    const char = source[i];
+    if (char === '(') {
+      // Literal string: balanced parentheses, backslash escapes
+      let nesting = 1;
+      for (i++; i < source.length && nesting > 0; i++) {
+        if (source[i] === '\\') i++;
+        else if (source[i] === '(') nesting++;
+        else if (source[i] === ')') nesting--;
+      }
+      i--;
+    } else if (char === '<') {
+      i = source.indexOf('>', i);
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']' && --depth === 0) {
+      return source.slice(index, i + 1);
+    }
+  }
+  throw new Error("Unterminated array in the PDF trailer.");
+}
+
+/**
+ * Reads the trailer of a PDF's last cross-reference section (a classic
+ * "trailer" dictionary or a cross-reference stream's dictionary).
+ * @param {string} source - The whole file, from bytesToBinaryString().
+ * @returns {{startXref: number, isStream: boolean, size: number, root: string, info: string | null,
+ *   id: string | null, encrypted: boolean}} - References and the ID array as PDF source text.
+ * @throws {Error} If the trailer can't be read.
+ */
+function readLastPdfTrailer(source) {
+  const startMatch = /startxref\s+(\d+)\s+%%EOF\s*$/.exec(source.slice(-1024));
+  if (!startMatch) throw new Error("The PDF has no cross-reference section at its end.");
+  const startXref = Number(startMatch[1]);
+  const isStream = !source.startsWith('xref', startXref);
+  const dictStart = isStream ? source.indexOf('<<', startXref) : source.indexOf('trailer', startXref);
+  const dictEnd = source.indexOf(isStream ? 'stream' : 'startxref', dictStart);
+  const dict = source.slice(dictStart, dictEnd);
+
+  const size = /\/Size\s+(\d+)/.exec(dict);
+  const root = /\/Root\s+(\d+\s+\d+\s+R)/.exec(dict);
+  if (!size || !root) throw new Error("The PDF trailer is damaged.");
+  const info = /\/Info\s+(\d+\s+\d+\s+R)/.exec(dict);
+  const idIndex = dict.search(/\/ID\s*\[/);
+  return {
+    startXref,
+    isStream,
+    size: Number(size[1]),
+    root: root[1],
+    info: info ? info[1] : null,
+    id: idIndex === -1 ? null : readPdfArraySource(dict, dict.indexOf('[', idIndex)),
+    encrypted: /\/Encrypt\b/.test(dict)
+  };
+}
+
+/**
+ * Appends an incremental update that rewrites the highlights PDF.js added
+ * (found after `start` by their Rect) with a /Contents note and a /Subj.
+ * @param {Uint8Array} bytes - The PDF as saved by PDF.js.
+ * @param {number} start - Length of the original file; the highlights are after it.
+ * @param {object[]} highlights - From findClauseHighlights().
+ * @returns {Uint8Array} - The PDF with the notes, or `bytes` when no highlight was found.
+ */
+function addHighlightNotes(bytes, start, highlights) {
+  const source = bytesToBinaryString(bytes);
+  const trailer = readLastPdfTrailer(source);
+  if (trailer.encrypted) {
+    // New strings would have to be encrypted with the document's key
+    console.warn("The PDF is encrypted; the highlights are saved without notes.");
+    return bytes;
+  }
+
+  // PDF.js writes each new object as "N G obj\n<< ... >>\nendobj"
+  const objectPattern = /(\d+) (\d+) obj\s*<<((?:(?!endobj)[\s\S])*?)>>\s*endobj/g;
+  objectPattern.lastIndex = start;
+  const objects = [];
+  const unmatched = new Set(highlights);
+  let match;
+  while ((match = objectPattern.exec(source)) !== null) {
+    const body = match[3];
+    const rect = /\/Subtype\s*\/Highlight\b/.test(body) && /\/Rect\s*\[([^\]]*)\]/.exec(body);
+    if (!rect) continue;
+    const values = rect[1].trim().split(/\s+/).map(Number);
+    // PDF.js rounds numbers to two decimals
+    const highlight = [...unmatched].find(entry => entry.rect.every((value, index) => Math.abs(value - values[index]) < 0.02));
+    if (!highlight) continue;
+    unmatched.delete(highlight);
+    const subject = toPdfTextString(`${highlight.clause.severity || 'Unknown'} severity`);
+    objects.push({
+      number: Number(match[1]),
+      generation: Number(match[2]),
+      source: `${match[1]} ${match[2]} obj\n<<${body} /Contents ${toPdfTextString(formatHighlightNote(highlight.clause))} /Subj ${subject}>>\nendobj\n`
+    });
+  }
+  if (objects.length === 0) {
+    console.warn("Could not find the saved highlights; they are kept without notes.");
+    return bytes;
+  }
+
+  let update = bytes[bytes.length - 1] === 0x0a || bytes[bytes.length - 1] === 0x0d ? '' : '\n';
+  let offset = bytes.length + update.length;
+  for (const object of objects) {
+    object.offset = offset;
+    update += object.source;
+    offset += object.source.length;
+  }
+  const trailerEntries = `/Root ${trailer.root}${trailer.info ? ` /Info ${trailer.info}` : ''}${trailer.id ? ` /ID ${trailer.id}` : ''} /Prev ${trailer.startXref}`;
+
+  if (trailer.isStream) {
+    // Match the file's style: a cross-reference stream (type 1 entries: offset, generation)
+    const xrefNumber = trailer.size;
+    const entries = [...objects, { number: xrefNumber, generation: 0, offset }];
+    let data = '';
+    for (const entry of entries) {
+      data += String.fromCharCode(1,
+        (entry.offset >>> 24) & 0xff, (entry.offset >>> 16) & 0xff, (entry.offset >>> 8) & 0xff, entry.offset & 0xff,
+        (entry.generation >>> 8) & 0xff, entry.generation & 0xff);
+    }
+    const index = entries.map(entry => `${entry.number} 1`).join(' ');
+    update += `${xrefNumber} 0 obj\n<< /Type /XRef /Size ${xrefNumber + 1} /W [1 4 2] /Index [${index}] ${trailerEntries} /Length ${data.length} >>\nstream\n${data}\nendstream\nendobj\n`;
+  } else {
+    update += 'xref\n';
+    for (const object of objects) {
+      update += `${object.number} 1\n${String(object.offset).padStart(10, '0')} ${String(object.generation).padStart(5, '0')} n\r\n`;
+    }
+    update += `trailer\n<< /Size ${trailer.size} ${trailerEntries} >>\n`;
+  }
+  update += `startxref\n${offset}\n%%EOF\n`;
+
+  const result = new Uint8Array(bytes.length + update.length);
+  result.set(bytes);
+  for (let i = 0; i < update.length; i++) result[bytes.length + i] = update.charCodeAt(i) & 0xff;
+  console.log(`Added notes to ${objects.length} of ${highlights.length} highlights.`);
+  return result;
+}
+
+/**
+ * Creates a copy of a PDF with each concerning clause highlighted.
+ * Encrypted PDFs are highlighted too, but without notes (see addHighlightNotes()).
+ * @param {ArrayBuffer} pdfData - The original PDF (PDF.js takes ownership of the buffer).
+ * @param {object[]} clauses - The result's concerning clauses.
+ * @param {string} [password] - The open password of an encrypted PDF (the one it was analyzed with).
+ * @returns {Promise<{data: Uint8Array, highlighted: number}>} - The annotated PDF and how many clauses it highlights.
+ * @throws {Error} If the PDF can't be read or none of the clauses were found in its text layer.
+ */
+async function createAnnotatedPdf(pdfData, clauses, password) {
+  const originalLength = pdfData.byteLength;
+  let pdfDocument;
+  try {
+    pdfDocument = await openPdfDocument(pdfData, password);
+  } catch (error) {
+    if (error.pdfPassword) throw new Error("This PDF is password-protected. Analyze it again with its password, then save the annotated copy.");
+    throw error;
+  }
+  if (!pdfDocument) throw new Error("Could not load PDF processing library.");
+
+  try {
+    const { text, lineOffsets } = await readPdfText(pdfDocument, { ocr: false });
+    const highlights = findClauseHighlights(clauses, text, lineOffsets);
+    if (highlights.length === 0) {
+      throw new Error("None of the concerning clauses could be found in the PDF's text (scanned pages can't be highlighted).");
+    }
+
+    const pdfjs = await loadPdfJs();
+    highlights.forEach((highlight, index) => {
+      const color = HIGHLIGHT_COLORS[(highlight.clause.severity || '').toLowerCase()] || HIGHLIGHT_COLORS.low;
+      // Quads as closed outlines for the appearance stream: top left, top right, bottom right, bottom left
+      const outlines = [];
+      for (let i = 0; i < highlight.quadPoints.length; i += 8) {
+        const [left, top, right, , , bottom] = highlight.quadPoints.slice(i, i + 8);
+        outlines.push([left, top, right, top, right, bottom, left, bottom]);
+      }
+      pdfDocument.annotationStorage.setValue(`${PDFJS_EDITOR_KEY_PREFIX}legaleyes-${index}`, {
+        annotationType: pdfjs.AnnotationEditorType.HIGHLIGHT,
+        pageIndex: highlight.pageIndex,
+        color,
+        opacity: 1,
+        rect: highlight.rect,
+        quadPoints: highlight.quadPoints,
+        outlines,
+        rotation: 0,
+        user: HIGHLIGHT_AUTHOR
+      });
+    });
+
+    const saved = await pdfDocument.saveDocument();
+    const highlighted = new Set(highlights.map(highlight => highlight.clause)).size;
+    console.log(`Highlighted ${highlighted} of ${clauses.length} clauses (${highlights.length} highlights).`);
+    return { data: addHighlightNotes(saved, originalLength, highlights), highlighted };
+  } finally {
+    await pdfDocument.destroy();
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * changes.js: Tracks how a watched policy changed between two versions.
+ * - diffSections() aligns the sections of two versions (see splitIntoSections in
+ *   common/chunker.js) and reports added, removed and modified sections.
+ * - diffClauses() reports which concerning clauses were added, removed or modified.
+ * - analyzeChangedVersion() re-runs the analysis only on the changed sections and
+ *   carries over the clauses of the unchanged ones.
+ * Loaded as a plain script (functions are shared globals).
+ */
+
+/** Minimum word overlap for a removed and an added section to count as one modified section. */
+const SECTION_SIMILARITY_THRESHOLD = 0.5;
+
+/** Above this many section pairs, sections are compared by position only (keeps the diff fast). */
+const MAX_SECTION_DIFF_CELLS = 4000000;
+
+/**
+ * Word-set overlap of two texts (Jaccard index).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - 0 (nothing in common) to 1 (same words).
+ */
+function sectionSimilarity(a, b) {
+  const wordsA = new Set(normalizeForComparison(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeForComparison(b).split(' ').filter(Boolean));
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+  let shared = 0;
+  wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Aligns two lists of section keys (longest common subsequence).
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {{type: 'same' | 'removed' | 'added', beforeIndex?: number, afterIndex?: number}[]} - Operations in document order.
+ */
+function alignSections(before, after) {
+  // Trim the common head and tail first; policy updates usually touch a few sections
+  let head = 0;
+  while (head < before.length && head < after.length && before[head] === after[head]) head++;
+  let tail = 0;
+  while (tail < before.length - head && tail < after.length - head &&
+         before[before.length - 1 - tail] === after[after.length - 1 - tail]) tail++;
+
+  const middleBefore = before.slice(head, before.length - tail);
+  const middleAfter = after.slice(head, after.length - tail);
+  const ops = [];
+  for (let i = 0; i < head; i++) ops.push({ type: 'same', beforeIndex: i, afterIndex: i });
+
+  if (middleBefore.length * middleAfter.length > MAX_SECTION_DIFF_CELLS) {
+    // Too big to align: treat the whole middle as replaced
+    middleBefore.forEach((_, i) => ops.push({ type: 'removed', beforeIndex: head + i }));
+    middleAfter.forEach((_, i) => ops.push({ type: 'added', afterIndex: head + i }));
+  } else {
+    const rows = middleBefore.length;
+    const cols = middleAfter.length;
+    const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        table[i][j] = middleBefore[i] === middleAfter[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && middleBefore[i] === middleAfter[j]) {
+        ops.push({ type: 'same', beforeIndex: head + i++, afterIndex: head + j++ });
+      } else if (j < cols && (i === rows || table[i][j + 1] >= table[i + 1][j])) {
+        ops.push({ type: 'added', afterIndex: head + j++ });
+      } else {
+        ops.push({ type: 'removed', beforeIndex: head + i++ });
+      }
+    }
+  }
+
+  for (let k = tail; k > 0; k--) {
+    ops.push({ type: 'same', beforeIndex: before.length - k, afterIndex: after.length - k });
+  }
+  return ops;
+}
+
+/**
+ * Compares two versions of a document section by section.
+ * Within each run of changes, a removed and an added section that share most
+ * of their words are reported as one modified section.
+ * @param {string} beforeText - The previous version.
+ * @param {string} afterText - The new version.
+ * @returns {{changes: {type: 'added' | 'removed' | 'modified', before?: string, after?: string}[],
+ *   unchanged: string[], added: number, removed: number, modified: number}}
+ *   `changes` in document order; `unchanged` holds the sections present in both versions.
+ */
+function diffSections(beforeText, afterText) {
+  const before = splitIntoSections(beforeText || '');
+  const after = splitIntoSections(afterText || '');
+  const ops = alignSections(before.map(normalizeForComparison), after.map(normalizeForComparison));
+
+  const changes = [];
+  const unchanged = [];
+  let removedRun = [];
+  let addedRun = [];
+
+  // Pairs up the removed and added sections of one run of changes
+  const flushRun = () => {
+    const addedLeft = [...addedRun];
+    for (const removed of removedRun) {
+      let bestIndex = -1;
+      let bestScore = SECTION_SIMILARITY_THRESHOLD;
+      addedLeft.forEach((added, index) => {
+        const score = sectionSimilarity(removed, added);
+        if (score >= bestScore) { bestScore = score; bestIndex = index; }
+      });
+      if (bestIndex !== -1) {
+        changes.push({ type: 'modified', before: removed, after: addedLeft[bestIndex] });
+        addedLeft.splice(bestIndex, 1);
+      } else {
+        changes.push({ type: 'removed', before: removed });
+      }
+    }
+    addedLeft.forEach(added => changes.push({ type: 'added', after: added }));
+    removedRun = [];
+    addedRun = [];
+  };
+
+  for (const op of ops) {
+    if (op.type === 'same') {
+      flushRun();
+      unchanged.push(after[op.afterIndex]);
+    } else if (op.type === 'removed') {
+      removedRun.push(before[op.beforeIndex]);
+    } else {
+      addedRun.push(after[op.afterIndex]);
+    }
+  }
+  flushRun();
+
+  const count = type => changes.filter(change => change.type === type).length;
+  return { changes, unchanged, added: count('added'), removed: count('removed'), modified: count('modified') };
+}
+
+/**
+ * Compares the concerning clauses of two results. A result can hold several
+ * clauses with the same title (one per quoted passage), so clauses are paired
+ * by title and quote: first identical quotes, then overlapping ones (see
+ * clauseQuotesOverlap()), then the remaining same-title clauses in order.
+ * A paired clause counts as modified when its severity or quote changed;
+ * clauses left without a partner are added or removed.
+ * @param {object[]} beforeClauses
+ * @param {object[]} afterClauses
+ * @returns {{added: object[], removed: object[], modified: {before: object, after: object}[]}}
+ */
+function diffClauses(beforeClauses, afterClauses) {
+  const keyOf = clause => normalizeForComparison(clause.title);
+  const quoteOf = clause => normalizeForComparison(clause.sourceQuote || clause.quote);
+  const unmatchedBefore = [...(beforeClauses || [])];
+  const unmatchedAfter = [...(afterClauses || [])];
+  const pairs = [];
+
+  const pairUp = isSamePassage => {
+    for (const clause of [...unmatchedAfter]) {
+      const previous = unmatchedBefore.find(candidate => keyOf(candidate) === keyOf(clause) && isSamePassage(candidate, clause));
+      if (!previous) continue;
+      unmatchedBefore.splice(unmatchedBefore.indexOf(previous), 1);
+      unmatchedAfter.splice(unmatchedAfter.indexOf(clause), 1);
+      pairs.push({ before: previous, after: clause });
+    }
+  };
+  pairUp((a, b) => quoteOf(a) === quoteOf(b));
+  pairUp(clauseQuotesOverlap);
+  pairUp(() => true);
+
+  const order = new Map((afterClauses || []).map((clause, index) => [clause, index]));
+  pairs.sort((a, b) => order.get(a.after) - order.get(b.after));
+  const modified = pairs.filter(({ before, after }) => before.severity !== after.severity || quoteOf(before) !== quoteOf(after));
+  return { added: unmatchedAfter, removed: unmatchedBefore, modified };
+}
+
+/**
+ * Analyzes a new version of a watched policy, re-running the analysis only on
+ * the sections that changed since the previous version. Clauses whose quote is
+ * still in an unchanged section are carried over from the previous result.
+ * @param {object} previous - The previous version ({id, capturedAt, text, result}).
+ * @param {string} text - The new version's text.
+ * @param {function(number, number): void} [onProgress] - Passed on to processWithAI.
+ * @returns {Promise<object>} - The result for the new version, with a `changes` report:
+ *   { previousVersionId, previousCapturedAt, sections: diffSections() output without `unchanged`,
+ *     clauses: diffClauses() output }
+ */
+async function analyzeChangedVersion(previous, text, onProgress) {
+  const sectionDiff = diffSections(previous.text, text);
+  const changedText = sectionDiff.changes
+    .filter(change => change.after)
+    .map(change => change.after)
+    .join('\n\n');
+  console.log(`Section diff: ${sectionDiff.added} added, ${sectionDiff.removed} removed, ${sectionDiff.modified} modified.`);
+
+  // Keep the old clauses whose quote is still found in the unchanged sections
+  const unchangedText = sectionDiff.unchanged.join('\n\n');
+  const unchangedTokens = tokenizeWithOffsets(unchangedText);
+  const carriedOver = (previous.result?.concerningClauses || []).filter(clause => {
+    const match = locateQuote(clause.sourceQuote || clause.quote, unchangedText, unchangedTokens);
+    return match && match.score >= QUOTE_MATCH_THRESHOLD;
+  });
+
+  let partial = { summary: '', concerningClauses: [], coverage: { analyzedChars: 0, chunksAnalyzed: 0, totalChunks: 0 } };
+  if (changedText.trim()) {
+    partial = await processWithAI(changedText, onProgress);
+  }
+
+  // New findings first, then what still applies from the previous analysis
+  const merged = mergeChunkResults([
+    partial,
+    { summary: previous.result?.summary || '', concerningClauses: carriedOver }
+  ]);
+  verifyClauseQuotes(merged.concerningClauses, text);
+  if (partial.engine) merged.engine = partial.engine;
+  merged.coverage = {
+    totalChars: text.length,
+    // Unchanged sections count as covered by the previous analysis
+    analyzedChars: Math.min(text.length, text.length - changedText.length + partial.coverage.analyzedChars),
+    chunksAnalyzed: partial.coverage.chunksAnalyzed,
+    totalChunks: partial.coverage.totalChunks
+  };
+  merged.changes = {
+    previousVersionId: previous.id,
+    previousCapturedAt: previous.capturedAt,
+    sections: { changes: sectionDiff.changes, added: sectionDiff.added, removed: sectionDiff.removed, modified: sectionDiff.modified },
+    clauses: diffClauses(previous.result?.concerningClauses, merged.concerningClauses)
+  };
+  return merged;
+}
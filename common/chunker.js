@@ -0,0 +1,242 @@
+/**
+ * chunker.js: Splits long documents into section-aware chunks and merges
+ * the per-chunk analysis results back into a single result.
+ * - splitIntoChunks() prefers section/paragraph boundaries, then sentences,
+ *   and gives each chunk's offsets in the document.
+ * - mergeChunkResults() de-duplicates summary bullets and concerning clauses.
+ * Used by the background script (common/analysis.js, common/changes.js). Loaded as a plain script (functions are shared globals).
+ */
+
+/** Maximum characters sent to the AI in a single request. */
+const CHUNK_MAX_CHARS = 10000;
+
+/** Upper bound on AI requests per document (keeps free-tier quotas sane). */
+const MAX_CHUNKS = 20;
+
+/** Severity ranking used when merging duplicate clauses. */
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+/** Clause fields that locate it in the text; merging always takes them from the clause whose explanation is kept. */
+const CLAUSE_QUOTE_FIELDS = ['quote', 'sourceQuote', 'sourceOffset', 'verified'];
+
+/**
+ * The trimmed part of text[start..end), with its offsets in text.
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ * @returns {{text: string, start: number, end: number}|null} - Null when it is only whitespace.
+ */
+function trimmedRange(text, start, end) {
+  const raw = text.substring(start, end);
+  const trimmed = raw.trim();
+  if (!trimmed) return null;
+  const leading = raw.length - raw.trimStart().length;
+  return { text: trimmed, start: start + leading, end: start + leading + trimmed.length };
+}
+
+/**
+ * Finds the pieces of text at likely section boundaries, with their offsets.
+ * Works both on text with newlines (PDF) and whitespace-collapsed text (HTML),
+ * where numbered headings like "12. Arbitration" or "Section 4" appear inline.
+ * @param {string} text - The full document text.
+ * @returns {{text: string, start: number, end: number}[]} - Section-sized pieces (trimmed), in document order.
+ */
+function findSectionRanges(text) {
+  // Blank lines, or a sentence end followed by a numbered / labelled heading
+  const boundary = /\n\s*\n|(?<=[.;:!?)\]])\s+(?=(?:\d{1,2}(?:\.\d{1,2})*\.?|[IVX]{1,5}\.|Section\s+\d+|SECTION\s+\d+|Article\s+\d+|ARTICLE\s+[\dIVX]+)\s+[A-Z])/g;
+  const sections = [];
+  let lastIndex = 0;
+  let match;
+  while ((match = boundary.exec(text)) !== null) {
+    const piece = trimmedRange(text, lastIndex, match.index);
+    if (piece) sections.push(piece);
+    lastIndex = match.index + match[0].length;
+  }
+  const tail = trimmedRange(text, lastIndex, text.length);
+  if (tail) sections.push(tail);
+  return sections;
+}
+
+/**
+ * Splits text into pieces at likely section boundaries (see findSectionRanges()).
+ * @param {string} text - The full document text.
+ * @returns {string[]} - Section-sized pieces, in document order.
+ */
+function splitIntoSections(text) {
+  return findSectionRanges(text).map(section => section.text);
+}
+
+/**
+ * Splits an oversized piece at sentence boundaries (hard split as last resort).
+ * @param {string} piece - Text longer than maxChars.
+ * @param {number} maxChars - Maximum chunk length.
+ * @returns {{text: string, start: number, end: number}[]} - The parts (trimmed), with their offsets in piece.
+ */
+function splitBySentences(piece, maxChars) {
+  const sentences = [...piece.matchAll(/[^.!?]+(?:[.!?]+["')\]]*\s*|$)/g)];
+  if (sentences.length === 0) sentences.push({ 0: piece, index: 0 });
+  const parts = [];
+  let currentStart = null; // Where the sentences collected so far start
+  let currentEnd = 0;
+  const flush = () => {
+    if (currentStart === null) return;
+    const part = trimmedRange(piece, currentStart, currentEnd);
+    if (part) parts.push(part);
+    currentStart = null;
+  };
+  for (const sentence of sentences) {
+    const start = sentence.index;
+    const end = start + sentence[0].length;
+    if (end - start > maxChars) {
+      // A single run-on "sentence" (tables, lists without punctuation)
+      flush();
+      for (let i = start; i < end; i += maxChars) {
+        const part = trimmedRange(piece, i, Math.min(i + maxChars, end));
+        if (part) parts.push(part);
+      }
+      continue;
+    }
+    if (currentStart !== null && end - currentStart > maxChars) flush();
+    if (currentStart === null) currentStart = start;
+    currentEnd = end;
+  }
+  flush();
+  return parts;
+}
+
+/**
+ * Splits a document into chunks no longer than maxChars, keeping sections
+ * together where possible so clauses are not cut in half. The pieces of a
+ * chunk are trimmed and joined with blank lines, so each chunk also gives
+ * where it starts and ends in the text.
+ * @param {string} text - The full document text.
+ * @param {number} [maxChars=CHUNK_MAX_CHARS] - Maximum chunk length.
+ * @returns {{text: string, start: number, end: number}[]} - Chunks in document order, with their offsets in text.
+ */
+function splitIntoChunks(text, maxChars = CHUNK_MAX_CHARS) {
+  if (!text) return [];
+  if (text.length <= maxChars) return [{ text, start: 0, end: text.length }];
+
+  const chunks = [];
+  let current = null;
+  for (const section of findSectionRanges(text)) {
+    const pieces = section.text.length > maxChars
+      ? splitBySentences(section.text, maxChars).map(part => ({ ...part, start: section.start + part.start, end: section.start + part.end }))
+      : [section];
+    for (const piece of pieces) {
+      if (current && current.text.length + piece.text.length + 2 > maxChars) {
+        chunks.push(current);
+        current = null;
+      }
+      current = current
+        ? { text: current.text + '\n\n' + piece.text, start: current.start, end: piece.end }
+        : { ...piece };
+    }
+  }
+  if (current) chunks.push(current);
+  console.log(`Split ${text.length} characters into ${chunks.length} chunks.`);
+  return chunks;
+}
+
+/**
+ * Normalizes a string for duplicate detection (case, punctuation, markup).
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeForComparison(value) {
+  return (value || '')
+    .replace(/<[^>]*>/g, ' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Extracts the bullet items (inner HTML) from a parsed summary.
+ * Falls back to the paragraph content when the summary is not a list.
+ * @param {string} summaryHtml - Summary HTML as produced by parseAIResponse.
+ * @returns {string[]}
+ */
+function getSummaryItems(summaryHtml) {
+  if (!summaryHtml) return [];
+  const items = [...summaryHtml.matchAll(/<li>([\s\S]*?)<\/li>/g)].map(m => m[1].trim());
+  if (items.length > 0) return items;
+  const paragraph = summaryHtml.replace(/^<p>|<\/p>$/g, '').trim();
+  return paragraph && !/could not be parsed/i.test(paragraph) ? [paragraph] : [];
+}
+
+/**
+ * Checks whether two clauses quote the same passage: one normalized quote
+ * contains the other. A clause without a quote matches any quote.
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+function clauseQuotesOverlap(a, b) {
+  const quoteA = normalizeForComparison(a.sourceQuote || a.quote);
+  const quoteB = normalizeForComparison(b.sourceQuote || b.quote);
+  return !quoteA || !quoteB || quoteA.includes(quoteB) || quoteB.includes(quoteA);
+}
+
+/**
+ * Merges per-chunk analysis results into one result.
+ * Summary bullets are concatenated and de-duplicated; clauses with the same
+ * title that quote the same passage are merged, keeping the highest severity
+ * and the longest explanation (with its quote). Same-title clauses quoting
+ * different passages are kept apart.
+ * @param {object[]} results - Parsed results ({summary, concerningClauses}) in chunk order.
+ * @returns {object} - A single {summary, concerningClauses, sectionSummaries} result.
+ */
+function mergeChunkResults(results) {
+  const seenBullets = new Set();
+  const bullets = [];
+  const clausesByKey = new Map();
+  const sectionSummaries = [];
+
+  for (const result of results) {
+    // Each section is listed in the prompt of the chunk it starts in, so ids don't repeat
+    sectionSummaries.push(...(result.sectionSummaries || []));
+
+    for (const item of getSummaryItems(result.summary)) {
+      const key = normalizeForComparison(item);
+      if (key && !seenBullets.has(key)) {
+        seenBullets.add(key);
+        bullets.push(item);
+      }
+    }
+
+    for (const clause of result.concerningClauses || []) {
+      const key = normalizeForComparison(clause.title);
+      const sameTitle = clausesByKey.get(key) || [];
+      clausesByKey.set(key, sameTitle);
+      const existing = sameTitle.find(candidate => clauseQuotesOverlap(candidate, clause));
+      if (!existing) {
+        sameTitle.push({ ...clause });
+        continue;
+      }
+      if ((SEVERITY_RANK[clause.severity] || 0) > (SEVERITY_RANK[existing.severity] || 0)) {
+        existing.severity = clause.severity;
+      }
+      if ((clause.text || '').length > (existing.text || '').length) {
+        existing.text = clause.text;
+        for (const field of CLAUSE_QUOTE_FIELDS) {
+          if (field in clause) existing[field] = clause[field];
+          else delete existing[field];
+        }
+      }
+      if (existing.category === 'general' && clause.category) {
+        existing.category = clause.category;
+      }
+    }
+  }
+
+  const concerningClauses = [...clausesByKey.values()].flat();
+  // Same ordering as parseAIResponse: High severity first, otherwise stable
+  concerningClauses.sort((a, b) => (a.severity === 'high' ? 0 : 1) - (b.severity === 'high' ? 0 : 1));
+
+  const summary = bullets.length > 0
+    ? '<ul>' + bullets.map(bullet => `<li>${bullet}</li>`).join('') + '</ul>'
+    : '<p>Summary could not be parsed.</p>';
+
+  return { summary, concerningClauses, sectionSummaries };
+}
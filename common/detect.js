@@ -0,0 +1,179 @@
+/**
+ * detect.js: Decides whether a tab shows a PDF, and which one.
+ * A URL ending in .pdf is only the easy case; this also recognizes
+ * - URLs with query strings or fragments (report.pdf?download=1),
+ * - documents served as application/pdf without the extension (checked with a
+ *   HEAD request, or the first bytes of the file when HEAD is not answered),
+ * - blob: and file:// PDFs shown in Firefox's PDF viewer,
+ * - PDFs embedded in a page with <embed>, <object> or <iframe>.
+ * findEmbeddedPdfs() and describePdfPage() run in the content script;
+ * detectPdfInTab() and sniffPdfUrl() run in the background script.
+ * Loaded as a plain script (functions are shared globals).
+ */
+
+const PDF_MIME_TYPE = 'application/pdf';
+
+/** An embedded PDF covering at least this share of the viewport is taken to be the page's document. */
+const MIN_EMBEDDED_PDF_COVERAGE = 0.4;
+
+/** Below this much page text, an embedded PDF of any size is taken to be the document. */
+const MAX_PAGE_TEXT_WITH_EMBEDDED_PDF = 1500;
+
+/** Most undeclared frames whose content type is checked over the network. */
+const MAX_SNIFFED_FRAMES = 3;
+
+const PDF_SNIFF_TIMEOUT_MS = 5000;
+
+/**
+ * Whether a URL names a PDF by itself: its path ends in .pdf (ignoring the
+ * query string and fragment) or it is a PDF data: URL.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function looksLikePdfUrl(url) {
+  if (!url) return false;
+  if (/^data:application\/pdf[;,]/i.test(url)) return true;
+  try {
+    const { pathname } = new URL(url);
+    return /\.pdf$/i.test(decodeURIComponent(pathname));
+  } catch (error) {
+    return false; // Not a URL (or a malformed escape)
+  }
+}
+
+/**
+ * Whether a buffer starts like a PDF file. The "%PDF-" signature may be
+ * preceded by junk, which readers tolerate within the first kilobyte.
+ * @param {ArrayBuffer} buffer
+ * @returns {boolean}
+ */
+function isPdfData(buffer) {
+  const head = new TextDecoder('latin1').decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 1024)));
+  return head.includes('%PDF-');
+}
+
+/**
+ * Lists the PDFs embedded in a page with <embed>, <object> or <iframe>.
+ * Elements declared as PDF (by type or URL) are always listed; other large
+ * embeds and frames are listed as undeclared candidates whose content type is
+ * unknown (frames of another origin can't be inspected from here).
+ * @param {Document} [doc=document]
+ * @returns {{url: string, declared: boolean, coverage: number | null}[]} - Coverage is the share
+ *   of the viewport the element covers (null without layout, e.g. a parsed document).
+ */
+function findEmbeddedPdfs(doc = document) {
+  const view = doc.defaultView;
+  const viewportArea = view ? Math.max(1, view.innerWidth * view.innerHeight) : 0;
+  const found = new Map();
+  for (const element of doc.querySelectorAll('embed, object, iframe')) {
+    if (element.closest('[data-legaleyes-ui]')) continue;
+    const rawUrl = element.tagName === 'OBJECT' ? element.getAttribute('data') : element.getAttribute('src');
+    if (!rawUrl) continue;
+    let url;
+    try {
+      url = new URL(rawUrl, doc.baseURI).href;
+    } catch (error) {
+      continue;
+    }
+    if (!/^(https?|blob|file|data):/i.test(url) || found.has(url)) continue;
+
+    const declared = (element.getAttribute('type') || '').toLowerCase() === PDF_MIME_TYPE || looksLikePdfUrl(url);
+    let coverage = null;
+    if (view) {
+      const rect = element.getBoundingClientRect();
+      coverage = Math.min(1, (rect.width * rect.height) / viewportArea);
+    }
+    if (declared || element.tagName !== 'IFRAME' || (coverage !== null && coverage >= MIN_EMBEDDED_PDF_COVERAGE)) {
+      found.set(url, { url, declared, coverage });
+    }
+  }
+  return [...found.values()];
+}
+
+/**
+ * Describes the current page for detectPdfInTab().
+ * @param {Document} [doc=document]
+ * @returns {{contentType: string, textLength: number, embeddedPdfs: object[]}}
+ */
+function describePdfPage(doc = document) {
+  return {
+    contentType: doc.contentType || '',
+    textLength: (doc.body ? doc.body.innerText || doc.body.textContent || '' : '').trim().length,
+    embeddedPdfs: findEmbeddedPdfs(doc)
+  };
+}
+
+/**
+ * Checks over the network whether a URL serves a PDF: first its Content-Type
+ * (or attachment file name) from a HEAD request, then, when that is missing
+ * or generic, the signature in the first bytes of the file.
+ * @param {string} url - An http(s) URL.
+ * @returns {Promise<boolean>} - False when the check fails.
+ */
+async function sniffPdfUrl(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PDF_SNIFF_TIMEOUT_MS);
+  try {
+    const head = await fetch(url, { method: 'HEAD', credentials: 'include', signal: controller.signal }).catch(() => null);
+    if (head && head.ok) {
+      const contentType = (head.headers.get('content-type') || '').toLowerCase();
+      const disposition = head.headers.get('content-disposition') || '';
+      if (contentType.includes(PDF_MIME_TYPE) || /filename\*?=[^;]*\.pdf\b/i.test(disposition)) return true;
+      if (/^(text\/|image\/|application\/(xhtml|json|javascript))/.test(contentType)) return false;
+    }
+    // No answer or a generic type (e.g. application/octet-stream): look at the bytes
+    const response = await fetch(url, { headers: { Range: 'bytes=0-1023' }, credentials: 'include', signal: controller.signal });
+    if (!response.ok || !response.body) return false;
+    const reader = response.body.getReader();
+    const { value } = await reader.read();
+    reader.cancel().catch(() => {}); // Don't download the rest when the server ignored the range
+    return Boolean(value) && isPdfData(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+  } catch (error) {
+    console.warn(`Could not check whether ${url} is a PDF:`, error);
+    return false;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Finds the PDF a tab shows, if any: the tab's own document, or a PDF embedded
+ * in its page that is the page's main content.
+ * @param {number} tabId
+ * @param {string} url - The tab's URL.
+ * @returns {Promise<{url: string, embedded: boolean} | null>} - The PDF's URL, or null for an HTML page.
+ */
+async function detectPdfInTab(tabId, url) {
+  if (looksLikePdfUrl(url)) return { url, embedded: false };
+
+  let page = null;
+  try {
+    page = await browser.tabs.sendMessage(tabId, { action: "detectPdf" });
+  } catch (error) {
+    // No content script: Firefox's PDF viewer (or a page extensions can't access)
+    console.log("Content script unreachable for PDF detection:", error.message);
+  }
+
+  if (!page) {
+    if (/^(blob|file):/i.test(url)) return { url, embedded: false };
+    if (/^https?:/i.test(url) && await sniffPdfUrl(url)) return { url, embedded: false };
+    return null;
+  }
+  if ((page.contentType || '').toLowerCase() === PDF_MIME_TYPE) return { url, embedded: false };
+
+  // Largest first; only a PDF that dominates the page (or a page with little else) is taken
+  const candidates = [...(page.embeddedPdfs || [])].sort((a, b) => (b.coverage || 0) - (a.coverage || 0));
+  let sniffed = 0;
+  for (const candidate of candidates) {
+    const isMain = (candidate.coverage || 0) >= MIN_EMBEDDED_PDF_COVERAGE || page.textLength < MAX_PAGE_TEXT_WITH_EMBEDDED_PDF;
+    if (!isMain) continue;
+    if (!candidate.declared) {
+      if (!/^https?:/i.test(candidate.url) || sniffed >= MAX_SNIFFED_FRAMES) continue;
+      sniffed++;
+      if (!await sniffPdfUrl(candidate.url)) continue;
+    }
+    console.log(`Found an embedded PDF: ${candidate.url}`);
+    return { url: candidate.url, embedded: true };
+  }
+  return null;
+}
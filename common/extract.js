@@ -0,0 +1,824 @@
+/**
+ * extract.js: Finds the Terms & Conditions text in a document.
+ * Used by the content script on the live page and by the background script on
+ * pages it fetches itself (re-checks of watched policies), so both produce the
+ * same text for the same page.
+ * Candidate containers are ranked by a content score (text length, legal wording,
+ * link density, page furniture; see rankTermsCandidates()), so cookie banners,
+ * footers and sidebars lose to the terms. The chosen container comes with a
+ * report (strategy, confidence, length, preview) and the runners-up, so the
+ * user can check it and pick another before the analysis. A site's saved
+ * rule (common/siterules.js) is tried before all of them; buildStableSelector()
+ * makes the selectors those rules are saved with.
+ * The text keeps the document's structure (see getStructuredText()): headings,
+ * paragraphs, list items with their numbers and table rows each start a new
+ * paragraph, so clause numbering and section context reach the AI and the outline.
+ * Open shadow roots (web components) are read as the browser renders them, and
+ * cross-origin frames are asked for their terms through their own content
+ * script (see requestFrameTerms()).
+ * findTextImages() lists large images that may hold the terms as a picture (read with OCR).
+ * Loaded as a plain script (functions are shared globals).
+ */
+
+/**
+ * Gets the text content of an element and its descendants,
+ * excluding the content of <script> and <style> tags.
+ * @param {Node} node The node to extract text from.
+ * @returns {string} The filtered text content.
+ */
+function getTextContentWithoutScriptsStyles(node) {
+  if (!node) return '';
+
+  let text = '';
+  // Create a clone to avoid modifying the original DOM while iterating (optional but safer)
+  const clone = node.cloneNode(true);
+
+  // Remove script and style elements from the clone
+  clone.querySelectorAll('script, style').forEach(el => el.remove());
+
+  // Use textContent on the cleaned clone
+  text = clone.textContent || '';
+
+  // Optional: Clean up excessive whitespace often left by removed elements
+  return text.replace(/\s{2,}/g, ' ').trim();
+}
+
+/** Elements whose content is never part of the terms text. */
+const STRUCTURE_SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'canvas']);
+
+/** Elements that start a new block of text (the rest are inline). Tag names, not computed styles, so parsed documents give the same result. */
+const STRUCTURE_BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'caption', 'center', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'header', 'hgroup', 'hr', 'legend', 'main', 'nav', 'p',
+  'pre', 'section', 'summary'
+]);
+
+/**
+ * Formats the number of an ordered list item the way the browser shows it.
+ * @param {number} number
+ * @param {string} type - The list's `type` attribute: '1', 'a', 'A', 'i' or 'I'.
+ * @returns {string}
+ */
+function formatListNumber(number, type) {
+  if ((type === 'a' || type === 'A') && number >= 1 && number <= 26) {
+    const letter = String.fromCharCode(96 + number);
+    return type === 'A' ? letter.toUpperCase() : letter;
+  }
+  if ((type === 'i' || type === 'I') && number >= 1 && number < 40) {
+    const numerals = [[10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+    let roman = '';
+    let rest = number;
+    for (const [value, numeral] of numerals) {
+      while (rest >= value) { roman += numeral; rest -= value; }
+    }
+    return type === 'I' ? roman.toUpperCase() : roman;
+  }
+  return String(number);
+}
+
+/**
+ * The children of a node as the browser renders them: an element with an open
+ * shadow root shows its shadow tree (where the element's own children appear
+ * in <slot>s), and a slot shows the nodes assigned to it, or its fallback
+ * content. Closed shadow roots can't be read.
+ * @param {Node} node
+ * @returns {NodeList|Node[]}
+ */
+function composedChildNodes(node) {
+  if (node.shadowRoot) return node.shadowRoot.childNodes;
+  if (node.localName === 'slot' && typeof node.assignedNodes === 'function') {
+    const assigned = node.assignedNodes({ flatten: true });
+    if (assigned.length > 0) return assigned;
+  }
+  return node.childNodes;
+}
+
+/**
+ * Lists a document and the open shadow roots inside it, nested ones included,
+ * so queries reach the content of web components. LegalEyes' own panels are left out.
+ * @param {Document|Element|ShadowRoot} root
+ * @returns {(Document|Element|ShadowRoot)[]} - The root first.
+ */
+function listSearchRoots(root) {
+  const roots = [root];
+  for (let i = 0; i < roots.length; i++) {
+    for (const element of roots[i].querySelectorAll('*')) {
+      if (element.shadowRoot && !element.hasAttribute('data-legaleyes-ui')) roots.push(element.shadowRoot);
+    }
+  }
+  return roots;
+}
+
+/**
+ * Whether a node is inside an element, looking through shadow root boundaries.
+ * @param {Element} ancestor
+ * @param {Node} node
+ * @returns {boolean}
+ */
+function containsComposed(ancestor, node) {
+  for (let current = node; current; current = current.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? current.host : current.parentNode) {
+    if (current === ancestor) return true;
+  }
+  return false;
+}
+
+/**
+ * Reads the content of elements as a list of blocks: headings with their
+ * level, paragraphs, list items with their marker ("3.", "b.", "•") and
+ * nesting depth, and tables as rows of cells. Scripts, styles and hidden
+ * elements are skipped; whitespace inside a block is collapsed. Open shadow
+ * roots are read in place of their host's children (see composedChildNodes()).
+ * @param {Node[]} nodes - The elements (or text nodes) to read, in document order.
+ * @returns {object[]} - Blocks: {type: 'heading', level, text}, {type: 'paragraph', text},
+ *   {type: 'listItem', marker, depth, text} or {type: 'table', rows: string[][]}.
+ */
+function extractStructuredBlocks(nodes) {
+  const blocks = [];
+  let buffer = '';
+  let pendingItem = null; // The list item whose text comes next ({marker, depth})
+
+  const takeBuffer = () => {
+    const text = buffer.replace(/\s+/g, ' ').trim();
+    buffer = '';
+    return text;
+  };
+  const flush = () => {
+    const text = takeBuffer();
+    if (!text) return;
+    if (pendingItem) {
+      blocks.push({ type: 'listItem', marker: pendingItem.marker, depth: pendingItem.depth, text });
+      pendingItem = null;
+    } else {
+      blocks.push({ type: 'paragraph', text });
+    }
+  };
+
+  const visitList = (list, depth) => {
+    const ordered = list.localName === 'ol';
+    const type = list.getAttribute('type') || '1';
+    let number = parseInt(list.getAttribute('start'), 10) || 1;
+    for (const item of list.children) {
+      if (item.localName !== 'li') {
+        visit([item], depth); // E.g. a list nested straight in a list
+        continue;
+      }
+      const value = parseInt(item.getAttribute('value'), 10);
+      if (ordered && value) number = value;
+      flush();
+      pendingItem = { marker: ordered ? `${formatListNumber(number, type)}.` : '•', depth };
+      visit(composedChildNodes(item), depth + 1);
+      flush();
+      pendingItem = null;
+      number++;
+    }
+  };
+
+  const visit = (children, depth) => {
+    for (const node of children) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        buffer += node.data;
+        continue;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+      const tag = node.localName;
+      if (STRUCTURE_SKIP_TAGS.has(tag) || node.hasAttribute('hidden') || node.hasAttribute('data-legaleyes-ui')) continue;
+
+      if (tag === 'br') {
+        buffer += ' ';
+      } else if (/^h[1-6]$/.test(tag)) {
+        flush();
+        visit(composedChildNodes(node), depth);
+        const text = takeBuffer();
+        if (text) blocks.push({ type: 'heading', level: Number(tag[1]), text });
+      } else if (tag === 'ol' || tag === 'ul') {
+        flush();
+        visitList(node, depth);
+      } else if (tag === 'table' && Array.from(node.rows || []).some(row => row.cells.length > 1)) {
+        // Data tables become rows of cells; single-column (layout) tables are read like any container
+        flush();
+        const rows = Array.from(node.rows, row => Array.from(row.cells, cell =>
+          formatStructuredBlocks(extractStructuredBlocks([cell])).replace(/\s+/g, ' ').trim()))
+          .filter(row => row.some(Boolean));
+        if (rows.length > 0) blocks.push({ type: 'table', rows });
+      } else if (STRUCTURE_BLOCK_TAGS.has(tag) || tag === 'li' || tag === 'table' || tag === 'tr' || tag === 'td' || tag === 'th') {
+        flush();
+        visit(composedChildNodes(node), depth);
+        flush();
+      } else {
+        visit(composedChildNodes(node), depth); // Inline element
+      }
+    }
+  };
+
+  visit(nodes, 0);
+  flush();
+  return blocks;
+}
+
+/**
+ * Joins blocks into the analyzed text: one paragraph per block (separated by
+ * blank lines), list items with their marker and indented by depth, table rows
+ * on their own lines with cells separated by " | ".
+ * @param {object[]} blocks - From extractStructuredBlocks().
+ * @returns {string}
+ */
+function formatStructuredBlocks(blocks) {
+  return blocks.map(block => {
+    if (block.type === 'listItem') return `${'  '.repeat(block.depth)}${block.marker} ${block.text}`;
+    if (block.type === 'table') return block.rows.map(row => row.join(' | ')).join('\n');
+    return block.text;
+  }).join('\n\n');
+}
+
+/**
+ * Gets the text of elements with their structure (see extractStructuredBlocks()).
+ * @param {Node|Node[]} nodes - An element, or several in document order.
+ * @returns {{text: string, blocks: object[]}}
+ */
+function getStructuredText(nodes) {
+  const blocks = extractStructuredBlocks(Array.isArray(nodes) ? nodes : [nodes].filter(Boolean));
+  return { text: formatStructuredBlocks(blocks), blocks };
+}
+
+/** Most headings passed on for the document outline (common/outline.js). */
+const MAX_DOCUMENT_HEADINGS = 200;
+
+/**
+ * Lists the headings of extracted text, for the document outline.
+ * @param {object[]} [blocks] - From extractStructuredBlocks().
+ * @returns {{title: string, level: number}[]} - In document order; level 1 for h1...
+ */
+function listBlockHeadings(blocks) {
+  return (blocks || [])
+    .filter(block => block.type === 'heading' && block.text.length <= 150)
+    .slice(0, MAX_DOCUMENT_HEADINGS)
+    .map(block => ({ title: block.text, level: block.level }));
+}
+
+/**
+ * Waits for a same-origin frame to load and returns its body.
+ * @param {HTMLIFrameElement} iframe
+ * @param {number} timeoutMs
+ * @returns {Promise<HTMLElement>}
+ * @throws {Error} On timeout, or when the frame's document can't be read (cross-origin).
+ */
+async function getIframeContentWithTimeout(iframe, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      reject(new Error(`Timeout waiting for iframe content after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    iframe.addEventListener('load', () => {  // Listen for the 'load' event
+      clearTimeout(timeoutId);
+      try {
+        if (iframe.contentDocument) {
+          resolve(iframe.contentDocument.body);
+        } else {
+          reject(new Error("iframe.contentDocument is null"));
+        }
+      } catch (e) {
+        reject(e); // Reject if there's an error accessing content
+      }
+    });
+
+    // Check immediately if iframe is already loaded (in cache)
+    if (iframe.contentDocument && iframe.contentDocument.readyState === 'complete') {
+        iframe.dispatchEvent(new Event('load')); // Manually trigger the load event
+    }
+  });
+}
+
+/** How long a frame has to load or answer a request for its terms. */
+const FRAME_TERMS_TIMEOUT_MS = 3000;
+
+/** Type of the request posted to a frame (see requestFrameTerms()). */
+const FRAME_REQUEST_TYPE = 'legaleyes-extract-frame';
+
+/** Requests to cross-origin frames that haven't been answered yet: token -> resolve function. */
+const pendingFrameRequests = new Map();
+
+/** Tokens this frame has answered (or is answering); a request is answered once, however often it is posted. */
+const answeredFrameTokens = new Set();
+
+/**
+ * Asks the content script of a cross-origin frame (whose document this frame
+ * can't read) for the frame's terms. Only a random token and this frame's id
+ * are posted to the frame; it extracts its own terms and sends them back
+ * through the background script, which passes them to this frame only (see
+ * answerFrameRequest()), so the page never sees the text.
+ * @param {HTMLIFrameElement} iframe
+ * @param {number} timeoutMs
+ * @returns {Promise<object|null>} - The frame's extraction report (extractTermsStructure(), without
+ *   its runners-up); null when the frame found no terms.
+ * @throws {Error} On timeout, e.g. when no content script runs in the frame.
+ */
+function requestFrameTerms(iframe, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const token = crypto.randomUUID();
+    const timeoutId = setTimeout(() => {
+      pendingFrameRequests.delete(token);
+      reject(new Error(`Timeout waiting for frame ${iframe.src} after ${timeoutMs}ms`));
+    }, timeoutMs);
+    pendingFrameRequests.set(token, terms => {
+      clearTimeout(timeoutId);
+      resolve(terms);
+    });
+    const frameId = browser.runtime.getFrameId(window);
+    iframe.contentWindow.postMessage({ type: FRAME_REQUEST_TYPE, token, frameId }, '*');
+  });
+}
+
+/**
+ * Takes a frame's answer to requestFrameTerms() (relayed by the background
+ * script to the frame that asked).
+ * @param {string} token
+ * @param {object|null} terms
+ * @returns {boolean} - Whether this frame was waiting for it.
+ */
+function receiveFrameTerms(token, terms) {
+  const resolve = pendingFrameRequests.get(token);
+  if (!resolve) return false;
+  pendingFrameRequests.delete(token);
+  resolve(terms);
+  return true;
+}
+
+/**
+ * Answers the parent frame's request for this frame's terms (see requestFrameTerms()).
+ * @param {MessageEvent} event - A message posted to this frame; others are ignored.
+ */
+async function answerFrameRequest(event) {
+  if (window === window.top || event.source !== window.parent) return;
+  const { type, token, frameId } = event.data || {};
+  if (type !== FRAME_REQUEST_TYPE || typeof token !== 'string' || !Number.isInteger(frameId)) return;
+  // A request posted again (by the page, or the parent retrying) is answered once
+  if (answeredFrameTokens.has(token)) return;
+  answeredFrameTokens.add(token);
+  let terms = null;
+  try {
+    terms = await extractTermsStructure(document, window.location.href);
+    if (terms) delete terms.candidates; // The parent only compares the frame's best match
+  } catch (error) {
+    console.warn(`Error extracting the terms of frame ${window.location.href}: ${error.message}`);
+  }
+  browser.runtime.sendMessage({ action: 'frameTerms', token, frameId, terms })
+    .catch(error => console.warn("Could not send the frame's terms:", error.message));
+}
+
+/**
+ * Finds the Terms & Conditions text in a document.
+ * @param {Document} [doc=document] - The live page, or a document parsed from fetched HTML.
+ * @param {string} [pageUrl=window.location.href] - The document's URL.
+ * @returns {Promise<string|null>} - The text (see getStructuredText()), or null if nothing substantial was found.
+ */
+async function extractTermsAndConditions(doc = document, pageUrl = window.location.href) {
+  const terms = await extractTermsStructure(doc, pageUrl);
+  return terms ? terms.text : null;
+}
+
+/** Selectors of containers named after the terms (matches are scored like any other candidate, with a bonus). */
+const TERMS_SELECTORS = [
+  '#terms', '#terms-and-conditions', '#termsAndConditions', '#terms-of-service',
+  '#termsOfService', '#tos', '#legal-terms', '#legalTerms', '#legal',
+  '#privacy-policy', '#privacyPolicy', '#privacy',
+  '#user-agreement', '#userAgreement', '#eula', '#license-agreement',
+  '.terms', '.terms-and-conditions', '.termsAndConditions', '.terms-of-service',
+  '.termsOfService', '.tos', '.legal-terms', '.legalTerms', '.legal',
+  '.privacy-policy', '.privacyPolicy', '.privacy',
+  '.user-agreement', '.userAgreement', '.eula', '.license-agreement',
+  'article.terms', 'section.terms', 'div.terms', 'div.legal',
+  'article.policy', 'section.policy', 'div.policy'
+];
+
+/** Headings that introduce the terms. */
+const TERMS_HEADING_KEYWORDS = ['terms', 'conditions', 'terms of service', 'terms of use',
+                                'tos', 'legal', 'agreement', 'privacy policy', 'policy',
+                                'user agreement', 'eula', 'license'];
+
+/** Words typical of legal text; their density tells terms apart from other long text. */
+const LEGAL_KEYWORD_PATTERN = /\b(?:terms|conditions|agree(?:s|d|ment)?|liab(?:le|ility)|warrant(?:y|ies)|indemnif\w*|arbitration|governing law|jurisdiction|terminat\w*|licen[cs]\w*|privacy|personal (?:data|information)|third[- ]part(?:y|ies)|consent|obligations?|shall|hereby|pursuant|disclaim\w*|disputes?|refunds?|cookies?)\b/gi;
+
+/** id/class/role words of page furniture: banners, menus, footers, sidebars... */
+const BOILERPLATE_PATTERN = /cookie|consent|banner|gdpr|footer|nav|menu|sidebar|header|modal|popup|newsletter|comment|breadcrumb|share|social|related|promo|advert|toolbar/i;
+
+/** id/class words of the main content or of the terms themselves. */
+const CONTENT_PATTERN = /terms|legal|policy|privacy|tos\b|agreement|eula|article|content|main|document|body-?text/i;
+
+/** Shortest text accepted as the terms. */
+const TERMS_MIN_CHARS = 500;
+
+/** Legal keywords per 1000 characters above which text reads as terms on any page. */
+const TERMS_MIN_LEGAL_DENSITY = 2;
+
+/** Runner-up candidates reported with the chosen one. */
+const MAX_TERMS_RUNNERS_UP = 4;
+
+/**
+ * Short description of an element for logs and the candidate list, e.g. "div#terms" or "section.legal-body".
+ * @param {Element} element
+ * @returns {string}
+ */
+function describeElement(element) {
+  if (element.id) return `${element.localName}#${element.id}`;
+  const className = typeof element.className === 'string' ? element.className.trim().split(/\s+/)[0] : '';
+  return className ? `${element.localName}.${className}` : element.localName;
+}
+
+/** Shortest text a saved site rule must match to be used (the background script refuses shorter text). */
+const SITE_RULE_MIN_CHARS = 100;
+
+/** Class names that only reflect a state (open, active...) and are left out of selectors. */
+const STATE_CLASS_PATTERN = /^(?:is-|has-)|^(?:active|current|selected|open|show|visible|hidden|collapsed|expanded|loaded|focus|hover)$/i;
+
+/**
+ * Whether an id or class name looks written by hand rather than generated
+ * (hashes, counters, CSS-in-JS and CSS Modules names change between builds).
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isStableName(name) {
+  return Boolean(name) && name.length <= 40 &&
+    !/\d{3,}/.test(name) &&
+    !/^(?:css|sc|jsx|svelte|emotion|ember)-?[\w-]*\d/i.test(name) &&
+    !/(?:^|[_-])(?=[a-z]*\d)(?=\d*[a-z])[a-z\d]{5,}$/i.test(name) &&
+    !/^:|^[\d-]/.test(name);
+}
+
+/**
+ * Builds a CSS selector for an element that should still find it on a later
+ * visit: a hand-written id or class names where they are unique, otherwise a
+ * short path of tag names (with :nth-of-type) from the nearest such ancestor.
+ * Inside a web component the path stops at the top of its shadow root, and the
+ * selector is unique across the document and all its open shadow roots
+ * (findSiteRuleCandidate() searches them the same way).
+ * @param {Element} element
+ * @returns {string|null} - Null when no selector picks out the element alone.
+ */
+function buildStableSelector(element) {
+  const doc = element.ownerDocument;
+  const roots = listSearchRoots(doc);
+  const escape = name => (typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(name) : name.replace(/[^\w-]/g, '\\$&'));
+  const isUnique = selector => {
+    try {
+      const matches = roots.flatMap(root => Array.from(root.querySelectorAll(selector)));
+      return matches.length === 1 && matches[0] === element;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const path = [];
+  for (let current = element; current && current !== doc.documentElement && path.length < 6; current = current.parentElement) {
+    let step;
+    if (current.id && isStableName(current.id)) {
+      step = `#${escape(current.id)}`;
+    } else {
+      const classes = Array.from(current.classList).filter(name => isStableName(name) && !STATE_CLASS_PATTERN.test(name));
+      step = current.localName + classes.slice(0, 2).map(name => `.${escape(name)}`).join('');
+    }
+    if (isUnique([step, ...path].join(' > '))) return [step, ...path].join(' > ');
+
+    // Tell the element from its siblings by position (the parent is a shadow root at the top of a web component)
+    const parent = current.parentElement || current.parentNode;
+    const sameTag = parent ? Array.from(parent.children).filter(sibling => sibling.localName === current.localName) : [];
+    if (sameTag.length > 1 && !step.startsWith('#')) step += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+    path.unshift(step);
+    if (isUnique(path.join(' > '))) return path.join(' > ');
+    if (current === doc.body) break;
+  }
+  return null;
+}
+
+/**
+ * Finds the element a saved site rule points to, in the document or in one of
+ * its open shadow roots (rules picked inside web components point there).
+ * @param {Document} doc
+ * @param {{domain: string, selector: string}} siteRule - See common/siterules.js.
+ * @returns {object|null} - A candidate (strategy 'site-rule') with `metrics` and `score`, or null when
+ *   the selector matches nothing with enough text (the page changed; the generic candidates are used).
+ */
+function findSiteRuleCandidate(doc, siteRule) {
+  let element = null;
+  try {
+    for (const root of listSearchRoots(doc)) {
+      element = root.querySelector(siteRule.selector);
+      if (element) break;
+    }
+  } catch (error) {
+    console.warn(`Invalid selector in the rule for ${siteRule.domain}: ${siteRule.selector}`);
+  }
+  const metrics = element ? measureTermsCandidate([element]) : null;
+  if (!metrics || metrics.chars < SITE_RULE_MIN_CHARS) {
+    console.log(`The saved rule for ${siteRule.domain} (${siteRule.selector}) matched ${element ? 'too little text' : 'nothing'}.`);
+    return null;
+  }
+  return { strategy: 'site-rule', label: siteRule.selector, elements: [element], metrics, score: scoreTermsCandidate(metrics, 'site-rule') };
+}
+
+/**
+ * Reads an element's text for measuring, shadow trees included (see
+ * composedChildNodes()), and how much of it is link text. Scripts and styles are left out.
+ * @param {Element} element
+ * @returns {{text: string, linkChars: number}} - linkChars: non-space characters inside links.
+ */
+function readMeasuredText(element) {
+  let text = '';
+  let linkChars = 0;
+  const visit = (node, inLink) => {
+    for (const child of composedChildNodes(node)) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        text += child.data;
+        if (inLink) linkChars += child.data.replace(/\s+/g, '').length;
+      } else if (child.nodeType === Node.ELEMENT_NODE && !STRUCTURE_SKIP_TAGS.has(child.localName) && !child.hasAttribute('data-legaleyes-ui')) {
+        visit(child, inLink || child.localName === 'a');
+      }
+    }
+  };
+  visit(element, false);
+  return { text, linkChars };
+}
+
+/**
+ * Measures a candidate for scoring: its text length (scripts and styles left
+ * out), how much of it is link text, how many legal keywords it has and how
+ * its elements are named.
+ * @param {Element[]} elements - The candidate's elements (one container, or a heading and its siblings).
+ * @returns {{chars: number, linkDensity: number, legalDensity: number, boilerplate: boolean, contentName: boolean}}
+ */
+function measureTermsCandidate(elements) {
+  let text = '';
+  let linkChars = 0;
+  let boilerplate = false;
+  let contentName = false;
+  for (const element of elements) {
+    const measured = readMeasuredText(element);
+    text += measured.text + ' ';
+    linkChars += measured.linkChars;
+
+    // Furniture: named so itself, or inside a <nav>, <footer>, <aside> or <header> (landmark roles alike)
+    const names = `${element.id} ${typeof element.className === 'string' ? element.className : ''} ${element.getAttribute('role') || ''}`;
+    if (BOILERPLATE_PATTERN.test(names) ||
+        element.closest('nav, footer, aside, header, [role="navigation"], [role="contentinfo"], [role="banner"], [role="complementary"]')) {
+      boilerplate = true;
+    }
+    if (['main', 'article'].includes(element.localName) || CONTENT_PATTERN.test(names)) contentName = true;
+  }
+  const compact = text.replace(/\s+/g, ' ').trim();
+  const chars = compact.length;
+  const legalHits = (compact.match(LEGAL_KEYWORD_PATTERN) || []).length;
+  return {
+    chars,
+    linkDensity: chars > 0 ? Math.min(1, linkChars / compact.replace(/\s/g, '').length) : 1,
+    legalDensity: chars > 0 ? (legalHits * 1000) / chars : 0,
+    boilerplate,
+    contentName
+  };
+}
+
+/**
+ * Scores a candidate, Readability style: long text counts (with diminishing
+ * returns, so a wrapper that adds menus doesn't win on length alone), link
+ * text and page furniture count against it, legal wording and content-like
+ * names count for it.
+ * @param {object} metrics - From measureTermsCandidate().
+ * @param {string} strategy - How the candidate was found (named containers get a bonus).
+ * @returns {number}
+ */
+function scoreTermsCandidate(metrics, strategy) {
+  let score = Math.sqrt(metrics.chars);
+  score *= (1 - metrics.linkDensity) ** 2;
+  score *= 0.5 + Math.min(metrics.legalDensity, 10) / 5; // 0.5 (no legal words) to 2.5
+  if (metrics.boilerplate) score *= 0.2;
+  if (metrics.contentName) score *= 1.3;
+  if (strategy === 'selector' || strategy === 'heading-parent' || strategy === 'siblings') score *= 1.2;
+  return Math.round(score * 10) / 10;
+}
+
+/**
+ * Collects the containers that may hold the terms, each with the strategy that found it:
+ * 'selector' (TERMS_SELECTORS), 'heading-parent' (the parent of a terms heading),
+ * 'siblings' (a terms heading and the elements after it, up to the next heading),
+ * 'container' (the parents and grandparents of paragraphs, and main/article elements)
+ * or 'body'. Elements inside open shadow roots are found too (see listSearchRoots()).
+ * @param {Document} doc
+ * @returns {{strategy: string, label: string, elements: Element[]}[]}
+ */
+function collectTermsCandidates(doc) {
+  const candidates = [];
+  const seen = new Set();
+  const roots = listSearchRoots(doc);
+  const queryAll = selector => roots.flatMap(root => Array.from(root.querySelectorAll(selector)));
+  const add = (strategy, label, elements) => {
+    // Sections are keyed by their heading, containers by themselves
+    if (seen.has(elements[0]) || elements.some(element => element.closest('[data-legaleyes-ui]'))) return;
+    seen.add(elements[0]);
+    candidates.push({ strategy, label, elements });
+  };
+
+  for (const selector of TERMS_SELECTORS) {
+    for (const element of queryAll(selector)) add('selector', selector, [element]);
+  }
+
+  for (const heading of queryAll('h1, h2, h3, h4, h5, h6')) {
+    const headingText = heading.textContent.toLowerCase();
+    if (!TERMS_HEADING_KEYWORDS.some(keyword => headingText.includes(keyword))) continue;
+    const title = heading.textContent.replace(/\s+/g, ' ').trim().slice(0, 60);
+    if (heading.parentElement && heading.parentElement !== doc.body) {
+      add('heading-parent', `parent of "${title}"`, [heading.parentElement]);
+    }
+    // The heading and its siblings up to the next heading (kept as the section's title)
+    const section = [heading];
+    for (let sibling = heading.nextElementSibling; sibling && !/^H[1-6]$/.test(sibling.tagName); sibling = sibling.nextElementSibling) {
+      section.push(sibling);
+    }
+    if (section.length > 1) add('siblings', `section after "${title}"`, section);
+  }
+
+  // Readability-style: where the paragraphs are
+  for (const paragraph of queryAll('p, li, td, pre, blockquote, dd')) {
+    if ((paragraph.textContent || '').trim().length < 25) continue;
+    const parent = paragraph.parentElement;
+    const grandparent = parent && parent.parentElement;
+    for (const container of [parent, grandparent]) {
+      if (container && container !== doc.body && container !== doc.documentElement) {
+        add('container', describeElement(container), [container]);
+      }
+    }
+  }
+  for (const element of queryAll('main, article, [role="main"]')) add('container', describeElement(element), [element]);
+
+  if (doc.body) add('body', 'whole page', [doc.body]);
+  return candidates;
+}
+
+/**
+ * Ranks candidates: measures and scores them, drops those too short to be
+ * the terms, and drops wrappers whose text is almost all in one candidate
+ * inside them (the inner one is the same content with less furniture).
+ * @param {object[]} candidates - From collectTermsCandidates().
+ * @returns {object[]} - The candidates with `metrics` and `score`, best first.
+ */
+function rankTermsCandidates(candidates) {
+  const measured = candidates
+    .map(candidate => {
+      const metrics = measureTermsCandidate(candidate.elements);
+      return { ...candidate, metrics, score: scoreTermsCandidate(metrics, candidate.strategy) };
+    })
+    .filter(candidate => candidate.metrics.chars >= TERMS_MIN_CHARS && candidate.score > 0);
+
+  const ranked = measured.filter(outer => outer.elements.length > 1 || !measured.some(inner =>
+    inner !== outer && inner.elements.every(element => element !== outer.elements[0] && containsComposed(outer.elements[0], element)) &&
+    inner.metrics.chars >= outer.metrics.chars * 0.9));
+  ranked.sort((a, b) => b.score - a.score);
+  return ranked;
+}
+
+/**
+ * Finds the Terms & Conditions in a document, keeping their structure.
+ * Candidate containers (see collectTermsCandidates()) are ranked by
+ * rankTermsCandidates(); the best one is used when it reads like terms (enough
+ * legal wording, or a page that is about terms). Frames are tried when the
+ * page itself has nothing (same-origin ones read directly, cross-origin ones
+ * through requestFrameTerms()). A saved rule for the site comes first while
+ * it still matches (see findSiteRuleCandidate()).
+ * @param {Document} [doc=document] - The live page, or a document parsed from fetched HTML.
+ * @param {string} [pageUrl=window.location.href] - The document's URL.
+ * @param {{domain: string, selector: string}|null} [siteRule] - The site's saved rule (findSiteRule() in
+ *   common/siterules.js), tried first.
+ * @returns {Promise<object|null>} - The chosen candidate's report (describeTermsCandidate(): its text
+ *   and blocks, see getStructuredText(), the strategy that found it, its confidence...) with the
+ *   runners-up in `candidates` (same shape); null if nothing substantial was found.
+ */
+async function extractTermsStructure(doc = document, pageUrl = window.location.href, siteRule = null) {
+  console.log("Attempting to extract Terms and Conditions");
+
+  const isLikelyTCPage = /terms|conditions|tos|legal|policy|agreement|privacy/i.test(doc.title) ||
+                          /terms|conditions|tos|legal|policy|agreement|privacy/i.test(pageUrl);
+  const readsLikeTerms = candidate => candidate.metrics.legalDensity >= TERMS_MIN_LEGAL_DENSITY ||
+    (isLikelyTCPage && candidate.metrics.chars >= 1000);
+
+  let ranked = rankTermsCandidates(collectTermsCandidates(doc)).filter(readsLikeTerms);
+  const ruleCandidate = siteRule ? findSiteRuleCandidate(doc, siteRule) : null;
+
+  // --- Iframe handling: only when the page itself has nothing ---
+  // Parsed documents (no window) never load their frames. Frames are asked in parallel.
+  const iframes = ranked.length === 0 && !ruleCandidate && doc.defaultView
+    ? listSearchRoots(doc).flatMap(root => Array.from(root.querySelectorAll('iframe')))
+    : [];
+  await Promise.all(iframes.map(async iframe => {
+    const label = iframe.src || 'inline frame';
+    try {
+      if (iframe.contentDocument === null) {
+        // Cross-origin: the frame's own content script finds and measures its terms
+        const frameTerms = await requestFrameTerms(iframe, FRAME_TERMS_TIMEOUT_MS);
+        if (frameTerms) ranked.push({ strategy: 'iframe', label, elements: [], score: frameTerms.score, frameTerms });
+        return;
+      }
+      const frameBody = await getIframeContentWithTimeout(iframe, FRAME_TERMS_TIMEOUT_MS);
+      const frameCandidates = rankTermsCandidates([{ strategy: 'iframe', label, elements: [frameBody] }])
+        .filter(candidate => isLikelyTCPage && candidate.metrics.chars >= 1000);
+      ranked.push(...frameCandidates);
+    } catch (e) {
+      console.warn(`Error extracting iframe content: ${e.message}`);
+    }
+  }));
+  ranked.sort((a, b) => b.score - a.score);
+
+  // --- A saved rule for the site wins over the generic candidates ---
+  if (ruleCandidate) {
+    ranked = [ruleCandidate, ...ranked.filter(candidate => candidate.elements[0] !== ruleCandidate.elements[0])];
+  }
+
+  const [best, ...runnersUp] = ranked;
+  if (!best) {
+    console.log("Could not find sufficiently long T&C content after cleaning.");
+    return null;
+  }
+
+  const terms = describeTermsCandidate(best, runnersUp[0]);
+  terms.candidates = runnersUp.slice(0, MAX_TERMS_RUNNERS_UP).map(candidate => describeTermsCandidate(candidate, best));
+  console.log(`Found T&C using ${terms.strategy} (${terms.label}), score ${terms.score}, confidence ${terms.confidence}; runners-up:`,
+              terms.candidates.map(candidate => `${candidate.label} (${candidate.score})`));
+  return terms;
+}
+
+/**
+ * How sure the extractor is that a candidate holds the terms, from 0 to 1:
+ * mostly its legal wording, then its length and how clearly it beat the
+ * other candidates. Page furniture and the whole-page fallback count against it.
+ * @param {object} candidate - A ranked candidate (rankTermsCandidates()).
+ * @param {object} [competitor] - The candidate it is compared with: the runner-up for
+ *   the chosen one, the chosen one for a runner-up.
+ * @returns {number}
+ */
+function estimateTermsConfidence(candidate, competitor) {
+  const { metrics } = candidate;
+  const legal = Math.min(1, metrics.legalDensity / 8);
+  const length = Math.min(1, metrics.chars / 5000);
+  const margin = competitor ? Math.max(0, Math.min(1, (2 * (candidate.score - competitor.score)) / candidate.score)) : 1;
+  let confidence = 0.45 * legal + 0.25 * length + 0.3 * margin;
+  if (metrics.boilerplate) confidence *= 0.5;
+  if (candidate.strategy === 'body') confidence *= 0.6;
+  if (candidate.strategy === 'site-rule') confidence = Math.max(confidence, 0.9); // The user chose it before
+  return Math.round(confidence * 100) / 100;
+}
+
+/**
+ * The extraction report for a ranked candidate, with its text.
+ * @param {object} candidate - A ranked candidate (rankTermsCandidates()), or a cross-origin frame's
+ *   answer (`frameTerms`, already described by the frame).
+ * @param {object} [competitor] - See estimateTermsConfidence().
+ * @returns {{text: string, blocks: object[], strategy: string, label: string, score: number,
+ *   confidence: number, chars: number, preview: string, selector: string|null}} - selector: for a
+ *   saved site rule (see buildStableSelector()); null for candidates that aren't one element.
+ */
+function describeTermsCandidate(candidate, competitor) {
+  if (candidate.frameTerms) {
+    // A cross-origin frame described its own terms (requestFrameTerms()); rules can't reach into it
+    return { ...candidate.frameTerms, strategy: 'iframe', label: candidate.label, selector: null };
+  }
+  const { text, blocks } = getStructuredText(candidate.elements);
+  const [element] = candidate.elements;
+  let selector = null;
+  if (candidate.strategy === 'site-rule') {
+    selector = candidate.label;
+  } else if (candidate.elements.length === 1 && candidate.strategy !== 'body' && candidate.strategy !== 'iframe') {
+    selector = buildStableSelector(element);
+  }
+  return {
+    text,
+    blocks,
+    strategy: candidate.strategy,
+    label: candidate.label,
+    score: candidate.score,
+    confidence: estimateTermsConfidence(candidate, competitor),
+    chars: text.length,
+    preview: text.replace(/\s+/g, ' ').slice(0, 200),
+    selector
+  };
+}
+
+/** Most images offered for OCR from one page. */
+const MAX_TEXT_IMAGES = 20;
+
+/**
+ * Lists the images on a page that are big enough to hold readable text, e.g.
+ * terms published as scanned pages or screenshots.
+ * @param {Document} [doc=document]
+ * @returns {{src: string, width: number, height: number}[]} - In document order.
+ */
+function findTextImages(doc = document) {
+  const images = [];
+  for (const img of doc.querySelectorAll('img')) {
+    if (img.closest('[data-legaleyes-ui]')) continue;
+    const src = img.currentSrc || img.src;
+    if (!/^(https?:|data:image\/)/i.test(src)) continue;
+    // Text is unreadable below roughly 400x200 source pixels; skip icons and logos
+    if (img.naturalWidth < 400 || img.naturalHeight < 200) continue;
+    const rect = img.getBoundingClientRect();
+    if (rect.width < 200 || rect.height < 100) continue;
+    images.push({ src, width: img.naturalWidth, height: img.naturalHeight });
+    if (images.length >= MAX_TEXT_IMAGES) break;
+  }
+  return images;
+}
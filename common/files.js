@@ -0,0 +1,206 @@
+/**
+ * files.js: Extracts the text of documents imported from the user's computer
+ * (the popout's Import view): PDF (common/pdf.js, with OCR for scans), Word
+ * (DOCX), OpenDocument (ODT), plain text and saved web pages (HTML).
+ * Everything is read locally; DOCX and ODT are unzipped with common/zip.js.
+ * Used by the background script. Loaded as a plain script (functions are shared globals).
+ */
+
+/** Larger files are refused (they are sent to the background script in one message). */
+const MAX_IMPORT_FILE_BYTES = 50 * 1024 * 1024;
+
+/** File name extensions accepted by the Import view, by document type. */
+const IMPORT_FILE_EXTENSIONS = {
+  pdf: ['pdf'],
+  docx: ['docx'],
+  odt: ['odt'],
+  html: ['html', 'htm', 'xhtml'],
+  text: ['txt', 'text', 'md']
+};
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const ODF_TEXT_NAMESPACE = 'urn:oasis:names:tc:opendocument:xmlns:text:1.0';
+
+/**
+ * Works out a file's document type from its content, falling back to its name.
+ * @param {string} name - The file name.
+ * @param {ArrayBuffer} data
+ * @returns {'pdf' | 'docx' | 'odt' | 'html' | 'text' | null} - Null for unsupported files.
+ */
+function detectImportFileType(name, data) {
+  if (isPdfData(data)) return 'pdf';
+  if (isZipData(data)) {
+    let entries;
+    try {
+      entries = listZipEntries(data);
+    } catch (error) {
+      return null;
+    }
+    if (entries.has('word/document.xml')) return 'docx';
+    if (entries.has('content.xml')) return 'odt';
+    return null;
+  }
+  const extension = (name.match(/\.([^.]+)$/) || [])[1]?.toLowerCase();
+  return Object.keys(IMPORT_FILE_EXTENSIONS).find(type => IMPORT_FILE_EXTENSIONS[type].includes(extension)) || null;
+}
+
+/**
+ * Decodes a text file: UTF-16 and UTF-8 byte order marks are honored, other
+ * files are read as UTF-8 or, when that fails, as Windows-1252.
+ * @param {ArrayBuffer} data
+ * @param {string} [charset] - A charset declared by the document itself.
+ * @returns {string}
+ */
+function decodeTextFile(data, charset) {
+  const bytes = new Uint8Array(data);
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder('utf-16le').decode(bytes);
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder('utf-16be').decode(bytes);
+  if (charset) {
+    try {
+      return new TextDecoder(charset).decode(bytes);
+    } catch (error) {
+      console.warn(`Unknown charset ${charset}; guessing.`);
+    }
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+/**
+ * Extracts the paragraphs of a Word document, in document order (table cells
+ * and list items each become a paragraph). Deleted tracked changes are skipped.
+ * @param {ArrayBuffer} data - The DOCX file.
+ * @returns {Promise<string>}
+ */
+async function getTextFromDocx(data) {
+  const entries = listZipEntries(data);
+  const xml = await readZipText(data, entries, 'word/document.xml');
+  const doc = new DOMParser().parseFromString(xml || '', 'application/xml');
+  if (!xml || doc.querySelector('parsererror')) throw new Error("The Word document is damaged.");
+
+  // Text boxes nest paragraphs inside paragraphs; each run belongs to its innermost one
+  const ownerParagraph = node => {
+    let element = node.parentNode;
+    while (element && !(element.namespaceURI === WORD_NAMESPACE && element.localName === 'p')) element = element.parentNode;
+    return element;
+  };
+  const inFallback = node => {
+    for (let element = node.parentNode; element && element.nodeType === Node.ELEMENT_NODE; element = element.parentNode) {
+      if (element.localName === 'Fallback') return true; // Legacy copy of a text box (mc:Fallback)
+    }
+    return false;
+  };
+
+  const paragraphs = [];
+  for (const paragraph of doc.getElementsByTagNameNS(WORD_NAMESPACE, 'p')) {
+    if (inFallback(paragraph)) continue;
+    let text = '';
+    for (const node of paragraph.getElementsByTagNameNS(WORD_NAMESPACE, '*')) {
+      if (ownerParagraph(node) !== paragraph) continue;
+      if (node.localName === 't') text += node.textContent;
+      else if (node.localName === 'tab') text += ' ';
+      else if (node.localName === 'br' || node.localName === 'cr') text += '\n';
+      else if (node.localName === 'noBreakHyphen') text += '-';
+    }
+    text = text.replace(/[ \t]+/g, ' ').trim();
+    if (text) paragraphs.push(text);
+  }
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * Extracts the headings and paragraphs of an OpenDocument text, in document
+ * order. Footnotes and annotations are skipped.
+ * @param {ArrayBuffer} data - The ODT file.
+ * @returns {Promise<string>}
+ */
+async function getTextFromOdt(data) {
+  const entries = listZipEntries(data);
+  const xml = await readZipText(data, entries, 'content.xml');
+  const doc = new DOMParser().parseFromString(xml || '', 'application/xml');
+  if (!xml || doc.querySelector('parsererror')) throw new Error("The OpenDocument file is damaged.");
+
+  // Text of one paragraph; <text:s c="3"/> stands for repeated spaces
+  const collect = node => {
+    let text = '';
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        text += child.data;
+      } else if (child.namespaceURI === ODF_TEXT_NAMESPACE) {
+        if (child.localName === 's') text += ' '.repeat(Number(child.getAttributeNS(ODF_TEXT_NAMESPACE, 'c')) || 1);
+        else if (child.localName === 'tab') text += ' ';
+        else if (child.localName === 'line-break') text += '\n';
+        else if (child.localName !== 'note') text += collect(child);
+      }
+      // Other elements (frames, annotations) hold their own paragraphs or no body text
+    }
+    return text;
+  };
+  // Footnote bodies and annotations hold paragraphs too
+  const inNoteOrAnnotation = node => {
+    for (let element = node.parentNode; element && element.nodeType === Node.ELEMENT_NODE; element = element.parentNode) {
+      if (element.localName === 'note' || element.localName === 'annotation') return true;
+    }
+    return false;
+  };
+
+  const paragraphs = [];
+  for (const node of doc.getElementsByTagNameNS(ODF_TEXT_NAMESPACE, '*')) {
+    if (node.localName !== 'p' && node.localName !== 'h') continue;
+    if (inNoteOrAnnotation(node)) continue;
+    const text = collect(node).replace(/[ \t]+/g, ' ').trim();
+    if (text) paragraphs.push(text);
+  }
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * Extracts the terms from a saved web page with the same extractor as live
+ * pages (common/extract.js), or its whole text when no terms section is found.
+ * @param {ArrayBuffer} data - The HTML file.
+ * @param {string} name - The file name (a hint for the extractor).
+ * @returns {Promise<{text: string, headings: object[]}>} - headings: see listBlockHeadings().
+ */
+async function getTextFromHtmlFile(data, name) {
+  // Honor <meta charset> (saved pages are often not UTF-8)
+  const head = new TextDecoder('latin1').decode(new Uint8Array(data, 0, Math.min(data.byteLength, 2048)));
+  const charset = (head.match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1];
+  const doc = new DOMParser().parseFromString(decodeTextFile(data, charset), 'text/html');
+  const terms = await extractTermsStructure(doc, name) || getStructuredText(doc.body);
+  return { text: terms.text, headings: listBlockHeadings(terms.blocks) };
+}
+
+/**
+ * Extracts the text of an imported file.
+ * @param {string} name - The file name.
+ * @param {ArrayBuffer} data - The file's content.
+ * @param {function(number, number): void} [onOcrProgress] - Passed on to getTextFromPdfData().
+ * @param {string} [password] - The open password of an encrypted PDF.
+ * @returns {Promise<{text: string, type: string, pageOffsets?: object[], pdfOutline?: object[], headings?: object[]}>} -
+ *   type: see detectImportFileType(); pageOffsets and pdfOutline (bookmarks): for PDFs, see getTextFromPdfData();
+ *   headings: for HTML files, see listBlockHeadings().
+ * @throws {Error} For unsupported or unreadable files (see getTextFromPdfData() for password errors).
+ */
+async function getTextFromFile(name, data, onOcrProgress, password) {
+  if (data.byteLength > MAX_IMPORT_FILE_BYTES) {
+    throw new Error(`The file is too large (the limit is ${MAX_IMPORT_FILE_BYTES / 1024 / 1024} MB).`);
+  }
+  const type = detectImportFileType(name, data);
+  console.log(`Importing ${name} (${data.byteLength} bytes) as ${type || 'an unsupported file'}.`);
+
+  switch (type) {
+    case 'pdf': {
+      const pdf = await getTextFromPdfData(data, onOcrProgress, password);
+      return { text: pdf?.text, pageOffsets: pdf?.pageOffsets, pdfOutline: pdf?.outline, type };
+    }
+    case 'docx': return { text: await getTextFromDocx(data), type };
+    case 'odt': return { text: await getTextFromOdt(data), type };
+    case 'html': return { ...await getTextFromHtmlFile(data, name), type };
+    case 'text': return { text: decodeTextFile(data).replace(/\r\n?/g, '\n').trim(), type };
+    default:
+      throw new Error("Unsupported file type. Import a PDF, Word (.docx), OpenDocument (.odt), text or HTML file.");
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * history.js: The analysis history library, stored in IndexedDB.
+ * - saveAnalysis() records a finished analysis (URL, title, date, document hash,
+ *   extracted text and the parsed result).
+ * - getAnalysis(), listAnalyses() and deleteAnalyses() read and manage it.
+ * - hashDocumentText() fingerprints a document so re-analyses of unchanged text can be recognized.
+ * - Watched policies and the versions of them seen so far (see common/changes.js),
+ *   via watchPolicy(), unwatchPolicy(), getWatchedPolicy(), listWatchedPolicies(), saveVersion()
+ *   and getLatestVersion().
+ * Used by the background script (which saves every analysis), the history page and the popout.
+ * Loaded as a plain script (functions are shared globals).
+ */
+
+const HISTORY_DB_NAME = 'legaleyes';
+const HISTORY_DB_VERSION = 2;
+const HISTORY_STORE = 'analyses';
+const WATCHED_STORE = 'watched';
+const VERSIONS_STORE = 'versions';
+
+/** Cached connection (one per page). */
+let historyDbPromise = null;
+
+/**
+ * Opens (and on first use creates) the history database.
+ * Stores:
+ * - analyses: { id (auto), url ('' for imported files), title, source ('html' | 'pdf' | 'selection' | 'file'), analyzedAt (ms),
+ *   hash (SHA-256 hex of the normalized text), text, result, provider }
+ * - watched (v2): { url, title, watchedAt, lastCheckedAt }
+ * - versions (v2): { id (auto), url, capturedAt, hash, text, result, historyId }
+ * @returns {Promise<IDBDatabase>}
+ */
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+          const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('url', 'url');
+          store.createIndex('analyzedAt', 'analyzedAt');
+          store.createIndex('hash', 'hash');
+        }
+        if (!db.objectStoreNames.contains(WATCHED_STORE)) {
+          db.createObjectStore(WATCHED_STORE, { keyPath: 'url' });
+        }
+        if (!db.objectStoreNames.contains(VERSIONS_STORE)) {
+          const store = db.createObjectStore(VERSIONS_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('url', 'url');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        historyDbPromise = null; // Allow a retry
+        reject(request.error);
+      };
+    });
+  }
+  return historyDbPromise;
+}
+
+/**
+ * Runs one request in a transaction on a store of the history database.
+ * @param {string} storeName - HISTORY_STORE, WATCHED_STORE or VERSIONS_STORE.
+ * @param {'readonly' | 'readwrite'} mode
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest
+ * @returns {Promise<*>} - The request's result, once the transaction has completed.
+ */
+async function withHistoryStore(storeName, mode, makeRequest) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Fingerprints document text. Whitespace is collapsed first so the same
+ * document extracted with different spacing gets the same hash.
+ * @param {string} text
+ * @returns {Promise<string>} - SHA-256 as lower-case hex.
+ */
+async function hashDocumentText(text) {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim();
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Saves an analysis to the history.
+ * @param {object} record - See openHistoryDb() for the fields (without id).
+ * @returns {Promise<number>} - The new record's ID.
+ */
+function saveAnalysis(record) {
+  return withHistoryStore(HISTORY_STORE, 'readwrite', store => store.add(record));
+}
+
+/**
+ * Loads one analysis.
+ * @param {number} id
+ * @returns {Promise<object|undefined>}
+ */
+function getAnalysis(id) {
+  return withHistoryStore(HISTORY_STORE, 'readonly', store => store.get(id));
+}
+
+/**
+ * Loads the whole history, newest first.
+ * @returns {Promise<object[]>}
+ */
+async function listAnalyses() {
+  const records = await withHistoryStore(HISTORY_STORE, 'readonly', store => store.getAll());
+  return records.sort((a, b) => b.analyzedAt - a.analyzedAt);
+}
+
+/**
+ * Deletes analyses.
+ * @param {number[]} ids
+ * @returns {Promise<void>}
+ */
+function deleteAnalyses(ids) {
+  return withHistoryStore(HISTORY_STORE, 'readwrite', store => {
+    ids.forEach(id => store.delete(id));
+    return null;
+  });
+}
+
+// --- Watched Policies ---
+
+/**
+ * Starts watching a policy for changes.
+ * @param {{url: string, title: string}} policy
+ * @returns {Promise<void>}
+ */
+function watchPolicy(policy) {
+  const now = Date.now();
+  return withHistoryStore(WATCHED_STORE, 'readwrite',
+    store => store.put({ url: policy.url, title: policy.title, watchedAt: now, lastCheckedAt: now }));
+}
+
+/**
+ * Stops watching a policy and forgets its stored versions.
+ * @param {string} url
+ * @returns {Promise<void>}
+ */
+async function unwatchPolicy(url) {
+  await withHistoryStore(WATCHED_STORE, 'readwrite', store => store.delete(url));
+  const versions = await listVersions(url);
+  await withHistoryStore(VERSIONS_STORE, 'readwrite', store => {
+    versions.forEach(version => store.delete(version.id));
+    return null;
+  });
+}
+
+/**
+ * Loads a watched policy.
+ * @param {string} url
+ * @returns {Promise<object|undefined>} - Undefined when the URL is not watched.
+ */
+function getWatchedPolicy(url) {
+  return withHistoryStore(WATCHED_STORE, 'readonly', store => store.get(url));
+}
+
+/**
+ * Loads all watched policies, oldest first.
+ * @returns {Promise<object[]>}
+ */
+async function listWatchedPolicies() {
+  const policies = await withHistoryStore(WATCHED_STORE, 'readonly', store => store.getAll());
+  return policies.sort((a, b) => a.watchedAt - b.watchedAt);
+}
+
+/**
+ * Updates some fields of a watched policy (e.g. lastCheckedAt). The record is
+ * read and written in one transaction, and nothing is written when the policy
+ * is no longer watched (it may have been removed during a re-check).
+ * @param {string} url
+ * @param {object} changes - The fields to set.
+ * @returns {Promise<void>}
+ */
+function updateWatchedPolicy(url, changes) {
+  return withHistoryStore(WATCHED_STORE, 'readwrite', store => {
+    const request = store.get(url);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, ...changes });
+    };
+    return null;
+  });
+}
+
+// --- Policy Versions ---
+
+/**
+ * Stores a version of a watched policy.
+ * @param {object} version - See openHistoryDb() for the fields (without id).
+ * @returns {Promise<number>} - The new version's ID.
+ */
+function saveVersion(version) {
+  return withHistoryStore(VERSIONS_STORE, 'readwrite', store => store.add(version));
+}
+
+/**
+ * Loads all stored versions of a policy, oldest first.
+ * @param {string} url
+ * @returns {Promise<object[]>}
+ */
+async function listVersions(url) {
+  const versions = await withHistoryStore(VERSIONS_STORE, 'readonly', store => store.index('url').getAll(url));
+  return versions.sort((a, b) => a.capturedAt - b.capturedAt);
+}
+
+/**
+ * Loads the most recent stored version of a policy.
+ * @param {string} url
+ * @returns {Promise<object|null>}
+ */
+async function getLatestVersion(url) {
+  const versions = await listVersions(url);
+  return versions.length > 0 ? versions[versions.length - 1] : null;
+}
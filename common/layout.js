@@ -0,0 +1,370 @@
+/**
+ * layout.js: Rebuilds readable text from the positioned text items of a PDF.
+ * PDF.js returns text as fragments with a position and font size, in drawing
+ * order. Joining them blindly interleaves columns and loses all structure, so:
+ * - buildPageLines() groups items into lines and splits lines at column gaps.
+ * - orderPageLines() finds column gutters and puts lines in reading order.
+ * - removeRunningHeadersFooters() drops page numbers and lines repeated in the
+ *   top or bottom margin of most pages.
+ * - buildParagraphText() joins lines into paragraphs and headings, separated by blank
+ *   lines, and records where each page (and each line) starts in the text.
+ * - addPageReferences() gives each clause the page (and section number) of its quote.
+ * Loaded as a plain script (functions are shared globals).
+ */
+
+/** Tunables, in PDF points or multiples of the font size. */
+const PDF_LAYOUT = {
+  sameLineTolerance: 0.4, // Max baseline difference (font sizes) between items on one line
+  wordGap: 0.15,          // Horizontal gaps wider than this (font sizes) become a space
+  segmentGap: 1.0,        // Gaps wider than this (font sizes) split a line, e.g. between columns
+  headingScale: 1.15,     // Lines this much larger than the body text are headings
+  paragraphGap: 1.4,      // Vertical gaps this many times the usual line spacing start a paragraph
+  marginZone: 0.1,        // Share of the page height at the top and bottom holding running headers and footers
+  repeatedShare: 0.5      // Margin lines found on at least this share of pages are removed
+};
+
+/** Lines starting like a list item or numbered clause begin a new paragraph. */
+const PDF_LIST_MARKER = /^(?:\(?[a-z0-9]{1,3}\)|\(?[ivx]{1,5}\)|\d{1,2}\.(?:\d{1,2}\.?)*(?=\s+[A-Z])|[•·▪●◦■–-]|(?:section|article)\s+[\divx]+)\s/i;
+
+/**
+ * Median of a list of numbers.
+ * @param {number[]} values
+ * @returns {number} - 0 for an empty list.
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Value below which the given share of a list of numbers falls.
+ * @param {number[]} values
+ * @param {number} share - 0 to 1.
+ * @returns {number} - 0 for an empty list.
+ */
+function percentile(values, share) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * share))];
+}
+
+/**
+ * Groups a page's text items into line segments: runs of items on the same
+ * baseline without a wide gap between them.
+ * @param {object[]} items - PDF.js textContent.items ({str, transform, width}).
+ * @param {number} pageNumber - Stored on each line.
+ * @returns {{text: string, x: number, right: number, y: number, fontSize: number, page: number}[]}
+ *   Coordinates are PDF points with y growing upwards.
+ */
+function buildPageLines(items, pageNumber) {
+  const pieces = items
+    .filter(item => item.str && item.str.trim())
+    .map(item => {
+      const [a, b, c, d, x, y] = item.transform;
+      const fontSize = Math.hypot(c, d) || Math.hypot(a, b) || item.height || 10;
+      return { str: item.str, x, y, right: x + (item.width || 0), fontSize };
+    })
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  // Items on (nearly) the same baseline
+  const baselines = [];
+  for (const piece of pieces) {
+    const last = baselines[baselines.length - 1];
+    if (last && Math.abs(last.y - piece.y) <= PDF_LAYOUT.sameLineTolerance * Math.min(last.fontSize, piece.fontSize)) {
+      last.pieces.push(piece);
+    } else {
+      baselines.push({ y: piece.y, fontSize: piece.fontSize, pieces: [piece] });
+    }
+  }
+
+  // Split each baseline at wide gaps (column gutters, tab stops)
+  const lines = [];
+  for (const baseline of baselines) {
+    baseline.pieces.sort((a, b) => a.x - b.x);
+    let line = null;
+    for (const piece of baseline.pieces) {
+      const gap = line ? piece.x - line.right : Infinity;
+      if (line && gap <= PDF_LAYOUT.segmentGap * Math.max(line.fontSize, piece.fontSize)) {
+        if (gap > PDF_LAYOUT.wordGap * piece.fontSize && !/\s$/.test(line.text) && !/^\s/.test(piece.str)) {
+          line.text += ' ';
+        }
+        line.text += piece.str;
+        line.right = Math.max(line.right, piece.right);
+        line.fontSize = Math.max(line.fontSize, piece.fontSize);
+      } else {
+        line = { text: piece.str, x: piece.x, right: piece.right, y: baseline.y, fontSize: piece.fontSize, page: pageNumber };
+        lines.push(line);
+      }
+    }
+  }
+  lines.forEach(line => { line.text = line.text.replace(/\s+/g, ' ').trim(); });
+  return lines;
+}
+
+/**
+ * Finds the widest vertical strip without text near the middle of a block of
+ * lines (a column gutter). Lines crossing the strip (full-width titles) are
+ * tolerated as long as they are few.
+ * @param {object[]} lines - From buildPageLines().
+ * @returns {{start: number, end: number} | null}
+ */
+function findColumnGutter(lines) {
+  const BIN = 2; // Points per histogram bin
+  const minX = Math.min(...lines.map(line => line.x));
+  const maxX = Math.max(...lines.map(line => line.right));
+  const width = maxX - minX;
+  if (width <= 0) return null;
+
+  const bins = new Uint16Array(Math.ceil(width / BIN) + 1);
+  for (const line of lines) {
+    const last = Math.min(bins.length, Math.ceil((line.right - minX) / BIN));
+    for (let bin = Math.floor((line.x - minX) / BIN); bin < last; bin++) bins[bin]++;
+  }
+
+  const allowed = Math.floor(lines.length * 0.1);
+  const minWidth = median(lines.map(line => line.fontSize));
+  let best = null;
+  let runStart = -1;
+  for (let bin = 0; bin < bins.length; bin++) {
+    const open = bins[bin] <= allowed;
+    if (open && runStart === -1) runStart = bin;
+    if (!open && runStart !== -1) {
+      const start = minX + runStart * BIN;
+      const end = minX + bin * BIN;
+      const center = (start + end) / 2;
+      if (runStart > 0 && end - start >= minWidth &&
+          center > minX + width * 0.2 && center < minX + width * 0.8 &&
+          (!best || end - start > best.end - best.start)) {
+        best = { start, end };
+      }
+      runStart = -1;
+    }
+  }
+  if (!best) return null;
+
+  // Both sides need real columns, not a few stray labels
+  const leftCount = lines.filter(line => line.right <= best.start + BIN).length;
+  const rightCount = lines.filter(line => line.x >= best.end - BIN).length;
+  return leftCount >= 3 && rightCount >= 3 ? best : null;
+}
+
+/**
+ * Puts a page's lines in reading order. When the page has columns, lines that
+ * span the gutter (titles, full-width paragraphs) split the page into bands;
+ * each band is read left column first, then right. Columns are checked for
+ * further columns (up to three levels).
+ * @param {object[]} lines - From buildPageLines().
+ * @param {number} [depth=0]
+ * @returns {object[]} - The same lines, in reading order.
+ */
+function orderPageLines(lines, depth = 0) {
+  const topDown = [...lines].sort((a, b) => b.y - a.y || a.x - b.x);
+  if (lines.length < 6 || depth > 2) return topDown;
+  const gutter = findColumnGutter(lines);
+  if (!gutter) return topDown;
+
+  const spanning = [];
+  const left = [];
+  const right = [];
+  for (const line of topDown) {
+    if (line.x < gutter.start && line.right > gutter.end) spanning.push(line);
+    else if ((line.x + line.right) / 2 < (gutter.start + gutter.end) / 2) left.push(line);
+    else right.push(line);
+  }
+
+  const ordered = [];
+  let bandTop = Infinity;
+  for (const span of [...spanning, null]) {
+    const bandBottom = span ? span.y : -Infinity;
+    const inBand = line => line.y <= bandTop && line.y > bandBottom;
+    ordered.push(...orderPageLines(left.filter(inBand), depth + 1), ...orderPageLines(right.filter(inBand), depth + 1));
+    if (span) ordered.push(span);
+    bandTop = bandBottom;
+  }
+  return ordered;
+}
+
+/**
+ * Removes page numbers and running headers/footers: lines in the top or
+ * bottom margin whose text (ignoring digits) repeats on most pages.
+ * @param {{lines: object[], bottom: number, top: number}[]} pages - Lines per page, plus the page's vertical extent (page.view).
+ * @returns {number} - How many lines were removed.
+ */
+function removeRunningHeadersFooters(pages) {
+  const keyOf = text => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+  const isPageNumber = text => /^(?:page\s*)?(?:\d+|[ivxlc]+)(?:\s*(?:of|\/)\s*\d+)?$/i.test(text) ||
+                               /^[-–—]\s*\d+\s*[-–—]$/.test(text);
+  const inMargin = (page, line) => {
+    const height = page.top - page.bottom;
+    const position = height > 0 ? (line.y - page.bottom) / height : 0.5;
+    return position < PDF_LAYOUT.marginZone || position > 1 - PDF_LAYOUT.marginZone;
+  };
+
+  const counts = new Map();
+  for (const page of pages) {
+    const keys = new Set(page.lines.filter(line => inMargin(page, line)).map(line => keyOf(line.text)));
+    keys.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+  }
+  const minRepeats = Math.max(2, Math.ceil(pages.length * PDF_LAYOUT.repeatedShare));
+
+  let removed = 0;
+  for (const page of pages) {
+    page.lines = page.lines.filter(line => {
+      if (!inMargin(page, line)) return true;
+      const drop = isPageNumber(line.text) || (pages.length >= 2 && counts.get(keyOf(line.text)) >= minRepeats);
+      if (drop) removed++;
+      return !drop;
+    });
+  }
+  return removed;
+}
+
+/**
+ * Joins lines (in reading order) into paragraphs. A paragraph ends at a
+ * larger vertical gap, a heading, a list marker, an indented first line, or a
+ * short line ending a sentence; it continues across columns and pages unless
+ * the previous line ended a sentence. Words hyphenated at line ends are rejoined.
+ * @param {{number: number, lines: object[], text?: string}[]} pages - Ordered lines per page.
+ *   Pages with `text` (OCR output, error placeholders) are used as they are.
+ * @returns {{text: string, pageOffsets: {page: number, offset: number}[], lineOffsets: {line: object, offset: number}[]}}
+ *   Paragraphs and headings separated by blank lines; pageOffsets: where each page's text
+ *   starts, ascending; lineOffsets: where each line starts (for positions on the page, see
+ *   common/annotate.js).
+ */
+function buildParagraphText(pages) {
+  const allLines = pages.flatMap(page => page.lines);
+
+  // Body text size: the font size covering the most characters
+  const sizeChars = new Map();
+  allLines.forEach(line => {
+    const size = Math.round(line.fontSize * 2) / 2;
+    sizeChars.set(size, (sizeChars.get(size) || 0) + line.text.length);
+  });
+  const bodySize = [...sizeChars.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 10;
+
+  // Usual distance between consecutive lines, and the width of a full line
+  const spacings = [];
+  pages.forEach(page => page.lines.forEach((line, index) => {
+    const gap = index > 0 ? page.lines[index - 1].y - line.y : 0;
+    if (gap > 0 && gap < line.fontSize * 3) spacings.push(gap);
+  }));
+  const lineSpacing = median(spacings) || bodySize * 1.2;
+  const lineWidth = percentile(allLines.filter(line => line.fontSize < bodySize * PDF_LAYOUT.headingScale).map(line => line.right - line.x), 0.8);
+
+  const paragraphs = [];
+  let current = null;
+  let previous = null;
+  for (const page of pages) {
+    if (page.text) {
+      paragraphs.push({ text: page.text, pageMarks: [{ page: page.number, index: 0 }], lineMarks: [] });
+      current = null;
+      previous = null;
+      continue;
+    }
+    for (const line of page.lines) {
+      const heading = line.fontSize >= bodySize * PDF_LAYOUT.headingScale && line.text.length < 200;
+      let startNew = !current || !previous || heading !== current.heading;
+      if (!startNew) {
+        const endsSentence = /[.:;!?]["'’”)\]]?$/.test(previous.text);
+        const jumped = line.page !== previous.page || line.y > previous.y; // Next page or next column
+        const gap = previous.y - line.y;
+        if (heading) {
+          startNew = jumped || gap > line.fontSize * 2;
+        } else if (jumped) {
+          startNew = endsSentence;
+        } else {
+          startNew = gap > lineSpacing * PDF_LAYOUT.paragraphGap ||
+                     PDF_LIST_MARKER.test(line.text) ||
+                     (endsSentence && line.x > previous.x + line.fontSize) ||
+                     (endsSentence && previous.right - previous.x < lineWidth * 0.8);
+        }
+      }
+
+      if (startNew) {
+        // pageMarks: where in the paragraph's text each page it spans starts
+        current = { heading, text: line.text, pageMarks: [{ page: line.page, index: 0 }], lineMarks: [{ line, index: 0 }] };
+        paragraphs.push(current);
+        previous = line;
+        continue;
+      }
+      const hyphenated = /\p{Ll}-$/u.test(current.text) && /^\p{Ll}/u.test(line.text);
+      if (hyphenated) current.text = current.text.slice(0, -1); // Re-join a hyphenated word
+      else current.text += ' ';
+      if (line.page !== current.pageMarks[current.pageMarks.length - 1].page) {
+        current.pageMarks.push({ page: line.page, index: current.text.length });
+      }
+      current.lineMarks.push({ line, index: current.text.length });
+      current.text += line.text;
+      previous = line;
+    }
+  }
+
+  const pageOffsets = [];
+  const lineOffsets = [];
+  let offset = 0;
+  for (const paragraph of paragraphs) {
+    for (const mark of paragraph.pageMarks) {
+      const last = pageOffsets[pageOffsets.length - 1];
+      if (!last || mark.page > last.page) pageOffsets.push({ page: mark.page, offset: offset + mark.index });
+    }
+    paragraph.lineMarks.forEach(mark => lineOffsets.push({ line: mark.line, offset: offset + mark.index }));
+    offset += paragraph.text.length + 2; // '\n\n' separator
+  }
+  return { text: paragraphs.map(paragraph => paragraph.text).join('\n\n'), pageOffsets, lineOffsets };
+}
+
+/** Paragraph starts that carry a section number: "Section 4.2", "Article IV", "§ 7", "12.3 Title". */
+const SECTION_NUMBER_PATTERN = /(?:^|\n\n)(?:(?:section|article|clause|§)\s*(\d{1,3}(?:\.\d{1,3})*|[IVXLC]{1,6})\b|(\d{1,2}\.(?:\d{1,2}\.?)*)\s+[\p{Lu}(])/giu;
+
+/**
+ * The page a text offset falls on.
+ * @param {{page: number, offset: number}[]} pageOffsets - From buildParagraphText().
+ * @param {number} offset
+ * @returns {number|null}
+ */
+function pageForOffset(pageOffsets, offset) {
+  let page = null;
+  for (const entry of pageOffsets) {
+    if (entry.offset > offset) break;
+    page = entry.page;
+  }
+  return page;
+}
+
+/**
+ * The number of the section a text offset belongs to: the nearest numbered
+ * paragraph ("4.2 Liability", "Section 7") before it.
+ * @param {string} text
+ * @param {number} offset
+ * @returns {string|null} - E.g. "4.2", or null when no numbered section precedes the offset.
+ */
+function sectionForOffset(text, offset) {
+  let section = null;
+  for (const match of text.slice(0, offset + 1).matchAll(SECTION_NUMBER_PATTERN)) {
+    section = (match[1] || match[2]).replace(/\.$/, '');
+  }
+  return section;
+}
+
+/**
+ * Sets `page` and, where one is found, `section` on each clause whose quote
+ * was located in the text (see verifyClauseQuotes in common/quotes.js).
+ * @param {object[]} clauses - Concerning clauses (modified in place).
+ * @param {string} text - The analyzed text.
+ * @param {{page: number, offset: number}[]} pageOffsets - From buildParagraphText().
+ * @returns {object[]} - The same clauses.
+ */
+function addPageReferences(clauses, text, pageOffsets) {
+  for (const clause of clauses || []) {
+    delete clause.page;
+    delete clause.section;
+    if (!clause.verified || !clause.sourceOffset) continue;
+    const page = pageForOffset(pageOffsets, clause.sourceOffset.start);
+    if (page !== null) clause.page = page;
+    const section = sectionForOffset(text, clause.sourceOffset.start);
+    if (section) clause.section = section;
+  }
+  return clauses;
+}
@@ -0,0 +1,130 @@
+/**
+ * ocr.js: Reads text from images with the bundled Tesseract OCR engine
+ * (tesseract.js, WebAssembly, in lib/tesseract). Everything runs locally on
+ * the CPU; the worker, engine and English language data are loaded from the
+ * extension package, never from the network.
+ * - createOcrSession() starts one OCR worker for a series of images (e.g. the pages of a scan).
+ * - recognizeImages() OCRs canvases, blobs or image URLs one after the other.
+ * - renderPdfPageToCanvas() rasterizes a PDF.js page for OCR (scanned PDFs).
+ * - tidyOcrText() turns Tesseract's line-broken output into paragraphs.
+ * Used by the background script. Loaded as a plain script (functions are shared globals).
+ */
+
+const OCR_LIB_DIR = 'lib/tesseract';
+const OCR_LANGUAGE = 'eng';
+
+/** PDF pages are rendered at this multiple of 72 DPI (3 = 216 DPI) before OCR. */
+const OCR_RENDER_SCALE = 3;
+
+/** Pages whose text layer has fewer characters than this are treated as scanned images. */
+const OCR_MIN_PAGE_CHARS = 50;
+
+/** Loading of tesseract.min.js (once per page). */
+let tesseractLoadPromise = null;
+
+/**
+ * Loads the bundled tesseract.js library, which defines the `Tesseract` global.
+ * @returns {Promise<object>} - The Tesseract namespace.
+ */
+function loadTesseract() {
+  if (!tesseractLoadPromise) {
+    tesseractLoadPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = browser.runtime.getURL(`${OCR_LIB_DIR}/tesseract.min.js`);
+      script.onload = () => resolve(window.Tesseract);
+      script.onerror = () => {
+        tesseractLoadPromise = null; // Allow a retry
+        reject(new Error("Could not load the OCR library."));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return tesseractLoadPromise;
+}
+
+/**
+ * Starts an OCR worker for recognizing several images, so the engine and the
+ * language data are loaded once. The caller must call terminate() when done
+ * (the worker holds on to a lot of memory).
+ * @returns {Promise<{recognize: function((HTMLCanvasElement|Blob|string)): Promise<string>, terminate: function(): Promise<void>}>}
+ *   recognize() resolves with the image's text (see tidyOcrText()).
+ */
+async function createOcrSession() {
+  const Tesseract = await loadTesseract();
+  const worker = await Tesseract.createWorker(OCR_LANGUAGE, Tesseract.OEM.LSTM_ONLY, {
+    workerPath: browser.runtime.getURL(`${OCR_LIB_DIR}/worker.min.js`),
+    corePath: browser.runtime.getURL(`${OCR_LIB_DIR}/tesseract-core-simd-lstm.wasm.js`),
+    langPath: browser.runtime.getURL(`${OCR_LIB_DIR}/lang`),
+    workerBlobURL: false, // Load the worker from the extension, not a blob: URL
+    cacheMethod: 'none', // The language data ships with the extension
+    gzip: true
+  });
+  return {
+    recognize: async image => tidyOcrText((await worker.recognize(image)).data.text),
+    terminate: () => worker.terminate()
+  };
+}
+
+/**
+ * Recognizes the text in a list of images with a single OCR worker, which is
+ * terminated afterwards (see createOcrSession()).
+ * @param {Array<HTMLCanvasElement|Blob|string>} images
+ * @param {function(number, number): void} [onProgress] - Called with (imageNumber, totalImages) before each image.
+ * @returns {Promise<string[]>} - Recognized text per image ('' when an image failed).
+ */
+async function recognizeImages(images, onProgress) {
+  console.log(`Starting OCR of ${images.length} images...`);
+  const session = await createOcrSession();
+  const texts = [];
+  try {
+    for (let i = 0; i < images.length; i++) {
+      if (onProgress) onProgress(i + 1, images.length);
+      try {
+        const text = await session.recognize(images[i]);
+        texts.push(text);
+        console.log(`OCR of image ${i + 1}/${images.length}: ${text.length} characters.`);
+      } catch (error) {
+        console.error(`OCR of image ${i + 1}/${images.length} failed:`, error);
+        texts.push('');
+      }
+    }
+  } finally {
+    await session.terminate();
+  }
+  return texts;
+}
+
+/**
+ * Renders a PDF.js page to a canvas at OCR resolution.
+ * @param {object} page - A PDF.js page (PDFPageProxy).
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function renderPdfPageToCanvas(page) {
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  const context = canvas.getContext('2d');
+  // White background: OCR struggles with transparent pixels
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: context, viewport }).promise;
+  return canvas;
+}
+
+/**
+ * Turns Tesseract output (one line per printed line, blank lines between
+ * paragraphs) into one line per paragraph, re-joining hyphenated words.
+ * @param {string} text
+ * @returns {string}
+ */
+function tidyOcrText(text) {
+  return (text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph
+      .replace(/(\p{Ll})-\n(?=\p{Ll})/gu, '$1')
+      .replace(/\s*\n\s*/g, ' ')
+      .trim())
+    .filter(paragraph => paragraph.length > 0)
+    .join('\n\n');
+}
@@ -0,0 +1,248 @@
+/**
+ * outline.js: Builds a document's section tree (table of contents) from its
+ * structure, so reviewers can jump to a section and see how many concerning
+ * clauses it holds.
+ * - buildDocumentOutline() takes the PDF outline (bookmarks) when the document
+ *   has one, otherwise the page's headings (h1-h6) and numbered clauses
+ *   ("12. Limitation of Liability", "Section 4.2"), otherwise short title
+ *   paragraphs; each section gets its offsets in the analyzed text.
+ * - formatOutlineForPrompt() lists a part's sections for the AI, which returns
+ *   a one-line summary for each (see common/prompt.js).
+ * - attachDocumentOutline() adds the summaries, flag counts and pages to the result.
+ * Used by the background script. Loaded as a plain script (functions are shared globals).
+ */
+
+/** Most sections kept in an outline; deeper levels are dropped first. */
+const OUTLINE_MAX_SECTIONS = 80;
+
+/** One-line summaries taken from the section text are cut to this length. */
+const SECTION_SUMMARY_MAX_CHARS = 140;
+
+/** Numbered clause headings at a paragraph start or after a sentence: "12. Title", "Section 4.2 Title", "Article 3 Title". */
+const NUMBERED_HEADING_PATTERN = /(?:^|\n\n|(?<=[.;:!?)\]"”])[ \t]+)(?:(?:[Ss]ection|SECTION|[Aa]rticle|ARTICLE|[Cc]lause|CLAUSE)\s+)?(\d{1,2}(?:\.\d{1,2}){0,3})\.?[ \t]+(?=\p{Lu})/gu;
+
+/**
+ * Finds a heading's text in the document text, ignoring case and differences in whitespace.
+ * @param {string} text
+ * @param {string} title
+ * @param {number} from - Where to start looking.
+ * @returns {{start: number, end: number} | null}
+ */
+function findHeadingInText(text, title, from) {
+  const words = title.split(/\s+/).filter(Boolean).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (words.length === 0) return null;
+  const pattern = new RegExp(words.join('\\s+'), 'giu');
+  pattern.lastIndex = from;
+  const match = pattern.exec(text);
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
+
+/**
+ * Finds numbered clause headings. The title runs to the end of the line or
+ * the first sentence end; very long ones are cut after a few words.
+ * @param {string} text
+ * @returns {{title: string, level: number, start: number, bodyStart: number}[]} - Level 1 for "12.", 2 for "12.3"...
+ */
+function findNumberedHeadings(text) {
+  const headings = [];
+  for (const match of text.matchAll(NUMBERED_HEADING_PATTERN)) {
+    const start = match.index + (match[0].length - match[0].trimStart().length);
+    const titleStart = match.index + match[0].length;
+    const rest = text.slice(titleStart, titleStart + 120);
+    const end = rest.search(/\n|[.:;](?:\s|$)/);
+    let title = end === -1 ? '' : rest.slice(0, end).trim();
+    let bodyStart = titleStart + (end === -1 ? 0 : end + 1);
+    if (!title || title.length > 80) {
+      // No short title: the clause starts straight away; name it by its first words
+      title = rest.split(/\s+/).slice(0, 6).join(' ').replace(/[,.;:]$/, '') + '…';
+      bodyStart = titleStart;
+    }
+    // Keep the number as written ("12.", "Section 4.2") so the title can be found on the page
+    const number = text.slice(start, titleStart).replace(/\s+/g, ' ').trim();
+    headings.push({ title: `${number} ${title}`, level: match[1].split('.').length, start, bodyStart });
+  }
+  // Stray numbers ("... in 2 Business Days") rarely form a sequence; require at least two headings
+  return headings.length >= 2 ? headings : [];
+}
+
+/**
+ * Finds short paragraphs that read like titles (no sentence punctuation, a
+ * capital first letter, followed by a longer paragraph). Only for text with
+ * paragraph breaks (PDFs, imported documents).
+ * @param {string} text
+ * @returns {{title: string, level: number, start: number, bodyStart: number}[]}
+ */
+function findTitleParagraphs(text) {
+  const headings = [];
+  const paragraphPattern = /[^\n]+(?:\n(?!\n)[^\n]*)*/g;
+  const paragraphs = [...text.matchAll(paragraphPattern)];
+  paragraphs.forEach((match, index) => {
+    const paragraph = match[0].trim();
+    const next = paragraphs[index + 1]?.[0] || '';
+    if (paragraph.length > 80 || paragraph.split(/\s+/).length > 10) return;
+    if (!/^\p{Lu}/u.test(paragraph) || /[.,;:]$/.test(paragraph) || next.length <= paragraph.length) return;
+    headings.push({ title: paragraph, level: 1, start: match.index, bodyStart: match.index + match[0].length });
+  });
+  return headings.length >= 2 ? headings : [];
+}
+
+/**
+ * Builds the section tree of a document.
+ * @param {string} text - The analyzed text.
+ * @param {object} [structure] - What the extractor found:
+ * @param {{title: string, level: number, page: number|null}[]} [structure.pdfOutline] - PDF bookmarks (readPdfOutline()).
+ * @param {{page: number, offset: number}[]} [structure.pageOffsets] - Where each PDF page starts in the text.
+ * @param {{title: string, level: number}[]} [structure.headings] - Page headings (listBlockHeadings()).
+ * @returns {{source: 'bookmarks' | 'headings' | 'numbering' | 'titles', sections: object[]} | null} - Sections
+ *   ({id, title, level, start, end, bodyStart, children}) nested by level; null when fewer than two were found.
+ */
+function buildDocumentOutline(text, { pdfOutline, pageOffsets, headings } = {}) {
+  if (!text) return null;
+  let source = null;
+  let entries = [];
+
+  if (pdfOutline && pdfOutline.length >= 2) {
+    // Bookmarks point to a page; the section starts where its title is found on that page
+    source = 'bookmarks';
+    for (const bookmark of pdfOutline) {
+      const pageStart = pageOffsets?.find(entry => entry.page === bookmark.page)?.offset;
+      const nextPage = pageOffsets?.find(entry => entry.page > bookmark.page)?.offset ?? text.length;
+      const found = findHeadingInText(text, bookmark.title, pageStart ?? entries[entries.length - 1]?.start ?? 0);
+      if (found && (pageStart === undefined || found.start < nextPage)) {
+        entries.push({ title: bookmark.title, level: bookmark.level, start: found.start, bodyStart: found.end });
+      } else if (pageStart !== undefined) {
+        entries.push({ title: bookmark.title, level: bookmark.level, start: pageStart, bodyStart: pageStart });
+      }
+    }
+  } else {
+    let from = 0;
+    for (const heading of headings || []) {
+      const found = findHeadingInText(text, heading.title, from);
+      if (!found) continue;
+      entries.push({ title: heading.title, level: heading.level, start: found.start, bodyStart: found.end });
+      from = found.end;
+    }
+    if (entries.length > 0) {
+      source = 'headings';
+      // Heading levels in use become 1, 2, 3...
+      const levels = [...new Set(entries.map(entry => entry.level))].sort((a, b) => a - b);
+      entries.forEach(entry => { entry.level = levels.indexOf(entry.level) + 1; });
+    }
+
+    // Numbered clauses go under the heading before them (unless they are that heading)
+    const numbered = findNumberedHeadings(text).filter(clause =>
+      !entries.some(entry => clause.start >= entry.start && clause.start < entry.bodyStart));
+    if (numbered.length > 0) {
+      source = source || 'numbering';
+      const headingEntries = [...entries];
+      for (const clause of numbered) {
+        const parent = headingEntries.filter(entry => entry.start < clause.start).pop();
+        entries.push({ ...clause, level: (parent ? parent.level : 0) + clause.level });
+      }
+    }
+
+    if (entries.length === 0) {
+      entries = findTitleParagraphs(text);
+      if (entries.length > 0) source = 'titles';
+    }
+  }
+
+  entries.sort((a, b) => a.start - b.start);
+  // Too many sections for a table of contents: drop the deepest level until it fits
+  while (entries.length > OUTLINE_MAX_SECTIONS && entries.some(entry => entry.level > 1)) {
+    const deepest = Math.max(...entries.map(entry => entry.level));
+    entries = entries.filter(entry => entry.level < deepest);
+  }
+  entries = entries.slice(0, OUTLINE_MAX_SECTIONS);
+  if (entries.length < 2) return null;
+
+  // Nest by level; a section ends where the next section of the same or a higher level starts
+  const roots = [];
+  const stack = [];
+  entries.forEach((entry, index) => {
+    const end = entries.slice(index + 1).find(other => other.level <= entry.level)?.start ?? text.length;
+    const section = { id: `s${index + 1}`, title: entry.title, level: entry.level, start: entry.start, end, bodyStart: entry.bodyStart, children: [] };
+    while (stack.length > 0 && stack[stack.length - 1].level >= section.level) stack.pop();
+    if (stack.length > 0) stack[stack.length - 1].children.push(section);
+    else roots.push(section);
+    stack.push(section);
+  });
+  console.log(`Document outline: ${entries.length} sections from ${source}.`);
+  return { source, sections: roots };
+}
+
+/**
+ * Lists every section of an outline, parents before their children.
+ * @param {object[]} sections - Outline sections (nested).
+ * @returns {object[]}
+ */
+function flattenOutline(sections) {
+  return (sections || []).flatMap(section => [section, ...flattenOutline(section.children)]);
+}
+
+/**
+ * Lists the sections that start in a part of the text, for the analysis
+ * prompt (the AI summarizes each in one line, see buildAnalysisPrompt()).
+ * @param {object} outline - From buildDocumentOutline().
+ * @param {number} start - Where the part starts in the analyzed text.
+ * @param {number} end - Where it ends.
+ * @returns {string} - One "id: title" line per section; '' when none start there.
+ */
+function formatOutlineForPrompt(outline, start, end) {
+  return flattenOutline(outline?.sections)
+    .filter(section => section.start >= start && section.start < end)
+    .map(section => `${section.id}: ${section.title}`)
+    .join('\n');
+}
+
+/**
+ * A one-line summary taken from a section's text: its first sentence, cut to
+ * SECTION_SUMMARY_MAX_CHARS. Sections without text of their own list their subsections.
+ * @param {string} text
+ * @param {object} section
+ * @returns {string}
+ */
+function summarizeSectionText(text, section) {
+  const ownEnd = section.children[0]?.start ?? section.end;
+  const body = text.slice(section.bodyStart, ownEnd).replace(/\s+/g, ' ').trim();
+  if (!body) {
+    return section.children.length > 0 ? `Covers ${section.children.map(child => child.title).join(', ')}.` : '';
+  }
+  const sentence = (body.match(/^.+?[.!?](?=\s|$)/) || [body])[0];
+  if (sentence.length <= SECTION_SUMMARY_MAX_CHARS) return sentence;
+  return sentence.slice(0, SECTION_SUMMARY_MAX_CHARS).replace(/\s+\S*$/, '') + '…';
+}
+
+/**
+ * Completes an outline and stores it on the result as `outline`: each section
+ * gets a one-line `summary` (the AI's, see `result.sectionSummaries`, else the
+ * previous version's for the same title, else its first sentence), the indices of
+ * the concerning clauses quoted in it (`clauses`, subsections included) and, for
+ * PDFs, its `page`.
+ * @param {object} result - The analysis result (modified in place; `sectionSummaries` is removed).
+ * @param {object|null} outline - From buildDocumentOutline().
+ * @param {string} text - The analyzed text.
+ * @param {{pageOffsets?: object[], previousOutline?: object}} [options] - pageOffsets: see
+ *   buildParagraphText(); previousOutline: the outline of a previous analysis of the document.
+ * @returns {object} - The same result.
+ */
+function attachDocumentOutline(result, outline, text, { pageOffsets, previousOutline } = {}) {
+  const aiSummaries = new Map((result.sectionSummaries || []).map(entry => [entry.id, entry.summary]));
+  delete result.sectionSummaries;
+  delete result.outline;
+  if (!outline) return result;
+
+  const previousSummaries = new Map(flattenOutline(previousOutline?.sections).map(section => [section.title, section.summary]));
+  for (const section of flattenOutline(outline.sections)) {
+    section.summary = aiSummaries.get(section.id) || previousSummaries.get(section.title) || summarizeSectionText(text, section);
+    section.clauses = [];
+    (result.concerningClauses || []).forEach((clause, index) => {
+      const offset = clause.sourceOffset?.start;
+      if (clause.verified && offset >= section.start && offset < section.end) section.clauses.push(index);
+    });
+    if (pageOffsets) section.page = pageForOffset(pageOffsets, section.start);
+    delete section.bodyStart;
+  }
+  result.outline = outline;
+  return result;
+}
@@ -0,0 +1,261 @@
+/**
+ * pdf.js: Loads the bundled PDF.js library and extracts text from PDF files.
+ * The text is rebuilt from the item positions (columns, paragraphs, headings;
+ * see common/layout.js) rather than joined in drawing order. Scanned pages
+ * are read with OCR (common/ocr.js).
+ * Loaded as a plain script (functions are shared globals).
+ */
+
+// Import PDF.js (using dynamic import as it's an ES module)
+let pdfjsLib = null;
+const pdfjsWorkerSrc = browser.runtime.getURL("lib/pdfjs/pdf.worker.mjs"); // Get correct URL
+
+/**
+ * Dynamically loads the PDF.js library.
+ * Ensures it's loaded only once.
+ */
+async function loadPdfJs() {
+    if (!pdfjsLib) {
+        try {
+            console.log("Loading PDF.js library...");
+            // Dynamically import the ES module
+            const pdfjsModule = await import(browser.runtime.getURL("lib/pdfjs/pdf.mjs"));
+            pdfjsLib = pdfjsModule; // Assign the module object
+
+            // Configure the worker source (IMPORTANT!)
+            // Check if pdfjsLib.GlobalWorkerOptions exists (might vary slightly by version)
+            if (pdfjsLib.GlobalWorkerOptions) {
+                 pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorkerSrc;
+                 console.log("PDF.js worker source configured:", pdfjsWorkerSrc);
+            } else if (pdfjsLib.PDFWorker) { // Older versions might use this
+                 pdfjsLib.PDFWorker.workerSrc = pdfjsWorkerSrc;
+                 console.log("PDF.js worker source configured (legacy):", pdfjsWorkerSrc);
+            } else {
+                 console.warn("Could not find GlobalWorkerOptions or PDFWorker on pdfjsLib. Worker may not function correctly.", pdfjsLib);
+            }
+            console.log("PDF.js loaded successfully.");
+        } catch (error) {
+            console.error("Failed to load PDF.js library:", error);
+            pdfjsLib = null; // Reset on failure
+            throw new Error("Could not load PDF processing library."); // Re-throw
+        }
+    }
+    return pdfjsLib;
+}
+
+
+/**
+ * Creates the error thrown for a PDF that needs an open password. Its
+ * `pdfPassword` property tells the UI to ask for one.
+ * @param {boolean} incorrect - A password was given but is wrong.
+ * @returns {Error}
+ */
+function createPdfPasswordError(incorrect) {
+    const error = new Error(incorrect
+        ? "The password is incorrect. Please try again."
+        : "This PDF is password-protected. Enter its password to analyze it.");
+    error.pdfPassword = incorrect ? 'incorrect' : 'required';
+    return error;
+}
+
+/**
+ * Fetches a PDF from a URL and extracts text content using PDF.js.
+ * Pages without a text layer (scans) are rendered and read with OCR (common/ocr.js).
+ * @param {string} pdfUrl - The URL of the PDF file.
+ * @param {function(number, number): void} [onOcrProgress] - Called with (pageNumber, totalPages) for each page being OCR'd.
+ * @returns {Promise<{text: string, pageOffsets: object[], outline: object[]}|null>} - See getTextFromPdfData().
+ */
+async function getTextFromPdfUrl(pdfUrl, onOcrProgress) {
+    console.log(`Fetching PDF from: ${pdfUrl}`);
+    let pdfData;
+    try {
+        const response = await fetch(pdfUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        pdfData = await response.arrayBuffer();
+        console.log(`PDF data fetched (${pdfData.byteLength} bytes)`);
+    } catch (error) {
+        console.error("Error fetching PDF:", error);
+        throw new Error(`Failed to process PDF: ${error.message}`); // Re-throw for handler
+    }
+    return getTextFromPdfData(pdfData, onOcrProgress);
+}
+
+/**
+ * Opens PDF data with PDF.js.
+ * Documents with usage restrictions (an owner password) but no open password
+ * open as usual; a document with an open password needs `password`.
+ * @param {ArrayBuffer} pdfData - The PDF file's bytes (PDF.js takes ownership of the buffer).
+ * @param {string} [password] - The open password of an encrypted PDF.
+ * @returns {Promise<object|null>} - The PDF.js document (PDFDocumentProxy), or null when PDF.js could not be loaded.
+ * @throws {Error} With `pdfPassword` set ('required' | 'incorrect') when the PDF needs a (different) password.
+ */
+async function openPdfDocument(pdfData, password) {
+    const pdfjs = await loadPdfJs(); // Ensure library is loaded
+    if (!pdfjs) return null; // Exit if library failed to load
+
+    console.log("Loading PDF document with PDF.js...");
+    // Use getDocument method from the loaded module
+    const loadingTask = pdfjs.getDocument({ data: pdfData, password: password || undefined });
+    let pdfDocument;
+    try {
+        pdfDocument = await loadingTask.promise;
+    } catch (loadError) {
+        if (loadError?.name === 'PasswordException') {
+            throw createPdfPasswordError(loadError.code === pdfjs.PasswordResponses.INCORRECT_PASSWORD);
+        }
+        throw loadError;
+    }
+    console.log(`PDF loaded (${pdfDocument.numPages} pages)`);
+    return pdfDocument;
+}
+
+/**
+ * Extracts the text of an open PDF document in reading order.
+ * Pages without a text layer (scans) are rendered and read with OCR (common/ocr.js)
+ * unless `ocr` is false.
+ * @param {object} pdfDocument - From openPdfDocument().
+ * @param {{ocr?: boolean, onOcrProgress?: function(number, number): void}} [options] - onOcrProgress
+ *   is called with (pageNumber, totalPages) for each page being OCR'd.
+ * @returns {Promise<{text: string, pageOffsets: {page: number, offset: number}[], lineOffsets: {line: object, offset: number}[]}>}
+ *   See buildParagraphText() in common/layout.js; the offsets match the trimmed text.
+ */
+async function readPdfText(pdfDocument, { ocr = true, onOcrProgress } = {}) {
+    // 1. Extract the positioned text of each page and put it in reading order (common/layout.js)
+    const pages = [];
+    const scannedPages = []; // Pages without a usable text layer
+    for (let pageNum = 1; pageNum <= pdfDocument.numPages; pageNum++) {
+        try {
+            const page = await pdfDocument.getPage(pageNum);
+            const textContent = await page.getTextContent();
+            const lines = buildPageLines(textContent?.items || [], pageNum);
+            pages.push({ number: pageNum, lines: orderPageLines(lines), bottom: page.view[1], top: page.view[3] });
+            console.log(`Extracted ${lines.length} lines from page ${pageNum}`);
+            if (lines.reduce((chars, line) => chars + line.text.length, 0) < OCR_MIN_PAGE_CHARS) {
+                scannedPages.push({ page, entry: pages[pages.length - 1] });
+            }
+        } catch (pageError) {
+             console.error(`Error processing page ${pageNum}:`, pageError);
+             // Keep a placeholder so the gap in the text is visible
+             pages.push({ number: pageNum, lines: [], text: `[Error extracting text from page ${pageNum}]` });
+        }
+    }
+
+    // 2. Read scanned pages with OCR, one page at a time (each canvas is large) but with one worker for all
+    if (ocr && scannedPages.length > 0) {
+        console.log(`${scannedPages.length} pages have no text layer; running OCR...`);
+        let session = null;
+        try {
+            session = await createOcrSession();
+            for (let i = 0; i < scannedPages.length; i++) {
+                const { page, entry } = scannedPages[i];
+                if (onOcrProgress) onOcrProgress(i + 1, scannedPages.length);
+                try {
+                    const canvas = await renderPdfPageToCanvas(page);
+                    const text = await session.recognize(canvas);
+                    canvas.width = canvas.height = 0; // Release the bitmap
+                    console.log(`OCR of page ${page.pageNumber}: ${text.length} characters.`);
+                    if (text) {
+                        entry.lines = [];
+                        entry.text = text;
+                    }
+                } catch (ocrError) {
+                    console.error(`OCR of page ${page.pageNumber} failed:`, ocrError);
+                }
+            }
+        } catch (ocrError) {
+            console.error("Could not start OCR:", ocrError); // The scanned pages stay empty
+        } finally {
+            if (session) await session.terminate();
+        }
+    }
+
+    // 3. Drop running headers, footers and page numbers, then rebuild paragraphs and headings
+    const removed = removeRunningHeadersFooters(pages);
+    console.log(`Removed ${removed} header/footer lines.`);
+    const { text: fullText, pageOffsets, lineOffsets } = buildParagraphText(pages);
+
+    // Keep the offsets in step with the trimmed text
+    const leading = fullText.length - fullText.trimStart().length;
+    return {
+        text: fullText.trim(),
+        pageOffsets: pageOffsets.map(entry => ({ page: entry.page, offset: Math.max(0, entry.offset - leading) })),
+        lineOffsets: lineOffsets.map(entry => ({ line: entry.line, offset: entry.offset - leading }))
+    };
+}
+
+/**
+ * Reads a PDF's outline (bookmarks) as a flat list in document order, each
+ * with the page it points to. Bookmarks that are links or actions point to no page.
+ * @param {object} pdfDocument - From openPdfDocument().
+ * @returns {Promise<{title: string, level: number, page: number|null}[]>} - Empty when the PDF has no outline.
+ */
+async function readPdfOutline(pdfDocument) {
+    const outline = await pdfDocument.getOutline().catch(() => null);
+    if (!outline) return [];
+
+    const bookmarks = [];
+    const visit = async (items, level) => {
+        for (const item of items) {
+            let page = null;
+            try {
+                // Named destinations are looked up first; the first entry is the page reference
+                const dest = typeof item.dest === 'string' ? await pdfDocument.getDestination(item.dest) : item.dest;
+                if (Array.isArray(dest) && dest[0] !== null && dest[0] !== undefined) {
+                    page = (typeof dest[0] === 'number' ? dest[0] : await pdfDocument.getPageIndex(dest[0])) + 1;
+                }
+            } catch (destError) {
+                console.warn(`Bookmark "${item.title}" has a broken destination:`, destError);
+            }
+            const title = (item.title || '').replace(/\s+/g, ' ').trim();
+            if (title) bookmarks.push({ title, level, page });
+            if (item.items?.length) await visit(item.items, level + 1);
+        }
+    };
+    await visit(outline, 1);
+    console.log(`PDF outline has ${bookmarks.length} bookmarks.`);
+    return bookmarks;
+}
+
+/**
+ * Extracts text content from PDF data using PDF.js.
+ * Pages without a text layer (scans) are rendered and read with OCR (common/ocr.js).
+ * Documents with usage restrictions (an owner password) but no open password
+ * are read as usual; a document with an open password needs `password`.
+ * @param {ArrayBuffer} pdfData - The PDF file's bytes (PDF.js takes ownership of the buffer).
+ * @param {function(number, number): void} [onOcrProgress] - Called with (pageNumber, totalPages) for each page being OCR'd.
+ * @param {string} [password] - The open password of an encrypted PDF.
+ * @returns {Promise<{text: string, pageOffsets: {page: number, offset: number}[], outline: object[]}|null>} - The
+ *   extracted text, where each page starts in it (for page references, see addPageReferences in
+ *   common/layout.js) and its bookmarks (readPdfOutline()), or null when PDF.js could not be loaded.
+ * @throws {Error} With `pdfPassword` set ('required' | 'incorrect') when the PDF needs a (different) password.
+ */
+async function getTextFromPdfData(pdfData, onOcrProgress, password) {
+    try {
+        // 1. Load the PDF document using PDF.js
+        const pdfDocument = await openPdfDocument(pdfData, password);
+        if (!pdfDocument) return null; // PDF.js failed to load
+        try {
+            // Copy/print restrictions don't stop PDF.js from reading the text; the text is only analyzed
+            const permissions = await pdfDocument.getPermissions().catch(() => null);
+            if (permissions) console.log("PDF has usage restrictions:", permissions);
+
+            // 2. Extract the text in reading order, reading scanned pages with OCR
+            const { text, pageOffsets } = await readPdfText(pdfDocument, { onOcrProgress });
+            // 3. Read the bookmarks, for the document outline (common/outline.js)
+            const outline = await readPdfOutline(pdfDocument);
+
+            console.log("Finished extracting text from PDF.");
+            return { text, pageOffsets, outline };
+        } finally {
+            // Also on errors: the background page lives on, and so would the document and its worker
+            await pdfDocument.destroy();
+        }
+
+    } catch (error) {
+        if (error.pdfPassword) throw error; // The UI asks for the password
+        console.error("Error parsing PDF:", error);
+        throw new Error(`Failed to process PDF: ${error.message}`); // Re-throw for handler
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * prompt.js: Builds the analysis prompt shared by every AI provider.
+ * The response shape is enforced separately via ANALYSIS_RESPONSE_SCHEMA (common/schema.js).
+ * Loaded as a plain script (functions are shared globals).
+ */
+
+/**
+ * Builds the prompt for one chunk of a document.
+ * @param {string} text - The chunk text (at most CHUNK_MAX_CHARS long).
+ * @param {number} [part=1] - 1-based index of this chunk.
+ * @param {number} [totalParts=1] - Number of chunks being analyzed.
+ * @param {string} [sections] - The document sections that start in this chunk, one "id: title" per line
+ *   (see formatOutlineForPrompt()).
+ * @returns {string} - The prompt text.
+ */
+function buildAnalysisPrompt(text, part = 1, totalParts = 1, sections = '') {
+  const partNote = totalParts > 1
+    ? `\nThis is part ${part} of ${totalParts} of a longer document. Analyze only the text of this part.\n`
+    : '';
+  const sectionNote = sections
+    ? `"sectionSummaries": For each of the following sections of the text, its id and a one-line summary (at most 20 words) of what it says for the user:
+${sections}`
+    : '"sectionSummaries": Return an empty array.';
+
+  // The detailed prompt including requests for Summary, Clauses, Severity, Category
+  return `
+Analyze the following Terms and Conditions text and respond with JSON matching the provided schema.
+${partNote}
+"summary": A concise summary of the key points as 5-7 bullet points (one string per bullet). Focus on what the service does, what the user agrees to, and key permissions granted.
+
+"concerningClauses": Clauses that could be concerning for a user. For each concerning clause provide:
+  a. "title": A clear, descriptive title (e.g., "Unilateral Changes Without Notice").
+  b. "explanation": Explain concisely *why* it's concerning, referencing potential impacts on user rights, privacy, or control.
+  c. "severity": Low, Medium or High, based on the potential negative impact.
+  d. "category": Privacy, Data Usage, Legal Rights, Service Changes or User Content, based on the main topic.
+  e. "quote": The exact sentence(s) from the text that the clause is based on, copied verbatim.
+
+Focus specifically on identifying language related to:
+  *   Unilateral Changes ("reserve the right to", "without notice") -> Category: Service Changes
+  *   Broad Company Discretion ("sole discretion") -> Category: Service Changes / Legal Rights
+  *   Third-Party Data Sharing ("share your information with", "third-party partners") -> Category: Privacy / Data Usage
+  *   Vague Language ("including but not limited to") -> Apply to relevant category
+  *   Waiver of User Rights ("waive your right", "class action waiver") -> Category: Legal Rights
+  *   Binding Arbitration ("binding arbitration") -> Category: Legal Rights
+  *   Data Handling (Anonymized/Aggregated) ("anonymized data") -> Category: Data Usage / Privacy
+  *   Implicit Acceptance ("continued use constitutes acceptance") -> Category: Service Changes
+  *   User Content Licensing (broad licenses to user posts/photos) -> Category: User Content / Legal Rights
+  *   Indemnification ("you agree to indemnify") -> Category: Legal Rights
+
+If no concerning clauses are found, return an empty "concerningClauses" array.
+
+${sectionNote}
+
+--- START OF TERMS AND CONDITIONS TEXT ---
+${text.substring(0, CHUNK_MAX_CHARS)}
+--- END OF TERMS AND CONDITIONS TEXT ---
+`;
+}
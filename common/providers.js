@@ -0,0 +1,253 @@
+/**
+ * providers.js: Pluggable AI provider layer.
+ * - AI_PROVIDERS describes each supported backend (Gemini, OpenAI-compatible
+ *   chat completions, Anthropic Messages, local Ollama) and how to build its
+ *   request and read its reply. The `offline` entry selects the rule-based
+ *   detector in common/rules.js instead of an AI service.
+ * - loadProviderSettings() reads the selected provider and its configuration.
+ * - callAIProvider() sends a prompt and returns the raw JSON text of the reply.
+ * Every provider is asked for output matching ANALYSIS_RESPONSE_SCHEMA (common/schema.js).
+ * Loaded as a plain script (functions are shared globals).
+ */
+
+/** Provider used when nothing has been selected yet (the original behaviour). */
+const DEFAULT_PROVIDER_ID = 'gemini';
+
+/**
+ * Converts the Gemini-style schema (upper-case OpenAPI types) into standard
+ * JSON Schema, as expected by OpenAI, Anthropic and Ollama.
+ * @param {object} schema - A schema node from common/schema.js.
+ * @returns {object} - The equivalent JSON Schema node.
+ */
+function toJsonSchema(schema) {
+  const converted = { type: schema.type.toLowerCase() };
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.items) converted.items = toJsonSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = {};
+    for (const [key, value] of Object.entries(schema.properties)) {
+      converted.properties[key] = toJsonSchema(value);
+    }
+    converted.required = schema.required || [];
+    converted.additionalProperties = false; // Required by OpenAI strict mode
+  }
+  return converted;
+}
+
+/**
+ * Joins a base URL and a path without doubling or dropping the slash.
+ * @param {string} base - e.g. "http://localhost:11434/"
+ * @param {string} path - e.g. "/api/chat"
+ * @returns {string}
+ */
+function joinUrl(base, path) {
+  return base.replace(/\/+$/, '') + '/' + path.replace(/^\/+/, '');
+}
+
+/**
+ * Supported AI providers.
+ * Each entry: label, whether an API key is required, default endpoint/model,
+ * buildRequest(settings, prompt) -> {url, init}, and extractText(data) -> string.
+ */
+const AI_PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    requiresApiKey: true,
+    defaults: { endpoint: 'https://generativelanguage.googleapis.com/v1beta', model: 'gemini-1.5-flash' },
+    buildRequest(settings, prompt) {
+      return {
+        url: joinUrl(settings.endpoint, `models/${encodeURIComponent(settings.model)}:generateContent?key=${encodeURIComponent(settings.apiKey)}`),
+        init: {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: {
+              temperature: 0.3,
+              maxOutputTokens: 4096, // Room for verbatim quotes in the JSON output
+              responseMimeType: 'application/json',
+              responseSchema: ANALYSIS_RESPONSE_SCHEMA
+            }
+            // Consider adding safetySettings here if needed
+          })
+        }
+      };
+    },
+    extractText(data) {
+      return data?.candidates?.[0]?.content?.parts?.[0]?.text;
+    }
+  },
+
+  openai: {
+    label: 'OpenAI-compatible (OpenAI, llama.cpp, LM Studio, vLLM...)',
+    requiresApiKey: false, // Local OpenAI-compatible servers usually don't need one
+    defaults: { endpoint: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+    buildRequest(settings, prompt) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (settings.apiKey) headers['Authorization'] = `Bearer ${settings.apiKey}`;
+      return {
+        url: joinUrl(settings.endpoint, 'chat/completions'),
+        init: {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({
+            model: settings.model,
+            temperature: 0.3,
+            max_tokens: 4096,
+            messages: [{ role: 'user', content: prompt }],
+            response_format: {
+              type: 'json_schema',
+              json_schema: { name: 'legaleyes_analysis', strict: true, schema: toJsonSchema(ANALYSIS_RESPONSE_SCHEMA) }
+            }
+          })
+        }
+      };
+    },
+    extractText(data) {
+      return data?.choices?.[0]?.message?.content;
+    }
+  },
+
+  anthropic: {
+    label: 'Anthropic Claude',
+    requiresApiKey: true,
+    defaults: { endpoint: 'https://api.anthropic.com/v1', model: 'claude-3-5-haiku-latest' },
+    buildRequest(settings, prompt) {
+      // Structured output via a forced tool call whose input schema is the result schema
+      return {
+        url: joinUrl(settings.endpoint, 'messages'),
+        init: {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': settings.apiKey,
+            'anthropic-version': '2023-06-01',
+            'anthropic-dangerous-direct-browser-access': 'true'
+          },
+          body: JSON.stringify({
+            model: settings.model,
+            max_tokens: 4096,
+            temperature: 0.3,
+            messages: [{ role: 'user', content: prompt }],
+            tools: [{
+              name: 'record_analysis',
+              description: 'Record the Terms and Conditions analysis.',
+              input_schema: toJsonSchema(ANALYSIS_RESPONSE_SCHEMA)
+            }],
+            tool_choice: { type: 'tool', name: 'record_analysis' }
+          })
+        }
+      };
+    },
+    extractText(data) {
+      const toolUse = data?.content?.find(block => block.type === 'tool_use');
+      if (toolUse?.input) return JSON.stringify(toolUse.input);
+      return data?.content?.find(block => block.type === 'text')?.text;
+    }
+  },
+
+  ollama: {
+    label: 'Local Ollama server',
+    requiresApiKey: false,
+    defaults: { endpoint: 'http://localhost:11434', model: 'llama3.1' },
+    buildRequest(settings, prompt) {
+      return {
+        url: joinUrl(settings.endpoint, 'api/chat'),
+        init: {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            model: settings.model,
+            stream: false,
+            format: toJsonSchema(ANALYSIS_RESPONSE_SCHEMA),
+            options: { temperature: 0.3 },
+            messages: [{ role: 'user', content: prompt }]
+          })
+        }
+      };
+    },
+    extractText(data) {
+      return data?.message?.content;
+    }
+  },
+
+  offline: {
+    label: 'Offline rules (no AI, nothing leaves your browser)',
+    requiresApiKey: false,
+    offline: true, // Handled by analyzeWithRules(); never called through callAIProvider()
+    defaults: { endpoint: '', model: '' }
+  }
+};
+
+/**
+ * Loads the selected provider and its settings from local storage, filling in
+ * defaults. The Gemini key is still stored under the original `apiKey` key.
+ * @returns {Promise<{providerId: string, apiKey: string, endpoint: string, model: string}>}
+ */
+async function loadProviderSettings() {
+  const stored = await browser.storage.local.get(['aiProvider', 'providerSettings', 'apiKey']);
+  const providerId = AI_PROVIDERS[stored.aiProvider] ? stored.aiProvider : DEFAULT_PROVIDER_ID;
+  const provider = AI_PROVIDERS[providerId];
+  const saved = (stored.providerSettings || {})[providerId] || {};
+  return {
+    providerId,
+    apiKey: providerId === 'gemini' ? (stored.apiKey || '') : (saved.apiKey || ''),
+    endpoint: saved.endpoint || provider.defaults.endpoint,
+    model: saved.model || provider.defaults.model
+  };
+}
+
+/**
+ * Checks whether the given settings are complete enough to make a request.
+ * @param {object} settings - As returned by loadProviderSettings().
+ * @returns {boolean}
+ */
+function isProviderConfigured(settings) {
+  const provider = AI_PROVIDERS[settings.providerId];
+  if (!provider) return false;
+  return !provider.requiresApiKey || Boolean(settings.apiKey);
+}
+
+/**
+ * Sends a prompt to the configured provider.
+ * @param {object} settings - As returned by loadProviderSettings().
+ * @param {string} prompt - The prompt text.
+ * @returns {Promise<string>} - The raw text of the reply (JSON for all providers).
+ */
+async function callAIProvider(settings, prompt) {
+  const provider = AI_PROVIDERS[settings.providerId];
+  if (!provider) throw new Error(`Unknown AI provider: ${settings.providerId}`);
+  if (provider.offline) throw new Error("The offline rule engine does not make API requests.");
+  if (!isProviderConfigured(settings)) {
+    throw new Error("API key not found. Please set it in options.");
+  }
+
+  const { url, init } = provider.buildRequest(settings, prompt);
+  console.log(`Calling ${provider.label}:`, url.split('key=')[0] + (url.includes('key=') ? 'key=...' : ''));
+
+  const response = await fetch(url, init);
+  console.log("API response status:", response.status);
+
+  // Robust error handling for non-OK HTTP responses
+  if (!response.ok) {
+    let errorMsg = `API request failed with status ${response.status}`;
+    try {
+      const errorText = await response.text();
+      console.error("API error response body:", errorText);
+      if (errorText) errorMsg += `: ${errorText}`;
+    } catch (readError) {
+      console.error("Could not read error response body:", readError);
+      errorMsg += " (Could not read error body)";
+    }
+    throw new Error(errorMsg);
+  }
+
+  const data = await response.json();
+  const text = provider.extractText(data);
+  if (typeof text !== 'string' || !text) {
+    console.error("Unexpected API response structure:", data);
+    throw new Error("Received an unexpected response format from the AI service.");
+  }
+  return text;
+}
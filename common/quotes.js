@@ -0,0 +1,140 @@
+/**
+ * quotes.js: Checks that each flagged clause's quote really appears in the
+ * source document.
+ * - locateQuote() fuzzy-matches a quote against the extracted text, tolerating
+ *   whitespace, punctuation, curly quotes and small wording differences.
+ * - verifyClauseQuotes() marks each clause as verified or unverified and
+ *   records where in the source text its quote was found.
+ * Loaded as a plain script (functions are shared globals).
+ */
+
+/** Minimum share of quote words that must be found in order for a quote to count as verified. */
+const QUOTE_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Splits text into lower-cased word tokens, keeping their character offsets.
+ * @param {string} text
+ * @returns {{word: string, start: number, end: number}[]}
+ */
+function tokenizeWithOffsets(text) {
+  const tokens = [];
+  const wordPattern = /[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu;
+  let match;
+  while ((match = wordPattern.exec(text)) !== null) {
+    tokens.push({
+      word: match[0].toLowerCase().replace(/’/g, "'"),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Length of the longest common subsequence of two word arrays.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number}
+ */
+function longestCommonSubsequence(a, b) {
+  let previous = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const current = new Array(b.length + 1).fill(0);
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1] + 1
+        : Math.max(previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the best fuzzy match of a quote in the source text.
+ * Candidate windows are anchored on the quote's rarest words, then scored by
+ * the share of quote words found in order (longest common subsequence).
+ * @param {string} quote - The quote to look for.
+ * @param {string} sourceText - The extracted document text.
+ * @param {object[]} [sourceTokens] - Pre-computed tokenizeWithOffsets(sourceText), to reuse across quotes.
+ * @returns {{score: number, start: number, end: number, matchedText: string} | null} - Null when nothing plausible was found.
+ */
+function locateQuote(quote, sourceText, sourceTokens) {
+  if (!quote || !sourceText) return null;
+  const quoteWords = tokenizeWithOffsets(quote).map(token => token.word);
+  if (quoteWords.length === 0) return null;
+  const tokens = sourceTokens || tokenizeWithOffsets(sourceText);
+  if (tokens.length === 0) return null;
+
+  // Index source positions for each distinct quote word
+  const positions = new Map(quoteWords.map(word => [word, []]));
+  tokens.forEach((token, index) => {
+    const list = positions.get(token.word);
+    if (list) list.push(index);
+  });
+
+  // Anchor on the (up to) three rarest quote words that occur in the source
+  const anchors = quoteWords
+    .map((word, quoteIndex) => ({ quoteIndex, occurrences: positions.get(word) }))
+    .filter(anchor => anchor.occurrences.length > 0)
+    .sort((a, b) => a.occurrences.length - b.occurrences.length)
+    .slice(0, 3);
+  if (anchors.length === 0) return null;
+
+  const slack = Math.max(2, Math.ceil(quoteWords.length * 0.2));
+  const tried = new Set();
+  let best = null;
+  for (const anchor of anchors) {
+    for (const position of anchor.occurrences.slice(0, 200)) {
+      const windowStart = Math.max(0, position - anchor.quoteIndex - slack);
+      if (tried.has(windowStart)) continue;
+      tried.add(windowStart);
+      const windowEnd = Math.min(tokens.length, windowStart + quoteWords.length + 2 * slack);
+      const windowWords = tokens.slice(windowStart, windowEnd).map(token => token.word);
+      const score = longestCommonSubsequence(quoteWords, windowWords) / quoteWords.length;
+      if (!best || score > best.score) best = { score, windowStart, windowEnd };
+      if (score === 1) break;
+    }
+    if (best && best.score === 1) break;
+  }
+
+  // Trim the window to the first and last quote words actually matched
+  const firstWord = quoteWords[0];
+  const lastWord = quoteWords[quoteWords.length - 1];
+  let startIndex = best.windowStart;
+  let endIndex = best.windowEnd - 1;
+  for (let i = best.windowStart; i < best.windowEnd; i++) {
+    if (tokens[i].word === firstWord) { startIndex = i; break; }
+  }
+  for (let i = best.windowEnd - 1; i >= startIndex; i--) {
+    if (tokens[i].word === lastWord) { endIndex = i; break; }
+  }
+  const start = tokens[startIndex].start;
+  const end = tokens[endIndex].end;
+  return { score: best.score, start, end, matchedText: sourceText.substring(start, end) };
+}
+
+/**
+ * Verifies every clause's quote against the source text.
+ * Sets `verified` (boolean) on each clause and, when found, `sourceQuote`
+ * (the matching source text) and `sourceOffset` ({start, end} in sourceText).
+ * Clauses without a quote (e.g. from the legacy markdown parser) are unverified.
+ * @param {object[]} clauses - Concerning clauses (modified in place).
+ * @param {string} sourceText - The extracted document text.
+ * @returns {object[]} - The same clauses.
+ */
+function verifyClauseQuotes(clauses, sourceText) {
+  if (!clauses || clauses.length === 0) return clauses;
+  const sourceTokens = tokenizeWithOffsets(sourceText || '');
+  for (const clause of clauses) {
+    const match = clause.quote ? locateQuote(clause.quote, sourceText, sourceTokens) : null;
+    clause.verified = Boolean(match && match.score >= QUOTE_MATCH_THRESHOLD);
+    if (clause.verified) {
+      clause.sourceQuote = match.matchedText;
+      clause.sourceOffset = { start: match.start, end: match.end };
+    } else {
+      console.warn(`Could not verify quote for "${clause.title}" (best score ${match ? match.score.toFixed(2) : 0}).`);
+    }
+  }
+  return clauses;
+}
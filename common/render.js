@@ -0,0 +1,223 @@
+/**
+ * render.js: HTML and plain-text rendering shared by the popup and the popout.
+ * - escapeHtml() for untrusted text (AI output, document quotes).
+ * - renderClauseCardHtml() builds a concerning clause card, including its source quote
+ *   and, for PDFs, its page reference.
+ * - formatPageReference() and formatClauseQuoteText() format them for Copy/Save as TXT.
+ * - renderChangeReportHtml() shows what changed in a watched policy.
+ * - renderOutlineHtml() builds the document's table of contents (common/outline.js).
+ * - describeExtractionChoice() labels a part of the page the extractor found (the popup's review step).
+ * - annotatedPdfFileName() names the annotated copy of a PDF (Save Annotated PDF).
+ * Loaded as a plain script (functions are shared globals).
+ */
+
+/**
+ * Escapes characters with special meaning in HTML.
+ * @param {string} text - Plain text (e.g., from the AI's JSON output).
+ * @returns {string} - Text safe to insert with innerHTML.
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Builds the HTML for one concerning clause card.
+ * `title` and `text` are already HTML (produced by the parsers); the quote is
+ * document text and gets escaped here.
+ * @param {object} clause - A concerning clause.
+ * @param {number} index - Position of the clause in the result (stored as data-index).
+ * @param {string} [pdfUrl] - The analyzed PDF; page references link to `pdfUrl#page=N`.
+ * @returns {string} - The card HTML.
+ */
+function renderClauseCardHtml(clause, index, pdfUrl) {
+  const title = clause.title || 'Untitled Clause';
+  const text = clause.text || 'No details provided.';
+  const severity = clause.severity || 'medium';
+  const category = clause.category || 'general';
+  const unverifiedBadge = clause.verified === false
+    ? '<span class="unverified-badge" title="This clause\'s quote could not be found in the document">unverified</span>'
+    : '';
+
+  let quoteHtml = '';
+  if (clause.verified && clause.sourceQuote) {
+    quoteHtml = `<blockquote class="clause-quote">${escapeHtml(clause.sourceQuote)}</blockquote>`;
+  } else if (clause.quote) {
+    quoteHtml = `<blockquote class="clause-quote unverified-quote">${escapeHtml(clause.quote)}</blockquote>
+            <p class="unverified-note">This quote could not be found in the document. The AI may have paraphrased or invented it.</p>`;
+  } else if (clause.verified === false) {
+    quoteHtml = '<p class="unverified-note">No source quote was provided for this clause.</p>';
+  }
+
+  let pageHtml = '';
+  if (clause.page) {
+    const reference = escapeHtml(formatPageReference(clause));
+    pageHtml = pdfUrl
+      ? `<a class="page-ref" href="${escapeHtml(`${pdfUrl}#page=${clause.page}`)}" target="_blank" data-page="${clause.page}" title="Open the PDF at this page">${reference}</a>`
+      : `<span class="page-ref">${reference}</span>`;
+  }
+
+  return `
+          <div class="concerning-item" data-category="${category}" data-severity="${severity}" data-index="${index}">
+            <div class="concerning-title">
+              <span>${title}</span>
+              <span class="badges">${unverifiedBadge}<span class="severity-badge severity-${severity}">${severity}</span></span>
+            </div>
+            <div class="concerning-text">${text}</div>
+            ${quoteHtml}
+            ${pageHtml}
+          </div>`;
+}
+
+/**
+ * Describes where a clause's quote is in a PDF, e.g. "p. 12, § 4.2".
+ * @param {object} clause - A concerning clause (see addPageReferences in common/layout.js).
+ * @returns {string} - '' when the page is unknown.
+ */
+function formatPageReference(clause) {
+  if (!clause.page) return '';
+  return clause.section ? `p. ${clause.page}, § ${clause.section}` : `p. ${clause.page}`;
+}
+
+/**
+ * Formats a clause's quote for the plain-text exports.
+ * @param {object} clause - A concerning clause.
+ * @returns {string} - A "Quote: ..." line ending in a newline, or '' when there is no quote.
+ */
+function formatClauseQuoteText(clause) {
+  if (clause.verified && clause.sourceQuote) {
+    return clause.page ? `Quote (${formatPageReference(clause)}): "${clause.sourceQuote}"\n` : `Quote: "${clause.sourceQuote}"\n`;
+  }
+  if (clause.quote) return `Quote (unverified, not found in document): "${clause.quote}"\n`;
+  return '';
+}
+
+/**
+ * Builds the "what changed" report for a watched policy (see common/changes.js).
+ * @param {object} changes - The `changes` object of a result.
+ * @returns {string} - The report HTML.
+ */
+function renderChangeReportHtml(changes) {
+  const since = escapeHtml(new Date(changes.previousCapturedAt).toLocaleString());
+  if (changes.unchanged) {
+    return `<p class="change-summary">Watched policy: no changes since the version from ${since}.</p>`;
+  }
+
+  const sections = changes.sections;
+  const clauses = changes.clauses;
+  const severityBadge = severity => `<span class="severity-badge severity-${severity}">${severity}</span>`;
+  const clauseList = (label, items) => items.length === 0 ? '' : `
+          <p class="change-label">${label}</p>
+          <ul>${items.join('')}</ul>`;
+
+  const sectionHtml = sections.changes.map(change => {
+    if (change.type === 'modified') {
+      return `<div class="section-change change-modified"><span class="change-label">Modified</span>
+            <blockquote class="change-before">${escapeHtml(change.before)}</blockquote>
+            <blockquote class="change-after">${escapeHtml(change.after)}</blockquote></div>`;
+    }
+    const text = change.type === 'added' ? change.after : change.before;
+    return `<div class="section-change change-${change.type}"><span class="change-label">${change.type === 'added' ? 'Added' : 'Removed'}</span>
+            <blockquote>${escapeHtml(text)}</blockquote></div>`;
+  }).join('');
+
+  return `
+          <p class="change-summary">Watched policy changed since the version from ${since}:
+            ${sections.added} sections added, ${sections.removed} removed, ${sections.modified} modified.
+            Only the changed sections were analyzed again.</p>
+          ${clauseList('New concerning clauses', clauses.added.map(clause => `<li>${clause.title} ${severityBadge(clause.severity)}</li>`))}
+          ${clauseList('No longer flagged', clauses.removed.map(clause => `<li>${clause.title} ${severityBadge(clause.severity)}</li>`))}
+          ${clauseList('Changed clauses', clauses.modified.map(({ before, after }) =>
+            `<li>${after.title} ${before.severity !== after.severity ? `${severityBadge(before.severity)} &rarr; ` : ''}${severityBadge(after.severity)}</li>`))}
+          ${sectionHtml ? `<details><summary>Show changed sections</summary>${sectionHtml}</details>` : ''}`;
+}
+
+/**
+ * Builds the table of contents of an analyzed document: each section with its
+ * one-line summary and the number of concerning clauses quoted in it. Section
+ * links open the PDF at the section's page (`pdfUrl#page=N`) or, for web pages,
+ * carry the title in `data-section-title` for scrollToSection() (content_scripts/highlighter.js).
+ * @param {object} result - An analysis result with an `outline` (see attachDocumentOutline()).
+ * @param {boolean} [canScroll=true] - Whether the analyzed page is open to scroll to; when not,
+ *   sections of web pages are listed without links.
+ * @returns {string} - The HTML; '' when the result has no outline.
+ */
+function renderOutlineHtml(result, canScroll = true) {
+  const outline = result.outline;
+  if (!outline || !outline.sections || outline.sections.length === 0) return '';
+  const clauses = result.concerningClauses || [];
+  const severityRank = { low: 1, medium: 2, high: 3 };
+
+  const renderSections = sections => sections.map(section => {
+    const title = escapeHtml(section.title);
+    let link = `<span class="outline-link">${title}</span>`;
+    if (result.pdfUrl && section.page) {
+      link = `<a class="outline-link" href="${escapeHtml(`${result.pdfUrl}#page=${section.page}`)}" target="_blank" data-page="${section.page}" title="Open the PDF at this section">${title}</a>`;
+    } else if (!result.pdfUrl && canScroll) {
+      link = `<a class="outline-link" href="#" data-section-title="${title}" title="Scroll the page to this section">${title}</a>`;
+    }
+    const count = (section.clauses || []).length;
+    // The badge takes the color of the most severe clause in the section
+    const worst = (section.clauses || []).map(index => clauses[index]?.severity)
+      .reduce((worst, severity) => ((severityRank[severity] || 0) > (severityRank[worst] || 0) ? severity : worst), null);
+    const flags = count > 0
+      ? `<span class="flag-count has-flags severity-${worst || 'medium'}">${count} ${count === 1 ? 'flag' : 'flags'}</span>`
+      : '<span class="flag-count">0 flags</span>';
+    const page = section.page ? `<span class="outline-page">p. ${section.page}</span>` : '';
+    const summary = section.summary ? `<p class="outline-summary">${escapeHtml(section.summary)}</p>` : '';
+    const children = section.children && section.children.length > 0
+      ? `<ul class="outline-list">${renderSections(section.children)}</ul>`
+      : '';
+    return `<li class="outline-section"><div class="outline-entry">${link}${page}${flags}</div>${summary}${children}</li>`;
+  }).join('');
+
+  const countSections = sections => sections.reduce((total, section) => total + 1 + countSections(section.children || []), 0);
+  const total = countSections(outline.sections);
+  return `
+          <details class="outline" open>
+            <summary>Contents (${total} sections)</summary>
+            <ul class="outline-list">${renderSections(outline.sections)}</ul>
+          </details>`;
+}
+
+/** How each extraction strategy (see collectTermsCandidates() in common/extract.js) is described to the user. */
+const EXTRACTION_STRATEGY_LABELS = {
+  'site-rule': 'the block saved for this site',
+  selector: 'a block named after the terms',
+  'heading-parent': 'the block around a terms heading',
+  siblings: 'the text under a terms heading',
+  iframe: 'an embedded frame',
+  container: 'the main content block',
+  body: 'the whole page'
+};
+
+/**
+ * Describes a part of the page the extractor found, for the review step.
+ * @param {{strategy: string, label: string, confidence: number, chars: number}} choice - From extractTermsStructure().
+ * @returns {string} - E.g. "The text under a terms heading (section after "Terms"), 12,345 characters, 82% confidence".
+ */
+function describeExtractionChoice(choice) {
+  const strategy = EXTRACTION_STRATEGY_LABELS[choice.strategy] || choice.strategy;
+  const described = strategy.charAt(0).toUpperCase() + strategy.slice(1);
+  return `${described} (${choice.label}), ${choice.chars.toLocaleString()} characters, ${Math.round(choice.confidence * 100)}% confidence`;
+}
+
+/**
+ * File name for the annotated copy of a PDF (see common/annotate.js).
+ * @param {string} [source] - The PDF's URL or file name.
+ * @returns {string} - E.g. "terms-annotated.pdf".
+ */
+function annotatedPdfFileName(source) {
+  let name = source || '';
+  try {
+    name = decodeURIComponent(new URL(name).pathname.split('/').pop());
+  } catch (error) {
+    // Not a URL: a file name
+  }
+  name = name.replace(/\.pdf$/i, '').replace(/[\\/:*?"<>|]+/g, '_').trim();
+  return `${name || 'document'}-annotated.pdf`;
+}
@@ -0,0 +1,241 @@
+/**
+ * rules.js: Offline, rule-based clause detector.
+ * Scans the extracted text for the same patterns the AI prompt asks about
+ * ("reserve the right to", "sole discretion", "binding arbitration", ...) and
+ * produces the same {summary, concerningClauses} structure as the AI path, so
+ * LegalEyes works without an API key and without sending the document anywhere.
+ * Loaded as a plain script (functions are shared globals).
+ */
+
+/** Most clauses one rule produces (boilerplate like "sole discretion" can match dozens of sentences). */
+const MAX_MATCHES_PER_RULE = 5;
+
+/** Longest quote taken from a matching sentence. */
+const MAX_RULE_QUOTE_CHARS = 600;
+
+/**
+ * Clause detection rules. Each distinct matching sentence becomes a concerning
+ * clause quoting it (up to MAX_MATCHES_PER_RULE per rule).
+ * Categories and severities use the same values as the AI schema.
+ */
+const CLAUSE_RULES = [
+  {
+    id: 'changes-without-notice',
+    title: 'Changes Without Notice',
+    pattern: /(?:change|modify|amend|update|alter|suspend|discontinue)[^.]{0,100}without (?:any )?(?:prior |advance )?notice|without (?:any )?(?:prior |advance )?notice[^.]{0,100}(?:change|modify|amend|update|alter|suspend|discontinue)/i,
+    severity: 'high',
+    category: 'Service Changes',
+    explanation: 'The company can change the service or these terms without telling you first.'
+  },
+  {
+    id: 'unilateral-changes',
+    title: 'Unilateral Right to Change Terms',
+    pattern: /reserves? the right to (?:change|modify|amend|update|alter|revise|replace)|(?:may|can) (?:change|modify|amend|update|revise) (?:these|this|the) (?:terms|agreement|policy)[^.]{0,60}(?:at any time|from time to time)/i,
+    severity: 'medium',
+    category: 'Service Changes',
+    explanation: 'The company can rewrite the terms on its own; you may be bound by versions you never read.'
+  },
+  {
+    id: 'implicit-acceptance',
+    title: 'Acceptance by Continued Use',
+    pattern: /continu(?:ed|ing|e to) (?:use|access)[^.]{0,100}(?:constitutes?|signif(?:y|ies)|means|deemed|indicates?)[^.]{0,60}accept|by (?:using|accessing|visiting)[^.]{0,80}you (?:agree|accept|consent)/i,
+    severity: 'medium',
+    category: 'Service Changes',
+    explanation: 'Simply using the service counts as agreeing to the terms, including any future changes.'
+  },
+  {
+    id: 'termination-any-time',
+    title: 'Termination at Any Time',
+    pattern: /(?:terminate|suspend|disable|close)[^.]{0,80}(?:account|access|service)[^.]{0,80}(?:at any time|for any reason|without (?:cause|reason|liability))/i,
+    severity: 'medium',
+    category: 'Service Changes',
+    explanation: 'Your account or access can be cut off for any reason, potentially without recourse.'
+  },
+  {
+    id: 'automatic-renewal',
+    title: 'Automatic Renewal',
+    pattern: /automatic(?:ally)? renew|auto-?renew/i,
+    severity: 'medium',
+    category: 'Service Changes',
+    explanation: 'Subscriptions renew and charge you automatically unless you cancel in time.'
+  },
+  {
+    id: 'sole-discretion',
+    title: 'Broad Company Discretion',
+    pattern: /(?:sole|absolute|complete|own) (?:and (?:absolute|exclusive) )?discretion/i,
+    severity: 'medium',
+    category: 'Legal Rights',
+    explanation: 'Decisions are left entirely to the company, with no objective standard you can rely on.'
+  },
+  {
+    id: 'binding-arbitration',
+    title: 'Binding Arbitration',
+    pattern: /binding (?:individual )?arbitration|(?:resolved|settled|decided) (?:exclusively |solely |only )?(?:by|through|in) (?:final and binding |binding )?arbitration|agree to arbitrate/i,
+    severity: 'high',
+    category: 'Legal Rights',
+    explanation: 'Disputes go to private arbitration instead of court, limiting appeals and public scrutiny.'
+  },
+  {
+    id: 'class-action-waiver',
+    title: 'Class Action Waiver',
+    pattern: /class[- ]action waiver|waive[^.]{0,60}class (?:action|arbitration|proceeding)|(?:not|never) (?:bring|participate in|join)[^.]{0,60}class (?:action|proceeding)|only (?:in|on) (?:your|an) individual (?:capacity|basis)/i,
+    severity: 'high',
+    category: 'Legal Rights',
+    explanation: 'You give up the right to join other users in a class action, even for widespread harm.'
+  },
+  {
+    id: 'waiver-of-rights',
+    title: 'Waiver of User Rights',
+    pattern: /waive[sd]? (?:any |your |all |the )?(?:rights?|claims?)|waive[^.]{0,40}jury trial|right to a jury trial/i,
+    severity: 'high',
+    category: 'Legal Rights',
+    explanation: 'You give up legal rights or claims you would otherwise have.'
+  },
+  {
+    id: 'indemnification',
+    title: 'Indemnification',
+    pattern: /(?:you|user) (?:agree|shall|will|must)[^.]{0,40}(?:indemnify|hold[^.]{0,40}harmless)|\bindemnify,? (?:defend|and hold)/i,
+    severity: 'medium',
+    category: 'Legal Rights',
+    explanation: "You may have to pay the company's legal costs and damages arising from your use."
+  },
+  {
+    id: 'limitation-of-liability',
+    title: 'Limitation of Liability',
+    pattern: /(?:in no event|under no circumstances)[^.]{0,80}(?:be )?liable|(?:liability|damages)[^.]{0,80}(?:shall not exceed|limited to|capped at)|not (?:be )?(?:held )?liable for any/i,
+    severity: 'medium',
+    category: 'Legal Rights',
+    explanation: 'The company limits or excludes what it owes you if something goes wrong.'
+  },
+  {
+    id: 'exclusive-venue',
+    title: 'Exclusive Jurisdiction or Venue',
+    pattern: /exclusive (?:jurisdiction|venue)|submit to the (?:exclusive |personal )?jurisdiction/i,
+    severity: 'low',
+    category: 'Legal Rights',
+    explanation: 'Disputes must be brought in a court of the company\'s choosing, which may be far from you.'
+  },
+  {
+    id: 'vague-language',
+    title: 'Vague, Open-Ended Language',
+    pattern: /including,? (?:but|without) (?:not )?limit(?:ed|ation)(?: to)?/i,
+    severity: 'low',
+    category: 'Legal Rights',
+    explanation: '"Including but not limited to" leaves the scope open, so the clause can cover more than it lists.'
+  },
+  {
+    id: 'sale-of-data',
+    title: 'Sale of Personal Data',
+    pattern: /\bsell(?:s|ing)? (?:your |the )?(?:personal )?(?:information|data)|sale of (?:your )?(?:personal )?(?:information|data)/i,
+    severity: 'high',
+    category: 'Privacy',
+    explanation: 'Your personal information may be sold to other companies.'
+  },
+  {
+    id: 'third-party-sharing',
+    title: 'Third-Party Data Sharing',
+    pattern: /(?:share|disclose|transfer|provide)[^.]{0,80}(?:information|data)[^.]{0,80}(?:third[- ]part(?:y|ies)|partners|affiliates|advertisers)|third[- ]party partners/i,
+    severity: 'high',
+    category: 'Privacy',
+    explanation: 'Your information can be passed to other companies, where this policy no longer protects it.'
+  },
+  {
+    id: 'tracking',
+    title: 'Tracking for Advertising',
+    pattern: /(?:cookies|tracking technologies|web beacons|pixels?|device identifiers)[^.]{0,100}(?:advertis|marketing|third[- ]part)/i,
+    severity: 'medium',
+    category: 'Privacy',
+    explanation: 'Your activity is tracked and may be used for targeted advertising by the company or others.'
+  },
+  {
+    id: 'data-retention',
+    title: 'Open-Ended Data Retention',
+    pattern: /retain[^.]{0,80}(?:indefinitely|as long as (?:necessary|we (?:deem|consider|need))|after (?:you )?(?:delete|close|terminate|cancel))/i,
+    severity: 'medium',
+    category: 'Data Usage',
+    explanation: 'Your data may be kept indefinitely, or after you delete your account.'
+  },
+  {
+    id: 'anonymized-data',
+    title: 'Use of Anonymized or Aggregated Data',
+    pattern: /(?:anonymi[sz]ed|aggregated?|de-identified|pseudonymi[sz]ed) (?:data|information)/i,
+    severity: 'low',
+    category: 'Data Usage',
+    explanation: '"Anonymized" data is exempt from most restrictions and can sometimes be re-identified.'
+  },
+  {
+    id: 'content-license',
+    title: 'Broad License to Your Content',
+    pattern: /(?:worldwide|perpetual|irrevocable|royalty[- ]free|sub-?licensable|transferable)[^.]{0,100}licen[cs]e|licen[cs]e[^.]{0,100}(?:perpetual|irrevocable|worldwide|royalty[- ]free)/i,
+    severity: 'high',
+    category: 'User Content',
+    explanation: 'The company gets sweeping rights to use, copy and share what you post, often forever.'
+  }
+];
+
+/**
+ * Splits text into sentences (also breaking on blank lines and list markers).
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitIntoSentences(text) {
+  return text
+    .split(/(?<=[.!?;])\s+(?=["'(\[]?[A-Z0-9])|\n\s*\n|\n(?=\s*(?:[-*•]|\(?[a-z0-9]{1,3}[.)])\s)/)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Analyzes text with CLAUSE_RULES only (no network access).
+ * @param {string} text - The full document text.
+ * @returns {object} - {summary (HTML), concerningClauses, engine: 'rules'}, same shape as the AI path.
+ */
+function analyzeWithRules(text) {
+  const sentences = splitIntoSentences(text || '');
+  const concerningClauses = [];
+
+  let matchedRules = 0;
+  for (const rule of CLAUSE_RULES) {
+    const matches = [...new Set(sentences.filter(sentence => rule.pattern.test(sentence)))];
+    if (matches.length === 0) continue;
+    matchedRules++;
+    // One clause per sentence, so each quote can be verified, highlighted and annotated on its own
+    const kept = matches.slice(0, MAX_MATCHES_PER_RULE);
+    kept.forEach((match, index) => {
+      const occurrence = matches.length > 1 ? ` Match ${index + 1} of ${matches.length}.` : '';
+      concerningClauses.push({
+        title: rule.title,
+        text: rule.explanation + occurrence,
+        severity: rule.severity,
+        category: rule.category.replace(/\s+/g, '-').toLowerCase(),
+        quote: match.length > MAX_RULE_QUOTE_CHARS ? match.substring(0, MAX_RULE_QUOTE_CHARS) + '...' : match,
+        ruleId: rule.id
+      });
+    });
+    if (matches.length > kept.length) {
+      console.log(`Rule "${rule.id}" matched ${matches.length} sentences; keeping the first ${kept.length}.`);
+    }
+  }
+  // High severity first, same as the AI parsers
+  concerningClauses.sort((a, b) => (a.severity === 'high' ? 0 : 1) - (b.severity === 'high' ? 0 : 1));
+
+  // Summary: what was scanned and which topics were flagged, grouped by category
+  const bullets = [
+    'Offline rule-based analysis: the document was scanned for known risky phrases on this device and nothing was sent to an AI service.',
+    `Scanned ${sentences.length.toLocaleString()} sentences; ${matchedRules} of ${CLAUSE_RULES.length} patterns matched.`
+  ];
+  for (const category of CLAUSE_CATEGORIES) {
+    const titles = concerningClauses
+      .filter(clause => clause.category === category.replace(/\s+/g, '-').toLowerCase())
+      .map(clause => clause.title);
+    if (titles.length > 0) bullets.push(`<strong>${category}:</strong> ${[...new Set(titles)].join(', ')}.`);
+  }
+  bullets.push('Pattern matching cannot judge context. Review each quote, and use an AI provider for a fuller summary when the document is not sensitive.');
+
+  console.log(`Rule-based analysis matched ${matchedRules} rules (${concerningClauses.length} clauses) in ${sentences.length} sentences.`);
+  return {
+    summary: '<ul>' + bullets.map(bullet => `<li>${bullet}</li>`).join('') + '</ul>',
+    concerningClauses,
+    engine: 'rules'
+  };
+}
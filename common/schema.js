@@ -0,0 +1,148 @@
+/**
+ * schema.js: The structured result schema requested from the AI and a small
+ * validator for it.
+ * - ANALYSIS_RESPONSE_SCHEMA uses the OpenAPI subset accepted by Gemini's
+ *   `responseSchema` (type names in upper case).
+ * - parseStructuredResponse() parses and validates a raw JSON reply.
+ * Loaded as a plain script (functions are shared globals).
+ */
+
+const SEVERITY_LEVELS = ['Low', 'Medium', 'High'];
+const CLAUSE_CATEGORIES = ['Privacy', 'Data Usage', 'Legal Rights', 'Service Changes', 'User Content'];
+
+/** Schema for one concerning clause. */
+const CLAUSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    title: { type: 'STRING', description: 'Short descriptive title, e.g. "Unilateral Changes Without Notice".' },
+    explanation: { type: 'STRING', description: 'Why the clause is concerning for the user.' },
+    severity: { type: 'STRING', enum: SEVERITY_LEVELS },
+    category: { type: 'STRING', enum: CLAUSE_CATEGORIES },
+    quote: { type: 'STRING', description: 'The exact sentence(s) from the document that triggered this flag, copied verbatim.' }
+  },
+  required: ['title', 'explanation', 'severity', 'category', 'quote'],
+  propertyOrdering: ['title', 'explanation', 'severity', 'category', 'quote']
+};
+
+/** Schema for the one-line summary of a document section (see common/outline.js). */
+const SECTION_SUMMARY_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    id: { type: 'STRING', description: 'The section id as listed in the prompt, e.g. "s3".' },
+    summary: { type: 'STRING', description: 'What the section says, in one line.' }
+  },
+  required: ['id', 'summary'],
+  propertyOrdering: ['id', 'summary']
+};
+
+/** Schema for the whole analysis response. */
+const ANALYSIS_RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    summary: {
+      type: 'ARRAY',
+      description: 'Key points of the document, one bullet per item.',
+      items: { type: 'STRING' }
+    },
+    concerningClauses: {
+      type: 'ARRAY',
+      items: CLAUSE_SCHEMA
+    },
+    sectionSummaries: {
+      type: 'ARRAY',
+      description: 'One entry per section listed in the prompt (empty when none are listed).',
+      items: SECTION_SUMMARY_SCHEMA
+    }
+  },
+  required: ['summary', 'concerningClauses', 'sectionSummaries'],
+  propertyOrdering: ['summary', 'concerningClauses', 'sectionSummaries']
+};
+
+/**
+ * Validates a value against the schema subset used above
+ * (OBJECT / ARRAY / STRING, `enum`, `required`, `properties`, `items`).
+ * @param {*} value - The value to check.
+ * @param {object} schema - The schema node.
+ * @param {string} [path='$'] - Path used in error messages.
+ * @returns {string[]} - Validation errors (empty when valid).
+ */
+function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+  switch (schema.type) {
+    case 'OBJECT':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} should be an object`);
+        break;
+      }
+      for (const key of schema.required || []) {
+        if (!(key in value)) errors.push(`${path}.${key} is required`);
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        if (key in value) errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+      break;
+    case 'ARRAY':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} should be an array`);
+        break;
+      }
+      value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+      break;
+    case 'STRING':
+      if (typeof value !== 'string') {
+        errors.push(`${path} should be a string`);
+      } else if (schema.enum && !schema.enum.some(option => option.toLowerCase() === value.trim().toLowerCase())) {
+        errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+      }
+      break;
+    default:
+      errors.push(`${path}: unsupported schema type ${schema.type}`);
+  }
+  return errors;
+}
+
+/**
+ * Parses a raw JSON reply from the AI and validates it against ANALYSIS_RESPONSE_SCHEMA.
+ * Individual clauses that fail validation are dropped (and logged) rather than
+ * failing the whole response.
+ * @param {string} rawText - The raw response text.
+ * @returns {{summary: string[], concerningClauses: object[], sectionSummaries: {id: string, summary: string}[]}} - The validated data.
+ * @throws {SyntaxError} If the text is not JSON (caller may fall back to the markdown parser).
+ * @throws {Error} If the top-level structure does not match the schema.
+ */
+function parseStructuredResponse(rawText) {
+  // Some models wrap JSON in a ```json fence even in JSON mode
+  const jsonText = rawText.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  const data = JSON.parse(jsonText);
+
+  // Section summaries are optional here: older models and prompts without sections may leave them out
+  const topLevelErrors = validateAgainstSchema(data, {
+    ...ANALYSIS_RESPONSE_SCHEMA,
+    properties: {
+      summary: ANALYSIS_RESPONSE_SCHEMA.properties.summary,
+      concerningClauses: { type: 'ARRAY', items: { type: 'OBJECT' } }
+    },
+    required: ['summary', 'concerningClauses']
+  });
+  if (topLevelErrors.length > 0) {
+    throw new Error(`AI response did not match the expected format: ${topLevelErrors.join('; ')}`);
+  }
+
+  const concerningClauses = data.concerningClauses.filter((clause, index) => {
+    const errors = validateAgainstSchema(clause, CLAUSE_SCHEMA, `$.concerningClauses[${index}]`);
+    if (errors.length > 0) {
+      console.warn("Dropping invalid clause from AI response:", errors, clause);
+      return false;
+    }
+    return true;
+  });
+
+  const sectionSummaries = (Array.isArray(data.sectionSummaries) ? data.sectionSummaries : [])
+    .filter(entry => validateAgainstSchema(entry, SECTION_SUMMARY_SCHEMA).length === 0 && entry.summary.trim());
+
+  return {
+    summary: data.summary.map(item => item.trim()).filter(item => item.length > 0),
+    concerningClauses,
+    sectionSummaries
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * siterules.js: Saved per-site extraction rules. A rule is a CSS selector for
+ * the block that holds a site's terms, remembered when the user picks the
+ * block on the page (content_scripts/picker.js) or confirms one in the popup's
+ * review step. extractTermsStructure() tries a site's rule before the generic
+ * candidates (TERMS_SELECTORS and the content score).
+ * Rules are kept in storage.local by domain; a rule also applies to the
+ * domain's subdomains unless they have their own. The options page lists,
+ * edits, imports and exports them as a JSON rule pack, so a team can share
+ * rules for the sites it reviews often.
+ * Used by the background script and the options page. Loaded as a plain script (functions are shared globals).
+ */
+
+/** storage.local key of the rules ({domain: rule}). */
+const SITE_RULES_KEY = 'siteRules';
+
+/** Identifies exported rule packs (see buildSiteRulePack()). */
+const SITE_RULE_PACK_FORMAT = 'legaleyes-site-rules';
+const SITE_RULE_PACK_VERSION = 1;
+
+/** Longest selector accepted (generated selectors are far shorter; longer ones are likely pasted by mistake). */
+const MAX_SITE_RULE_SELECTOR_LENGTH = 500;
+
+/**
+ * The domain a rule is saved under for a page: its host name without "www.".
+ * @param {string} url
+ * @returns {string|null} - Null for pages that aren't on the web (files, extension pages...).
+ */
+function siteRuleDomain(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    return parsed.hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Cleans up a domain typed by the user or read from a rule pack: lower case,
+ * no scheme, path or "www.". URLs are accepted too.
+ * @param {string} domain
+ * @returns {string|null} - Null when it isn't a host name.
+ */
+function normalizeSiteRuleDomain(domain) {
+  const trimmed = String(domain || '').trim().toLowerCase();
+  const host = /^https?:\/\//.test(trimmed) ? siteRuleDomain(trimmed) : trimmed.split('/')[0].replace(/^www\./, '');
+  return host && /^[a-z0-9-]+(?:\.[a-z0-9-]+)*$/.test(host) ? host : null;
+}
+
+/**
+ * Checks a rule before it is saved.
+ * @param {string} domain
+ * @param {string} selector
+ * @returns {{domain: string, selector: string}} - Both cleaned up.
+ * @throws {Error} When the domain or the selector is invalid.
+ */
+function validateSiteRule(domain, selector) {
+  const host = normalizeSiteRuleDomain(domain);
+  if (!host) throw new Error(`"${domain || ''}" is not a valid domain.`);
+  const trimmed = String(selector || '').trim();
+  if (!trimmed || trimmed.length > MAX_SITE_RULE_SELECTOR_LENGTH) {
+    throw new Error(`The selector for ${host} is empty or too long.`);
+  }
+  try {
+    document.createDocumentFragment().querySelector(trimmed);
+  } catch (error) {
+    throw new Error(`"${trimmed}" is not a valid CSS selector.`);
+  }
+  return { domain: host, selector: trimmed };
+}
+
+/**
+ * Reads all saved rules.
+ * @returns {Promise<{domain: string, selector: string, source: string, updatedAt: number}[]>} - Sorted by domain.
+ *   source: 'picked' (element picker), 'confirmed' (review step), 'edited' (options page) or 'imported'.
+ */
+async function listSiteRules() {
+  const { [SITE_RULES_KEY]: rules = {} } = await browser.storage.local.get(SITE_RULES_KEY);
+  return Object.values(rules).sort((a, b) => a.domain.localeCompare(b.domain));
+}
+
+/**
+ * Finds the rule for a page: the one saved for its domain, else for the
+ * nearest parent domain ("legal.example.com" falls back to "example.com").
+ * @param {string} url
+ * @returns {Promise<object|null>}
+ */
+async function findSiteRule(url) {
+  const domain = siteRuleDomain(url);
+  if (!domain) return null;
+  const { [SITE_RULES_KEY]: rules = {} } = await browser.storage.local.get(SITE_RULES_KEY);
+  const labels = domain.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const rule = rules[labels.slice(i).join('.')];
+    if (rule) return rule;
+  }
+  return null;
+}
+
+/**
+ * Saves rules, replacing those of the same domains.
+ * @param {{domain: string, selector: string}[]} entries
+ * @param {string} source - See listSiteRules().
+ * @returns {Promise<number>} - How many rules were saved.
+ * @throws {Error} When a rule is invalid (nothing is saved then).
+ */
+async function saveSiteRules(entries, source) {
+  const checked = entries.map(entry => validateSiteRule(entry?.domain, entry?.selector));
+  const { [SITE_RULES_KEY]: rules = {} } = await browser.storage.local.get(SITE_RULES_KEY);
+  const updatedAt = Date.now();
+  for (const rule of checked) rules[rule.domain] = { ...rule, source, updatedAt };
+  await browser.storage.local.set({ [SITE_RULES_KEY]: rules });
+  console.log(`Saved ${checked.length} site ${checked.length === 1 ? 'rule' : 'rules'} (${source}).`);
+  return checked.length;
+}
+
+/**
+ * Saves the rule for a page's site.
+ * @param {string} url - The page the block was picked or confirmed on.
+ * @param {string} selector - From buildStableSelector().
+ * @param {string} source - See listSiteRules().
+ * @returns {Promise<object|null>} - The rule; null for pages that aren't on the web.
+ */
+async function saveSiteRuleForPage(url, selector, source) {
+  const domain = siteRuleDomain(url);
+  if (!domain) return null;
+  await saveSiteRules([{ domain, selector }], source);
+  return findSiteRule(url);
+}
+
+/**
+ * Deletes the rule of a domain.
+ * @param {string} domain
+ * @returns {Promise<void>}
+ */
+async function removeSiteRule(domain) {
+  const { [SITE_RULES_KEY]: rules = {} } = await browser.storage.local.get(SITE_RULES_KEY);
+  delete rules[domain];
+  await browser.storage.local.set({ [SITE_RULES_KEY]: rules });
+}
+
+/**
+ * Builds a rule pack to share: the rules' domains and selectors.
+ * @param {object[]} rules - From listSiteRules().
+ * @returns {{format: string, version: number, exportedAt: string, rules: {domain: string, selector: string}[]}}
+ */
+function buildSiteRulePack(rules) {
+  return {
+    format: SITE_RULE_PACK_FORMAT,
+    version: SITE_RULE_PACK_VERSION,
+    exportedAt: new Date().toISOString(),
+    rules: rules.map(rule => ({ domain: rule.domain, selector: rule.selector }))
+  };
+}
+
+/**
+ * Imports a rule pack; its rules replace saved rules of the same domains.
+ * @param {string} json - The pack file's content (see buildSiteRulePack()).
+ * @returns {Promise<number>} - How many rules were imported.
+ * @throws {Error} When the file isn't a rule pack or one of its rules is invalid (nothing is imported then).
+ */
+async function importSiteRulePack(json) {
+  let pack;
+  try {
+    pack = JSON.parse(json);
+  } catch (error) {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (!pack || pack.format !== SITE_RULE_PACK_FORMAT || !Array.isArray(pack.rules)) {
+    throw new Error("The file is not a LegalEyes rule pack.");
+  }
+  if (pack.version > SITE_RULE_PACK_VERSION) {
+    throw new Error("The rule pack was made by a newer version of LegalEyes.");
+  }
+  return saveSiteRules(pack.rules, 'imported');
+}
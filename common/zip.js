@@ -0,0 +1,102 @@
+/**
+ * zip.js: A minimal ZIP reader for the document formats that are ZIP archives
+ * (DOCX, ODT). Reads the central directory and inflates entries with the
+ * browser's DecompressionStream; no library needed.
+ * Supports stored and deflated entries; not ZIP64, encryption or multi-part archives.
+ * Used by common/files.js. Loaded as a plain script (functions are shared globals).
+ */
+
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP_CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const ZIP_END_SIGNATURE = 0x06054b50;
+
+/** The end-of-central-directory record is 22 bytes plus a comment of up to 65535 bytes. */
+const ZIP_MAX_END_RECORD_SIZE = 22 + 0xffff;
+
+/**
+ * Whether a buffer starts with a ZIP local file header.
+ * @param {ArrayBuffer} buffer
+ * @returns {boolean}
+ */
+function isZipData(buffer) {
+  return buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === ZIP_LOCAL_HEADER_SIGNATURE;
+}
+
+/**
+ * Lists the entries of a ZIP archive from its central directory.
+ * @param {ArrayBuffer} buffer
+ * @returns {Map<string, {name: string, method: number, flags: number, compressedSize: number,
+ *   size: number, localHeaderOffset: number}>} - Entries by file name.
+ * @throws {Error} If the archive is damaged or uses an unsupported feature.
+ */
+function listZipEntries(buffer) {
+  const view = new DataView(buffer);
+  let end = -1;
+  for (let offset = buffer.byteLength - 22; offset >= Math.max(0, buffer.byteLength - ZIP_MAX_END_RECORD_SIZE); offset--) {
+    if (view.getUint32(offset, true) === ZIP_END_SIGNATURE) { end = offset; break; }
+  }
+  if (end === -1) throw new Error("Not a ZIP archive (no central directory).");
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error("ZIP64 archives are not supported.");
+
+  const decoder = new TextDecoder('utf-8');
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.byteLength || view.getUint32(offset, true) !== ZIP_CENTRAL_HEADER_SIGNATURE) {
+      throw new Error("The ZIP central directory is damaged.");
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    entries.set(name, {
+      name,
+      flags: view.getUint16(offset + 8, true),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Reads (and inflates) one entry of a ZIP archive.
+ * @param {ArrayBuffer} buffer
+ * @param {object} entry - From listZipEntries().
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} If the entry is encrypted, damaged or uses another compression method.
+ */
+async function readZipEntry(buffer, entry) {
+  if (entry.flags & 0x1) throw new Error(`${entry.name} is encrypted.`);
+  const view = new DataView(buffer);
+  const header = entry.localHeaderOffset;
+  if (header + 30 > buffer.byteLength || view.getUint32(header, true) !== ZIP_LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`The ZIP entry ${entry.name} is damaged.`);
+  }
+  // The local header's name and extra field lengths may differ from the central directory's
+  const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+  const compressed = new Uint8Array(buffer, start, Math.min(entry.compressedSize, buffer.byteLength - start));
+
+  if (entry.method === 0) return compressed.slice(); // Stored
+  if (entry.method !== 8) throw new Error(`${entry.name} uses an unsupported compression method (${entry.method}).`);
+  const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads a text file (UTF-8) from a ZIP archive.
+ * @param {ArrayBuffer} buffer
+ * @param {Map<string, object>} entries - From listZipEntries().
+ * @param {string} name - The entry's path in the archive.
+ * @returns {Promise<string|null>} - Null when the archive has no such entry.
+ */
+async function readZipText(buffer, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) return null;
+  return new TextDecoder('utf-8').decode(await readZipEntry(buffer, entry));
+}
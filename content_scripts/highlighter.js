@@ -0,0 +1,263 @@
+/**
+ * highlighter.js: Finds flagged clauses in the live page and highlights them.
+ * - highlightClauses() wraps each clause's source quote in a <mark> colored by severity.
+ * - scrollToClause() scrolls a highlighted clause into view and flashes it.
+ * - scrollToSection() does the same for a section of the document outline.
+ * - clearHighlights() removes all LegalEyes highlights.
+ * Loaded before content.js, which dispatches the messages from the popup.
+ */
+
+const HIGHLIGHT_CLASS = 'legaleyes-highlight';
+
+/** Highlight background per severity (same palette as the popup). */
+const HIGHLIGHT_COLORS = {
+  high: 'rgba(215, 0, 34, 0.22)',
+  medium: 'rgba(249, 171, 0, 0.35)',
+  low: 'rgba(30, 142, 62, 0.22)'
+};
+
+/** Elements whose text is never part of the visible document. */
+const HIGHLIGHT_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'SELECT']);
+
+/**
+ * Normalizes one character for matching: lower case, straight quotes and dashes.
+ * @param {string} char
+ * @returns {string}
+ */
+function normalizeMatchChar(char) {
+  return char.toLowerCase()
+    .replace(/[‘’‚‛]/, "'")
+    .replace(/[“”„‟]/, '"')
+    .replace(/[‐‑‒–—]/, '-');
+}
+
+/**
+ * Builds a searchable index of the page's text. Whitespace is dropped entirely,
+ * so matching is independent of how the extractor or the AI spaced the quote.
+ * Open shadow roots are read in place of their host's children, like the
+ * extractor does (see composedChildNodes()), so terms inside web components
+ * can be highlighted too.
+ * @param {Node} root - Usually document.body.
+ * @returns {{text: string, map: {node: Text, offset: number}[]}} - Normalized text and, per character, its source position.
+ */
+function buildTextIndex(root) {
+  let text = '';
+  const map = [];
+  const visit = node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const value = node.nodeValue;
+      for (let offset = 0; offset < value.length; offset++) {
+        const char = value[offset];
+        if (/\s/.test(char)) continue;
+        text += normalizeMatchChar(char);
+        map.push({ node, offset });
+      }
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) return;
+    if (node.nodeType === Node.ELEMENT_NODE && (HIGHLIGHT_SKIP_TAGS.has(node.tagName) || node.hasAttribute('data-legaleyes-ui'))) return;
+    for (const child of composedChildNodes(node)) visit(child);
+  };
+  visit(root);
+  return { text, map };
+}
+
+/**
+ * Finds elements in the page and in its open shadow roots (see listSearchRoots()).
+ * @param {string} selector
+ * @returns {Element[]}
+ */
+function queryPageAll(selector) {
+  return listSearchRoots(document).flatMap(root => Array.from(root.querySelectorAll(selector)));
+}
+
+/**
+ * Normalizes a quote the same way as buildTextIndex().
+ * @param {string} quote
+ * @returns {string}
+ */
+function normalizeQuoteForMatch(quote) {
+  return Array.from(quote.replace(/\s+/g, '')).map(normalizeMatchChar).join('');
+}
+
+/**
+ * Locates a quote in the text index.
+ * Tries an exact match first, then the quote's beginning and end (to survive
+ * small differences in the middle). A quote whose end can't be found isn't
+ * highlighted, rather than highlighting only its beginning.
+ * @param {string} quote
+ * @param {{text: string}} index - From buildTextIndex().
+ * @returns {{start: number, end: number} | null} - Inclusive start / exclusive end in index.text.
+ */
+function findQuoteInIndex(quote, index) {
+  const needle = normalizeQuoteForMatch(quote).replace(/(?:\.{3}|…)$/, '');
+  if (needle.length < 8) return null;
+
+  const exact = index.text.indexOf(needle);
+  if (exact !== -1) return { start: exact, end: exact + needle.length };
+
+  const edgeLength = Math.min(60, Math.floor(needle.length / 2));
+  const prefix = needle.substring(0, edgeLength);
+  const suffix = needle.substring(needle.length - edgeLength);
+  const prefixAt = index.text.indexOf(prefix);
+  if (prefixAt === -1) return null;
+  const suffixAt = index.text.indexOf(suffix, prefixAt + prefix.length);
+  if (suffixAt !== -1 && suffixAt + suffix.length - prefixAt <= needle.length * 2) {
+    return { start: prefixAt, end: suffixAt + suffix.length };
+  }
+  return null;
+}
+
+/**
+ * Wraps the characters index.map[start..end) in highlight marks (one per text node).
+ * @param {{map: object[]}} index - From buildTextIndex().
+ * @param {number} start
+ * @param {number} end
+ * @param {number} clauseIndex - Stored as data-legaleyes-index on each mark.
+ * @param {string} severity - 'high' | 'medium' | 'low'.
+ * @returns {HTMLElement[]} - The created marks.
+ */
+function wrapIndexRange(index, start, end, clauseIndex, severity) {
+  // Group the matched characters by text node
+  const segments = [];
+  for (let i = start; i < end; i++) {
+    const { node, offset } = index.map[i];
+    const last = segments[segments.length - 1];
+    if (last && last.node === node) {
+      last.endOffset = offset + 1;
+    } else {
+      segments.push({ node, startOffset: offset, endOffset: offset + 1 });
+    }
+  }
+
+  const marks = [];
+  for (const segment of segments) {
+    try {
+      const range = document.createRange();
+      range.setStart(segment.node, segment.startOffset);
+      range.setEnd(segment.node, segment.endOffset);
+      const mark = document.createElement('mark');
+      mark.className = HIGHLIGHT_CLASS;
+      mark.dataset.legaleyesIndex = String(clauseIndex);
+      mark.dataset.legaleyesSeverity = severity;
+      mark.style.backgroundColor = HIGHLIGHT_COLORS[severity] || HIGHLIGHT_COLORS.medium;
+      mark.style.color = 'inherit';
+      mark.style.borderRadius = '2px';
+      mark.style.transition = 'box-shadow 0.3s';
+      range.surroundContents(mark);
+      marks.push(mark);
+    } catch (e) {
+      console.warn("[LegalEyes] Could not wrap highlight segment:", e.message);
+    }
+  }
+  return marks;
+}
+
+/**
+ * Removes all LegalEyes highlights, restoring the original text nodes.
+ */
+function clearHighlights() {
+  queryPageAll(`mark.${HIGHLIGHT_CLASS}`).forEach(mark => {
+    const parent = mark.parentNode;
+    while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+    parent.removeChild(mark);
+    parent.normalize();
+  });
+}
+
+/**
+ * Highlights each clause's source text in the page.
+ * @param {{index: number, quote: string, severity: string}[]} clauses
+ * @returns {number[]} - Indices of the clauses that were found.
+ */
+function highlightClauses(clauses) {
+  clearHighlights();
+  const index = buildTextIndex(document.body);
+  const matches = [];
+  for (const clause of clauses) {
+    if (!clause.quote) continue;
+    const match = findQuoteInIndex(clause.quote, index);
+    if (match) {
+      matches.push({ clause, ...match });
+    } else {
+      console.log(`[LegalEyes] Clause ${clause.index} not found on page.`);
+    }
+  }
+
+  // Overlapping quotes: a clause only marks what the clauses before it in the page left unmarked
+  matches.sort((a, b) => a.start - b.start);
+  const ranges = [];
+  let markedUpTo = 0;
+  for (const match of matches) {
+    const start = Math.max(match.start, markedUpTo);
+    if (start >= match.end) {
+      console.log(`[LegalEyes] Clause ${match.clause.index} is inside another highlight.`);
+      continue;
+    }
+    ranges.push({ clause: match.clause, start, end: match.end });
+    markedUpTo = match.end;
+  }
+
+  // Wrap from the last range to the first: a mark splits its text node, which
+  // leaves the index positions before it valid but not those after it
+  const found = [];
+  for (const { clause, start, end } of ranges.reverse()) {
+    const marks = wrapIndexRange(index, start, end, clause.index, clause.severity);
+    if (marks.length > 0) {
+      marks[0].title = `LegalEyes: ${clause.title || 'Concerning clause'} (${clause.severity})`;
+      found.push(clause.index);
+    }
+  }
+  found.sort((a, b) => a - b);
+  console.log(`[LegalEyes] Highlighted ${found.length} of ${clauses.length} clauses.`);
+  return found;
+}
+
+/**
+ * Scrolls to a highlighted clause and briefly flashes it.
+ * @param {number} clauseIndex
+ * @returns {boolean} - Whether the clause was found on the page.
+ */
+function scrollToClause(clauseIndex) {
+  const marks = queryPageAll(`mark.${HIGHLIGHT_CLASS}[data-legaleyes-index="${clauseIndex}"]`);
+  if (marks.length === 0) return false;
+  marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+  marks.forEach(mark => { mark.style.boxShadow = '0 0 0 3px rgba(0, 96, 223, 0.6)'; });
+  setTimeout(() => marks.forEach(mark => { mark.style.boxShadow = 'none'; }), 1500);
+  return true;
+}
+
+/**
+ * Scrolls to a section of the document outline (see common/outline.js): its
+ * heading element, or else the first place its title appears in the page text.
+ * @param {string} title - The section title, e.g. "12. Limitation of Liability".
+ * @returns {boolean} - Whether the section was found on the page.
+ */
+function scrollToSection(title) {
+  // The number of a numbered clause may be a list marker on the page (not in its text); try without it too
+  const cleaned = (title || '').replace(/…$/, '');
+  const candidates = [cleaned, cleaned.replace(/^(?:(?:section|article|clause)\s+)?\d+(?:\.\d+)*\.?\s+/i, '')]
+    .map(normalizeQuoteForMatch)
+    .filter(candidate => candidate.length >= 3);
+  if (candidates.length === 0) return false;
+
+  let target = null;
+  for (const heading of queryPageAll('h1, h2, h3, h4, h5, h6, [role="heading"]')) {
+    if (heading.closest('[data-legaleyes-ui]')) continue;
+    if (normalizeQuoteForMatch(heading.textContent || '') === candidates[0]) { target = heading; break; }
+  }
+  if (!target) {
+    const index = buildTextIndex(document.body);
+    for (const candidate of candidates) {
+      const found = index.text.indexOf(candidate);
+      if (found !== -1) { target = index.map[found].node.parentElement; break; }
+    }
+  }
+  if (!target) return false;
+
+  target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  const previousShadow = target.style.boxShadow;
+  target.style.boxShadow = '0 0 0 3px rgba(0, 96, 223, 0.6)';
+  setTimeout(() => { target.style.boxShadow = previousShadow; }, 1500);
+  return true;
+}
@@ -0,0 +1,210 @@
+/**
+ * picker.js: Lets the user point at the part of the page that holds the terms,
+ * for pages where the automatic extraction (common/extract.js) finds the wrong
+ * block or nothing at all.
+ * - startElementPicker() outlines the block under the cursor; a click picks it.
+ *   Arrow Up widens the selection to the enclosing block, Arrow Down narrows it
+ *   again, Enter picks and Escape cancels.
+ * - stopElementPicker() ends picking mode.
+ * The picked block's text is read like extracted text (getStructuredText(): scripts
+ * and styles left out, headings, list items and table rows kept apart) and sent to
+ * the background script for analysis.
+ * Loaded before content.js, which dispatches the messages from the popup.
+ */
+
+const PICKER_HOST_ID = 'legaleyes-picker-host';
+
+/** Shorter blocks can't be picked (the background script refuses to analyze them). */
+const PICKER_MIN_CHARS = 100;
+
+/** How long the confirmation stays on screen after a block was picked. */
+const PICKER_CONFIRMATION_MS = 4000;
+
+/** Elements that can be picked besides the block tags of the extractor (STRUCTURE_BLOCK_TAGS). */
+const PICKER_EXTRA_TAGS = new Set(['body', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ol', 'ul', 'li', 'table']);
+
+/** Picker styles; the outline and the tip bar sit above everything on the page. */
+const PICKER_CSS = `
+  :host { all: initial; }
+  .outline {
+    position: fixed; pointer-events: none; z-index: 2147483646; box-sizing: border-box;
+    border: 2px solid #0060df; background: rgba(0, 96, 223, 0.12); border-radius: 2px;
+    transition: top 0.05s, left 0.05s, width 0.05s, height 0.05s;
+  }
+  .outline.too-short { border-color: #9aa0a6; background: rgba(154, 160, 166, 0.12); }
+  .tip {
+    position: fixed; top: 12px; left: 50%; transform: translateX(-50%); z-index: 2147483647;
+    display: flex; align-items: center; gap: 12px; max-width: 90vw; padding: 8px 12px;
+    background: #202124; color: #fff; border-radius: 6px; box-shadow: 0 2px 12px rgba(0,0,0,0.3);
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+    font-size: 13px; line-height: 1.4;
+  }
+  .tip-text { display: flex; flex-direction: column; }
+  .tip-target { color: #bdc1c6; font-size: 12px; }
+  .tip button { background: #3c4043; color: #fff; border: none; border-radius: 4px; padding: 4px 10px; cursor: pointer; font-size: 12px; }
+  .tip button:hover { background: #5f6368; }
+`;
+
+/** The running picker: {host, outline, target, trail, listeners}; null when not picking. */
+let activePicker = null;
+
+/**
+ * Finds the block an element belongs to (itself or its nearest block ancestor),
+ * looking out of shadow roots into their host's tree.
+ * @param {Element} element
+ * @returns {Element|null}
+ */
+function findPickableBlock(element) {
+  for (let current = element; current && current !== document.documentElement; current = current.parentElement || current.getRootNode().host) {
+    if (current.closest('[data-legaleyes-ui]')) return null;
+    if (STRUCTURE_BLOCK_TAGS.has(current.localName) || PICKER_EXTRA_TAGS.has(current.localName)) return current;
+  }
+  return null;
+}
+
+/**
+ * Moves the outline to a block and describes it in the tip bar.
+ * @param {Element|null} block
+ */
+function setPickerTarget(block) {
+  if (!activePicker || block === activePicker.target) return;
+  activePicker.target = block;
+  const { outline, host } = activePicker;
+  const targetText = host.shadowRoot.querySelector('.tip-target');
+  if (!block) {
+    outline.style.display = 'none';
+    targetText.textContent = '';
+    return;
+  }
+  const { chars } = measureTermsCandidate([block]);
+  outline.classList.toggle('too-short', chars < PICKER_MIN_CHARS);
+  targetText.textContent = chars < PICKER_MIN_CHARS
+    ? `${describeElement(block)}: too little text to analyze`
+    : `${describeElement(block)}: about ${chars.toLocaleString()} characters`;
+  positionPickerOutline();
+}
+
+/**
+ * Keeps the outline over the current block (after scrolling or resizing).
+ */
+function positionPickerOutline() {
+  if (!activePicker || !activePicker.target) return;
+  const rect = activePicker.target.getBoundingClientRect();
+  Object.assign(activePicker.outline.style, {
+    display: 'block',
+    top: `${rect.top}px`,
+    left: `${rect.left}px`,
+    width: `${rect.width}px`,
+    height: `${rect.height}px`
+  });
+}
+
+/**
+ * Starts picking mode. Does nothing when it is already running.
+ * @param {function(Element): void} onPick - Called with the picked block (picking mode has ended by then).
+ */
+function startElementPicker(onPick) {
+  if (activePicker) return;
+  const host = document.createElement('div');
+  host.id = PICKER_HOST_ID;
+  host.setAttribute('data-legaleyes-ui', ''); // Excluded from extraction and highlighting
+  const root = host.attachShadow({ mode: 'open' });
+  root.innerHTML = `
+    <style>${PICKER_CSS}</style>
+    <div class="outline" style="display: none"></div>
+    <div class="tip">
+      <span class="tip-text">
+        <span class="tip-message">Click the part of the page that holds the terms. &#x2191; selects the enclosing block, Esc cancels.</span>
+        <span class="tip-target"></span>
+      </span>
+      <button class="cancel-btn">Cancel</button>
+    </div>`;
+  document.documentElement.appendChild(host);
+  root.querySelector('.cancel-btn').addEventListener('click', stopElementPicker);
+
+  const isOwnEvent = event => event.composedPath().includes(host);
+  const pick = block => {
+    const { chars } = measureTermsCandidate([block]);
+    if (chars < PICKER_MIN_CHARS) {
+      root.querySelector('.tip-message').textContent = 'That block has too little text. Pick a larger one (↑ selects the enclosing block).';
+      return;
+    }
+    stopElementPicker();
+    onPick(block);
+  };
+
+  const listeners = {
+    mouseover: event => {
+      if (isOwnEvent(event)) return;
+      activePicker.trail = [];
+      // The innermost element, also inside web components (event.target is their host)
+      setPickerTarget(findPickableBlock(event.composedPath()[0]));
+    },
+    click: event => {
+      if (isOwnEvent(event)) return;
+      // The page must not follow links or run its own handlers while picking
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      const block = activePicker.target || findPickableBlock(event.composedPath()[0]);
+      if (block) pick(block);
+    },
+    keydown: event => {
+      const { target, trail } = activePicker;
+      if (event.key === 'Escape') {
+        stopElementPicker();
+      } else if (event.key === 'ArrowUp' && target) {
+        const parent = findPickableBlock(target.parentElement || target.getRootNode().host);
+        if (parent) {
+          trail.push(target);
+          setPickerTarget(parent);
+        }
+      } else if (event.key === 'ArrowDown' && trail.length > 0) {
+        setPickerTarget(trail.pop());
+      } else if (event.key === 'Enter' && target) {
+        pick(target);
+      } else {
+        return;
+      }
+      event.preventDefault();
+      event.stopImmediatePropagation();
+    },
+    scroll: positionPickerOutline,
+    resize: positionPickerOutline
+  };
+  // Swallow the rest of the click so pages that act on mousedown don't react either
+  for (const type of ['mousedown', 'mouseup', 'pointerdown', 'pointerup', 'auxclick', 'dblclick']) {
+    listeners[type] = event => {
+      if (isOwnEvent(event)) return;
+      event.preventDefault();
+      event.stopImmediatePropagation();
+    };
+  }
+
+  activePicker = { host, outline: root.querySelector('.outline'), target: null, trail: [], listeners };
+  for (const [type, listener] of Object.entries(listeners)) window.addEventListener(type, listener, true);
+  console.log("[LegalEyes] Element picker started.");
+}
+
+/**
+ * Ends picking mode and removes the outline and tip bar.
+ */
+function stopElementPicker() {
+  if (!activePicker) return;
+  for (const [type, listener] of Object.entries(activePicker.listeners)) window.removeEventListener(type, listener, true);
+  activePicker.host.remove();
+  activePicker = null;
+  console.log("[LegalEyes] Element picker stopped.");
+}
+
+/**
+ * Shows a short message where the tip bar was (e.g. that the analysis started).
+ * @param {string} message
+ */
+function showPickerConfirmation(message) {
+  const host = document.createElement('div');
+  host.setAttribute('data-legaleyes-ui', '');
+  host.attachShadow({ mode: 'open' }).innerHTML = `<style>${PICKER_CSS}</style><div class="tip"></div>`;
+  host.shadowRoot.querySelector('.tip').textContent = message;
+  document.documentElement.appendChild(host);
+  setTimeout(() => host.remove(), PICKER_CONFIRMATION_MS);
+}
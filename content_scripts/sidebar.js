@@ -0,0 +1,181 @@
+/**
+ * sidebar.js: In-page results panel.
+ * - showSidebar() renders an analysis result in a panel fixed to the right edge
+ *   of the page. The panel lives in a shadow root so page styles can't leak in
+ *   (and ours can't leak out), and it stays open while the user reads and scrolls.
+ * - hideSidebar() removes it.
+ * Clause cards scroll to their highlight (highlighter.js) when the clause was found on the page;
+ * sections of the table of contents scroll to their heading.
+ * Loaded before content.js, which dispatches the messages from the popup.
+ */
+
+const SIDEBAR_HOST_ID = 'legaleyes-sidebar-host';
+
+/** Filters offered in the panel (same as the popup). */
+const SIDEBAR_FILTERS = [
+  ['all', 'All'], ['high', 'High Severity'], ['privacy', 'Privacy'], ['legal-rights', 'Legal Rights'],
+  ['data-usage', 'Data Usage'], ['service-changes', 'Service Changes'], ['user-content', 'User Content']
+];
+
+/** Panel styles (kept in sync with the look of popup/popup.css). */
+const SIDEBAR_CSS = `
+  :host { all: initial; }
+  .panel {
+    position: fixed; top: 0; right: 0; bottom: 0; width: 380px; max-width: 90vw;
+    display: flex; flex-direction: column; background: #fff; color: #333;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+    font-size: 14px; line-height: 1.5; box-shadow: -2px 0 12px rgba(0,0,0,0.2); z-index: 2147483647;
+  }
+  .panel.collapsed { width: auto; bottom: auto; top: 40%; border-radius: 6px 0 0 6px; }
+  .panel.collapsed .body, .panel.collapsed .title { display: none; }
+  .header { display: flex; align-items: center; gap: 8px; padding: 10px 12px; border-bottom: 1px solid #e0e0e0; }
+  .title { flex: 1; font-weight: 600; font-size: 16px; }
+  .header button { background: none; border: none; font-size: 18px; line-height: 1; cursor: pointer; color: #5f6368; padding: 2px 6px; border-radius: 4px; }
+  .header button:hover { background: #f1f3f4; color: #202124; }
+  .body { overflow-y: auto; padding: 12px 16px 24px; flex: 1; }
+  h2 { font-size: 15px; margin: 12px 0 8px; display: flex; align-items: center; }
+  h2::before { content: ""; display: inline-block; width: 4px; height: 15px; background: #0060df; margin-right: 8px; border-radius: 2px; }
+  .summary { background: #f9f9fa; padding: 12px; border-radius: 6px; }
+  .summary ul { margin: 0; padding-left: 20px; }
+  .summary li { margin-bottom: 6px; }
+  .summary p { margin: 0; }
+  .coverage-note { margin: 0 0 8px; padding: 6px 10px; border-radius: 4px; font-size: 12px; color: #5f6368; background: #f1f3f4; }
+  .filter-buttons { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 10px; }
+  .filter-btn { background: #e8eaed; color: #3c4043; border: none; padding: 3px 10px; border-radius: 14px; cursor: pointer; font-size: 12px; font-weight: 500; }
+  .filter-btn:hover { background: #d2d5db; }
+  .filter-btn.active { background: #0060df; color: #fff; font-weight: 600; }
+  .concerning-item { margin-bottom: 12px; padding: 12px; border-radius: 6px; background: #f9f9fa; border-left: 4px solid #ccc; }
+  .concerning-item[data-severity="high"] { border-left-color: #d70022; background: #fff5f5; }
+  .concerning-item[data-severity="medium"] { border-left-color: #f9ab00; background: #fff8e1; }
+  .concerning-item[data-severity="low"] { border-left-color: #1e8e3e; background: #e6f4ea; }
+  .concerning-item.on-page { cursor: pointer; }
+  .concerning-item.on-page:hover { box-shadow: 0 1px 4px rgba(0, 96, 223, 0.35); }
+  .concerning-item.filtered-out { display: none; }
+  .concerning-title { font-weight: 600; display: flex; align-items: center; justify-content: space-between; margin-bottom: 6px; }
+  .concerning-text { color: #444; font-size: 13px; }
+  .badges { display: flex; align-items: center; flex-shrink: 0; }
+  .severity-badge, .unverified-badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 10px; font-weight: 600; margin-left: 6px; text-transform: uppercase; letter-spacing: 0.5px; }
+  .severity-low { background: #e6f4ea; color: #137333; }
+  .severity-medium { background: #feefc3; color: #a05a00; }
+  .severity-high { background: #fce8e6; color: #c5221f; }
+  .unverified-badge { background: #e8eaed; color: #5f6368; border: 1px dashed #9aa0a6; }
+  .clause-quote { margin: 8px 0 0; padding: 4px 8px; border-left: 3px solid #c6c9ce; font-size: 12px; font-style: italic; color: #3c4043; }
+  .clause-quote.unverified-quote { border-left-style: dashed; color: #5f6368; }
+  .page-ref { display: inline-block; margin-top: 6px; font-size: 12px; color: #5f6368; }
+  a.page-ref { color: #1a73e8; text-decoration: none; }
+  .unverified-note { margin: 4px 0 0; font-size: 11px; color: #a05a00; }
+  .no-clauses-message { padding: 12px; border-radius: 6px; background: #e6f4ea; color: #137333; text-align: center; }
+  .outline { margin: 12px 0 0; padding: 8px 12px; border: 1px solid #e0e0e0; border-radius: 6px; font-size: 13px; }
+  .outline > summary { cursor: pointer; font-weight: 600; }
+  .outline-list { margin: 6px 0 0; padding-left: 14px; list-style: none; }
+  .outline > .outline-list { padding-left: 0; }
+  .outline-section { margin-bottom: 6px; }
+  .outline-entry { display: flex; align-items: baseline; gap: 6px; }
+  .outline-link { flex: 1; color: #1a73e8; text-decoration: none; }
+  a.outline-link:hover { text-decoration: underline; }
+  .outline-page { font-size: 12px; color: #5f6368; white-space: nowrap; }
+  .flag-count { padding: 1px 6px; border-radius: 10px; font-size: 11px; color: #5f6368; white-space: nowrap; }
+  .flag-count.has-flags { font-weight: 600; }
+  .outline-summary { margin: 2px 0 0; font-size: 12px; color: #5f6368; }
+`;
+
+/**
+ * Returns the open panel's shadow root, creating the host element if needed.
+ * @returns {ShadowRoot}
+ */
+function getSidebarRoot() {
+  let host = document.getElementById(SIDEBAR_HOST_ID);
+  if (!host) {
+    host = document.createElement('div');
+    host.id = SIDEBAR_HOST_ID;
+    host.setAttribute('data-legaleyes-ui', ''); // Excluded from extraction and highlighting
+    host.attachShadow({ mode: 'open' });
+    document.documentElement.appendChild(host);
+  }
+  return host.shadowRoot;
+}
+
+/**
+ * Renders an analysis result in the sidebar.
+ * @param {object} result - The analysis result ({summary, concerningClauses, coverage, outline}).
+ * @param {number[]} [foundOnPage] - Indices of clauses highlighted on this page.
+ */
+function showSidebar(result, foundOnPage = []) {
+  const root = getSidebarRoot();
+  const clauses = result.concerningClauses || [];
+  const coverage = result.coverage && result.coverage.analyzedChars < result.coverage.totalChars
+    ? `<p class="coverage-note">Analyzed ${Math.round((result.coverage.analyzedChars / result.coverage.totalChars) * 100)}% of the document.</p>`
+    : '';
+  const clausesHtml = clauses.length > 0
+    ? clauses.map((clause, index) => renderClauseCardHtml(clause, index, result.pdfUrl)).join('')
+    : '<div class="no-clauses-message">No particularly concerning clauses were identified.</div>';
+  const filtersHtml = clauses.length > 0
+    ? '<div class="filter-buttons">' + SIDEBAR_FILTERS.map(([filter, label]) =>
+        `<button class="filter-btn${filter === 'all' ? ' active' : ''}" data-filter="${filter}">${label}</button>`).join('') + '</div>'
+    : '';
+
+  root.innerHTML = `
+    <style>${SIDEBAR_CSS}</style>
+    <div class="panel">
+      <div class="header">
+        <span class="title">LegalEyes</span>
+        <button class="collapse-btn" title="Collapse panel">&#x25B8;</button>
+        <button class="close-btn" title="Close panel">&#x2715;</button>
+      </div>
+      <div class="body">
+        ${coverage}
+        <h2>Summary</h2>
+        <div class="summary">${result.summary || '<p>Summary could not be displayed.</p>'}</div>
+        <div class="outline-container">${renderOutlineHtml(result)}</div>
+        <h2>Concerning Clauses</h2>
+        ${filtersHtml}
+        <div class="clauses">${clausesHtml}</div>
+      </div>
+    </div>`;
+
+  for (const index of foundOnPage) {
+    const card = root.querySelector(`.concerning-item[data-index="${index}"]`);
+    if (card) {
+      card.classList.add('on-page');
+      card.title = 'Click to show this clause on the page';
+    }
+  }
+
+  const panel = root.querySelector('.panel');
+  root.querySelector('.close-btn').addEventListener('click', hideSidebar);
+  root.querySelector('.collapse-btn').addEventListener('click', function() {
+    const collapsed = panel.classList.toggle('collapsed');
+    this.innerHTML = collapsed ? '&#x25C2;' : '&#x25B8;';
+    this.title = collapsed ? 'Expand panel' : 'Collapse panel';
+  });
+  root.querySelector('.outline-container').addEventListener('click', event => {
+    const link = event.target.closest('a.outline-link[data-section-title]');
+    if (!link) return;
+    event.preventDefault();
+    if (!scrollToSection(link.dataset.sectionTitle)) link.title = 'This section could not be found on the page';
+  });
+  root.querySelector('.clauses').addEventListener('click', event => {
+    const card = event.target.closest('.concerning-item.on-page');
+    if (card) scrollToClause(Number(card.dataset.index));
+  });
+  root.querySelectorAll('.filter-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      const filter = button.dataset.filter;
+      root.querySelectorAll('.filter-btn').forEach(other => other.classList.toggle('active', other === button));
+      root.querySelectorAll('.concerning-item').forEach(item => {
+        const show = filter === 'all' ||
+          (['high', 'medium', 'low'].includes(filter) ? item.dataset.severity === filter : item.dataset.category === filter);
+        item.classList.toggle('filtered-out', !show);
+      });
+    });
+  });
+  console.log(`[LegalEyes] Sidebar shown with ${clauses.length} clauses.`);
+}
+
+/**
+ * Removes the sidebar from the page.
+ */
+function hideSidebar() {
+  const host = document.getElementById(SIDEBAR_HOST_ID);
+  if (host) host.remove();
+}
@@ -0,0 +1,231 @@
+/**
+ * history.js: Handles the logic for the LegalEyes history page.
+ * - Lists every saved analysis (common/history.js), newest first.
+ * - Searches titles, URLs and document text; filters by document type and severity.
+ * - Reopens an analysis in the popout window, deletes analyses and exports them as JSON.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+  // --- Element Selections ---
+  const searchInput = document.getElementById('search-input');
+  const sourceFilter = document.getElementById('source-filter');
+  const severityFilter = document.getElementById('severity-filter');
+  const selectAllCheckbox = document.getElementById('select-all');
+  const exportBtn = document.getElementById('export-btn');
+  const deleteSelectedBtn = document.getElementById('delete-selected-btn');
+  const countP = document.getElementById('history-count');
+  const listDiv = document.getElementById('history-list');
+  const errorDiv = document.getElementById('history-error');
+
+  const SOURCE_LABELS = { html: 'Web page', pdf: 'PDF', selection: 'Selected text', file: 'Imported file' };
+
+  /** @type {object[]} All saved analyses, newest first. */
+  let allRecords = [];
+
+  /** @type {object[]} The analyses currently shown (after search and filters). */
+  let shownRecords = [];
+
+  /** @type {Set<number>} IDs of the selected analyses. */
+  const selectedIds = new Set();
+
+  // --- Initial Setup ---
+  loadHistory();
+
+  // Reload when an analysis finishes elsewhere while this page is open
+  browser.runtime.onMessage.addListener(function(message) {
+    if (message.action === "jobUpdate" && message.job && message.job.status === 'done' && message.job.historyId) {
+      loadHistory();
+    }
+  });
+
+  // --- Event Listeners ---
+  searchInput.addEventListener('input', renderList);
+  sourceFilter.addEventListener('change', renderList);
+  severityFilter.addEventListener('change', renderList);
+
+  selectAllCheckbox.addEventListener('change', function() {
+    shownRecords.forEach(record => {
+      if (selectAllCheckbox.checked) selectedIds.add(record.id);
+      else selectedIds.delete(record.id);
+    });
+    renderList();
+  });
+
+  /**
+   * Exports the selected analyses, or every shown analysis when nothing is selected.
+   */
+  exportBtn.addEventListener('click', function() {
+    const records = selectedIds.size > 0
+      ? allRecords.filter(record => selectedIds.has(record.id))
+      : shownRecords;
+    if (records.length === 0) { console.warn("Nothing to export."); return; }
+    const data = JSON.stringify({ exportedAt: new Date().toISOString(), analyses: records }, null, 2);
+    const blob = new Blob([data], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'legaleyes_history.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+    console.log(`Exported ${records.length} analyses.`);
+  });
+
+  deleteSelectedBtn.addEventListener('click', async function() {
+    if (selectedIds.size === 0) return;
+    if (!confirm(`Delete ${selectedIds.size} saved ${selectedIds.size === 1 ? 'analysis' : 'analyses'}?`)) return;
+    await removeRecords([...selectedIds]);
+  });
+
+  // Open / Delete buttons on the entries (delegated, entries are re-rendered)
+  listDiv.addEventListener('click', async function(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const id = Number(button.closest('.history-entry').dataset.id);
+    if (button.dataset.action === 'open') {
+      openRecord(id);
+    } else if (button.dataset.action === 'delete') {
+      if (confirm("Delete this saved analysis?")) await removeRecords([id]);
+    }
+  });
+
+  listDiv.addEventListener('change', function(event) {
+    if (!event.target.matches('.entry-select')) return;
+    const id = Number(event.target.closest('.history-entry').dataset.id);
+    if (event.target.checked) selectedIds.add(id);
+    else selectedIds.delete(id);
+    updateSelectionControls();
+  });
+
+  // --- Core Logic Functions ---
+
+  /**
+   * Loads the history from IndexedDB and renders it.
+   */
+  async function loadHistory() {
+    try {
+      allRecords = await listAnalyses();
+      const existing = new Set(allRecords.map(record => record.id));
+      [...selectedIds].forEach(id => { if (!existing.has(id)) selectedIds.delete(id); });
+      console.log(`Loaded ${allRecords.length} saved analyses.`);
+      renderList();
+    } catch (error) {
+      console.error("Could not load the history:", error);
+      showError(`Could not load the history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a record matches the search text and filters.
+   * @param {object} record
+   * @param {string} query - Lower-cased search text.
+   * @returns {boolean}
+   */
+  function matchesFilters(record, query) {
+    if (sourceFilter.value !== 'all' && record.source !== sourceFilter.value) return false;
+    const severities = (record.result?.concerningClauses || []).map(clause => clause.severity);
+    if (severityFilter.value === 'high' && !severities.includes('high')) return false;
+    if (severityFilter.value === 'medium' && !severities.some(severity => severity === 'high' || severity === 'medium')) return false;
+    if (!query) return true;
+    return [record.title, record.url, record.text].some(value => (value || '').toLowerCase().includes(query));
+  }
+
+  /**
+   * Renders the analyses matching the current search and filters.
+   */
+  function renderList() {
+    const query = searchInput.value.trim().toLowerCase();
+    shownRecords = allRecords.filter(record => matchesFilters(record, query));
+
+    countP.textContent = allRecords.length === shownRecords.length
+      ? `${allRecords.length} saved ${allRecords.length === 1 ? 'analysis' : 'analyses'}`
+      : `Showing ${shownRecords.length} of ${allRecords.length} saved analyses`;
+
+    if (shownRecords.length === 0) {
+      listDiv.innerHTML = `<div class="history-empty">${allRecords.length === 0
+        ? 'No analyses yet. Every analysis you run is saved here.'
+        : 'No saved analyses match your search.'}</div>`;
+    } else {
+      listDiv.innerHTML = shownRecords.map(renderEntryHtml).join('');
+    }
+    updateSelectionControls();
+  }
+
+  /**
+   * Builds the HTML for one history entry.
+   * @param {object} record
+   * @returns {string}
+   */
+  function renderEntryHtml(record) {
+    const clauses = record.result?.concerningClauses || [];
+    const counts = ['high', 'medium', 'low']
+      .map(severity => [severity, clauses.filter(clause => clause.severity === severity).length])
+      .filter(([, count]) => count > 0)
+      .map(([severity, count]) => `<span class="severity-badge severity-${severity}">${count} ${severity}</span>`)
+      .join('');
+    const date = new Date(record.analyzedAt).toLocaleString();
+    return `
+      <div class="history-entry" data-id="${record.id}">
+        <input type="checkbox" class="entry-select" ${selectedIds.has(record.id) ? 'checked' : ''} title="Select">
+        <div class="entry-main">
+          <div class="entry-title">${escapeHtml(record.title || 'Untitled')}</div>
+          <div class="entry-url">${escapeHtml(record.url || '')}</div>
+          <div class="entry-meta">${escapeHtml(SOURCE_LABELS[record.source] || record.source || '')} &middot; ${escapeHtml(date)} &middot;
+            ${clauses.length === 0 ? 'No concerning clauses' : `${clauses.length} concerning clauses ${counts}`}</div>
+        </div>
+        <div class="entry-actions">
+          <button data-action="open" title="Show this analysis in a new window">Open</button>
+          <button data-action="delete" class="danger" title="Delete this saved analysis">Delete</button>
+        </div>
+      </div>`;
+  }
+
+  /**
+   * Syncs the Delete Selected button and the Select All checkbox with the selection.
+   */
+  function updateSelectionControls() {
+    deleteSelectedBtn.disabled = selectedIds.size === 0;
+    deleteSelectedBtn.textContent = selectedIds.size > 0 ? `Delete Selected (${selectedIds.size})` : 'Delete Selected';
+    selectAllCheckbox.checked = shownRecords.length > 0 && shownRecords.every(record => selectedIds.has(record.id));
+  }
+
+  /**
+   * Opens a saved analysis in the popout window.
+   * @param {number} id
+   */
+  async function openRecord(id) {
+    try {
+      await browser.windows.create({
+        url: browser.runtime.getURL(`popout/popout.html?historyId=${id}`),
+        type: "popup",
+        width: 700,
+        height: 650
+      });
+    } catch (error) {
+      console.error("Could not open the analysis:", error);
+      showError(`Error opening the analysis: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes analyses and refreshes the list.
+   * @param {number[]} ids
+   */
+  async function removeRecords(ids) {
+    try {
+      await deleteAnalyses(ids);
+      ids.forEach(id => selectedIds.delete(id));
+      console.log(`Deleted ${ids.length} analyses.`);
+      await loadHistory();
+    } catch (error) {
+      console.error("Could not delete analyses:", error);
+      showError(`Could not delete: ${error.message}`);
+    }
+  }
+
+  /**
+   * Shows an error above the list.
+   * @param {string} message
+   */
+  function showError(message) {
+    errorDiv.textContent = message;
+    errorDiv.classList.remove('hidden');
+  }
+});
@@ -1,47 +1,310 @@
 document.addEventListener('DOMContentLoaded', function() {
+    const providerSelect = document.getElementById('provider-select');
+    const providerHint = document.getElementById('provider-hint');
     const apiKeyInput = document.getElementById('api-key');
+    const apiKeyLabel = document.getElementById('api-key-label');
+    const apiKeyHint = document.getElementById('api-key-hint');
+    const providerFieldsDiv = document.getElementById('provider-fields');
+    const modelInput = document.getElementById('model');
+    const endpointInput = document.getElementById('endpoint');
     const saveBtn = document.getElementById('save-btn');
     const statusDiv = document.getElementById('status');
-    
-    // Load saved API key if it exists
-    browser.storage.local.get('apiKey', function(result) {
-      if (result.apiKey) {
+    const recheckIntervalSelect = document.getElementById('recheck-interval');
+    const watchedListDiv = document.getElementById('watched-list');
+    const recheckNowBtn = document.getElementById('recheck-now-btn');
+    const recheckStatusDiv = document.getElementById('recheck-status');
+    const rulesListDiv = document.getElementById('rules-list');
+    const ruleForm = document.getElementById('rule-form');
+    const ruleDomainInput = document.getElementById('rule-domain');
+    const ruleSelectorInput = document.getElementById('rule-selector');
+    const ruleSaveBtn = document.getElementById('rule-save-btn');
+    const ruleCancelBtn = document.getElementById('rule-cancel-btn');
+    const exportRulesBtn = document.getElementById('export-rules-btn');
+    const importRulesBtn = document.getElementById('import-rules-btn');
+    const importRulesFile = document.getElementById('import-rules-file');
+    const rulesStatusDiv = document.getElementById('rules-status');
+
+    // How each rule was made (see listSiteRules())
+    const RULE_SOURCES = { picked: 'Picked on the page', confirmed: 'Confirmed in the popup', edited: 'Edited here', imported: 'Imported' };
+
+    // Static help text per provider (trusted HTML)
+    const PROVIDER_HINTS = {
+      gemini: 'Get a free Gemini API key at <a href="https://aistudio.google.com/app/apikey" target="_blank">https://aistudio.google.com/app/apikey</a>',
+      openai: 'Any server implementing the OpenAI chat completions API with JSON schema output. For llama.cpp use e.g. <code>http://localhost:8080/v1</code>; the API key is optional for local servers.',
+      anthropic: 'Get an API key at <a href="https://console.anthropic.com/settings/keys" target="_blank">https://console.anthropic.com/settings/keys</a>',
+      ollama: 'Runs fully on your machine. Start Ollama and pull the model first (e.g. <code>ollama pull llama3.1</code>). No API key is needed.',
+      offline: 'Scans the text for known risky phrases (arbitration, class action waivers, data sharing...) on this device. Works without an API key and on air-gapped machines, but cannot judge context like an AI can.'
+    };
+
+    // Masked version of the currently saved key (null when nothing is saved)
+    let maskedKey = null;
+
+    // Load saved settings for the selected provider
+    loadProviderSettings().then(function(settings) {
+      providerSelect.value = settings.providerId;
+      showProviderSettings(settings);
+    });
+
+    // Switching provider shows that provider's saved settings
+    providerSelect.addEventListener('change', async function() {
+      const stored = await browser.storage.local.get(['providerSettings', 'apiKey']);
+      const providerId = providerSelect.value;
+      const saved = (stored.providerSettings || {})[providerId] || {};
+      showProviderSettings({
+        providerId: providerId,
+        apiKey: providerId === 'gemini' ? (stored.apiKey || '') : (saved.apiKey || ''),
+        endpoint: saved.endpoint || AI_PROVIDERS[providerId].defaults.endpoint,
+        model: saved.model || AI_PROVIDERS[providerId].defaults.model
+      });
+    });
+
+    // Clear input when clicked to allow editing
+    apiKeyInput.addEventListener('focus', function() {
+      if (maskedKey && apiKeyInput.value === maskedKey) {
+        apiKeyInput.value = '';
+      }
+    });
+
+    // Save settings when button is clicked
+    saveBtn.addEventListener('click', async function() {
+      const providerId = providerSelect.value;
+      const provider = AI_PROVIDERS[providerId];
+      const typedKey = apiKeyInput.value.trim();
+      const stored = await browser.storage.local.get(['providerSettings', 'apiKey']);
+      const providerSettings = stored.providerSettings || {};
+      const previous = providerSettings[providerId] || {};
+      const previousKey = providerId === 'gemini' ? (stored.apiKey || '') : (previous.apiKey || '');
+
+      // Keep the saved key if the masked placeholder (or nothing) is still shown
+      const apiKey = (typedKey && typedKey !== maskedKey) ? typedKey : (typedKey === maskedKey ? previousKey : '');
+
+      if (provider.requiresApiKey && !apiKey) {
+        showStatus('Please enter a valid API key', 'error');
+        return;
+      }
+
+      const endpoint = endpointInput.value.trim();
+      if (endpoint && !/^https?:\/\//i.test(endpoint)) {
+        showStatus('The endpoint must start with http:// or https://', 'error');
+        return;
+      }
+
+      providerSettings[providerId] = {
+        endpoint: endpoint,
+        model: modelInput.value.trim()
+      };
+      const toSave = { aiProvider: providerId, providerSettings: providerSettings };
+      if (providerId === 'gemini') {
+        toSave.apiKey = apiKey; // Gemini keeps the original storage key
+      } else {
+        providerSettings[providerId].apiKey = apiKey;
+      }
+
+      browser.storage.local.set(toSave, function() {
+        showStatus(`${provider.label} settings saved successfully!`, 'success');
+        showProviderSettings({ providerId: providerId, apiKey: apiKey, endpoint: endpoint, model: modelInput.value.trim() });
+      });
+    });
+
+    // --- Watched Policies ---
+
+    // Default must match DEFAULT_RECHECK_INTERVAL_HOURS in background.js
+    browser.storage.local.get({ recheckIntervalHours: 24 }).then(function(stored) {
+      recheckIntervalSelect.value = String(stored.recheckIntervalHours);
+    });
+    showWatchedPolicies();
+
+    // The background script reschedules its alarm when the setting changes
+    recheckIntervalSelect.addEventListener('change', function() {
+      browser.storage.local.set({ recheckIntervalHours: Number(recheckIntervalSelect.value) });
+    });
+
+    recheckNowBtn.addEventListener('click', async function() {
+      recheckNowBtn.disabled = true;
+      recheckNowBtn.textContent = 'Checking...';
+      try {
+        const summary = await browser.runtime.sendMessage({ action: 'recheckWatched' });
+        if (summary.error) throw new Error(summary.error);
+        showStatus(`Checked ${summary.checked} watched policies; ${summary.changed} changed.`, 'success', recheckStatusDiv);
+      } catch (error) {
+        showStatus(`Check failed: ${error.message}`, 'error', recheckStatusDiv);
+      } finally {
+        recheckNowBtn.disabled = false;
+        recheckNowBtn.textContent = 'Check Now';
+        showWatchedPolicies();
+      }
+    });
+
+    watchedListDiv.addEventListener('click', async function(event) {
+      const button = event.target.closest('button[data-url]');
+      if (!button) return;
+      await unwatchPolicy(button.dataset.url);
+      showWatchedPolicies();
+    });
+
+    /**
+     * Lists the watched policies with when they were last checked.
+     */
+    async function showWatchedPolicies() {
+      const policies = await listWatchedPolicies();
+      recheckNowBtn.disabled = policies.length === 0;
+      if (policies.length === 0) {
+        watchedListDiv.innerHTML = '<p class="hint">No watched policies yet. Analyze a page and click "Watch for Changes" in the popup.</p>';
+        return;
+      }
+      watchedListDiv.innerHTML = policies.map(policy => `
+        <div class="watched-item">
+          <div class="watched-info">
+            <strong>${escapeHtml(policy.title || policy.url)}</strong><br>
+            ${escapeHtml(policy.url)}<br>
+            Last checked ${escapeHtml(new Date(policy.lastCheckedAt).toLocaleString())}
+            ${policy.lastError ? `<span class="watched-error">(failed: ${escapeHtml(policy.lastError)})</span>` : ''}
+          </div>
+          <button data-url="${escapeHtml(policy.url)}">Stop Watching</button>
+        </div>`).join('');
+    }
+
+    // --- Site Extraction Rules (common/siterules.js) ---
+
+    // Domain of the rule being edited (null when adding one)
+    let editingRuleDomain = null;
+    showSiteRules();
+
+    rulesListDiv.addEventListener('click', async function(event) {
+      const button = event.target.closest('button[data-domain]');
+      if (!button) return;
+      const domain = button.dataset.domain;
+      if (button.dataset.action === 'delete') {
+        await removeSiteRule(domain);
+        if (editingRuleDomain === domain) resetRuleForm();
+        showSiteRules();
+      } else {
+        const rule = (await listSiteRules()).find(entry => entry.domain === domain);
+        if (!rule) return;
+        editingRuleDomain = domain;
+        ruleDomainInput.value = rule.domain;
+        ruleSelectorInput.value = rule.selector;
+        ruleSaveBtn.textContent = 'Save Rule';
+        ruleCancelBtn.style.display = '';
+        ruleSelectorInput.focus();
+      }
+    });
+
+    ruleForm.addEventListener('submit', async function(event) {
+      event.preventDefault();
+      try {
+        await saveSiteRules([{ domain: ruleDomainInput.value, selector: ruleSelectorInput.value }], 'edited');
+        // Renaming the domain moves the rule
+        const domain = normalizeSiteRuleDomain(ruleDomainInput.value);
+        if (editingRuleDomain && editingRuleDomain !== domain) await removeSiteRule(editingRuleDomain);
+        showStatus(`Rule for ${domain} saved.`, 'success', rulesStatusDiv);
+        resetRuleForm();
+        showSiteRules();
+      } catch (error) {
+        showStatus(error.message, 'error', rulesStatusDiv);
+      }
+    });
+
+    ruleCancelBtn.addEventListener('click', resetRuleForm);
+
+    exportRulesBtn.addEventListener('click', async function() {
+      const rules = await listSiteRules();
+      const data = JSON.stringify(buildSiteRulePack(rules), null, 2);
+      const blob = new Blob([data], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = 'legaleyes_site_rules.json';
+      link.click();
+      URL.revokeObjectURL(link.href);
+      console.log(`Exported ${rules.length} site rules.`);
+    });
+
+    importRulesBtn.addEventListener('click', function() {
+      importRulesFile.click();
+    });
+
+    importRulesFile.addEventListener('change', async function() {
+      const file = importRulesFile.files[0];
+      importRulesFile.value = ''; // Importing the same file again fires another change
+      if (!file) return;
+      try {
+        const count = await importSiteRulePack(await file.text());
+        showStatus(`Imported ${count} ${count === 1 ? 'rule' : 'rules'}.`, 'success', rulesStatusDiv);
+        showSiteRules();
+      } catch (error) {
+        showStatus(`Import failed: ${error.message}`, 'error', rulesStatusDiv);
+      }
+    });
+
+    /**
+     * Lists the saved site rules.
+     */
+    async function showSiteRules() {
+      const rules = await listSiteRules();
+      exportRulesBtn.disabled = rules.length === 0;
+      if (rules.length === 0) {
+        rulesListDiv.innerHTML = '<p class="hint">No site rules yet. Use "Pick the terms on the page" in the popup, or add one below.</p>';
+        return;
+      }
+      rulesListDiv.innerHTML = rules.map(rule => `
+        <div class="rule-item">
+          <div class="rule-info">
+            <strong>${escapeHtml(rule.domain)}</strong><br>
+            <code>${escapeHtml(rule.selector)}</code><br>
+            ${escapeHtml(RULE_SOURCES[rule.source] || rule.source)}, ${escapeHtml(new Date(rule.updatedAt).toLocaleString())}
+          </div>
+          <button data-action="edit" data-domain="${escapeHtml(rule.domain)}">Edit</button>
+          <button data-action="delete" data-domain="${escapeHtml(rule.domain)}">Delete</button>
+        </div>`).join('');
+    }
+
+    /**
+     * Empties the rule form and switches it back to adding a rule.
+     */
+    function resetRuleForm() {
+      editingRuleDomain = null;
+      ruleForm.reset();
+      ruleSaveBtn.textContent = 'Add Rule';
+      ruleCancelBtn.style.display = 'none';
+    }
+
+    /**
+     * Fills the form with a provider's settings.
+     * @param {{providerId: string, apiKey: string, endpoint: string, model: string}} settings
+     */
+    function showProviderSettings(settings) {
+      const provider = AI_PROVIDERS[settings.providerId];
+      providerHint.innerHTML = PROVIDER_HINTS[settings.providerId] || '';
+      // The offline engine has no key, model or endpoint
+      providerFieldsDiv.style.display = provider.offline ? 'none' : 'block';
+      apiKeyLabel.textContent = provider.requiresApiKey ? `${provider.label} API Key:` : `${provider.label} API Key (optional):`;
+      apiKeyHint.textContent = provider.requiresApiKey ? 'Required.' : 'Leave empty if your server does not require one.';
+      modelInput.placeholder = provider.defaults.model;
+      modelInput.value = settings.model === provider.defaults.model ? '' : settings.model;
+      endpointInput.placeholder = provider.defaults.endpoint;
+      endpointInput.value = settings.endpoint === provider.defaults.endpoint ? '' : settings.endpoint;
+
+      if (settings.apiKey) {
         // Show only a few characters of the key for security
-        const maskedKey = result.apiKey.substring(0, 3) + '...' + 
-                          result.apiKey.substring(result.apiKey.length - 4);
+        maskedKey = settings.apiKey.substring(0, 3) + '...' +
+                    settings.apiKey.substring(settings.apiKey.length - 4);
         apiKeyInput.value = maskedKey;
         apiKeyInput.placeholder = 'Click to edit API key';
-        
-        // Clear input when clicked to allow editing
-        apiKeyInput.addEventListener('focus', function() {
-          if (apiKeyInput.value === maskedKey) {
-            apiKeyInput.value = '';
-          }
-        });
-      }
-    });
-    
-    // Save API key when button is clicked
-    saveBtn.addEventListener('click', function() {
-      const apiKey = apiKeyInput.value.trim();
-      
-      if (apiKey) {
-        browser.storage.local.set({ apiKey: apiKey }, function() {
-          showStatus('API key saved successfully!', 'success');
-        });
       } else {
-        showStatus('Please enter a valid API key', 'error');
+        maskedKey = null;
+        apiKeyInput.value = '';
+        apiKeyInput.placeholder = 'Enter your API key';
       }
-    });
-    
-    function showStatus(message, type) {
-      statusDiv.textContent = message;
-      statusDiv.className = 'status ' + type;
-      statusDiv.style.display = 'block';
-      
+    }
+
+    function showStatus(message, type, targetDiv = statusDiv) {
+      targetDiv.textContent = message;
+      targetDiv.className = 'status ' + type;
+      targetDiv.style.display = 'block';
+
       setTimeout(function() {
-        statusDiv.style.display = 'none';
+        targetDiv.style.display = 'none';
       }, 3000);
     }
   });
-  
\ No newline at end of file
+
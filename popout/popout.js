@@ -1,9 +1,13 @@
 /**
  * popout.js: Handles the logic for the LegalEyes pop-out window.
- * - Loads analysis data passed from the main popup via local storage.
- * - Renders the summary and concerning clauses.
- * - Provides Copy-to-Clipboard and Save-as-TXT functionality within the popout window.
- * - Cleans up temporary storage data.
+ * - Loads the analysis job for the tab given in the URL (?tabId=N) from the
+ *   background script, and follows it while it is still running, or a saved
+ *   analysis from the history library (?historyId=N).
+ * - Imports a file from the user's computer (?import=1): the file is handed to
+ *   the background script (common/files.js reads it) and the job followed like a tab's.
+ * - Renders the summary, the document's table of contents and the concerning clauses;
+ *   sections scroll the tab's page to them or open the PDF at their page.
+ * - Provides Copy-to-Clipboard, Save-as-TXT and (for PDFs) Save Annotated PDF functionality within the popout window.
  */
 document.addEventListener('DOMContentLoaded', function () {
     console.log("Popout script starting..."); // Log: Script start
@@ -13,11 +17,22 @@ document.addEventListener('DOMContentLoaded', function () {
     const summaryDiv = document.getElementById('popout-summary');
     const clausesDiv = document.getElementById('popout-clauses');
     const errorDiv = document.getElementById('popout-error');
+    const sourceP = document.getElementById('popout-source');
+    const changesDiv = document.getElementById('popout-changes');
+    const outlineDiv = document.getElementById('popout-outline');
     const actionButtonsDiv = document.getElementById('action-buttons');
     const copySummaryBtn = document.getElementById('copy-summary-btn');
     const copyClausesBtn = document.getElementById('copy-clauses-btn');
     const copyAllBtn = document.getElementById('copy-all-btn');
     const saveTxtBtn = document.getElementById('save-txt-btn');
+    const exportPdfBtn = document.getElementById('export-pdf-btn');
+    const resultsDiv = document.getElementById('results');
+    const importView = document.getElementById('import-view');
+    const dropZone = document.getElementById('drop-zone');
+    const chooseFileBtn = document.getElementById('choose-file-btn');
+    const fileInput = document.getElementById('file-input');
+    const passwordForm = document.getElementById('password-form');
+    const passwordInput = document.getElementById('pdf-password');
 
     // --- Initial Validation ---
     // Verify essential display elements were found in popout.html
@@ -34,10 +49,20 @@ document.addEventListener('DOMContentLoaded', function () {
 
     // --- State Variable ---
     /**
-     * @type {object | null} Stores the analysis result loaded from storage.
+     * @type {object | null} Stores the analysis result of the job being shown.
      */
     let currentPopoutResult = null;
 
+    /**
+     * @type {string | null} blob: URL of an imported PDF, for its page references.
+     */
+    let importedPdfUrl = null;
+
+    /**
+     * @type {string | null} The password the imported PDF was opened with, for its annotated copy (not stored).
+     */
+    let importedPdfPassword = null;
+
     // --- Helper Functions ---
 
     /**
@@ -128,7 +153,7 @@ document.addEventListener('DOMContentLoaded', function () {
         if (currentPopoutResult?.concerningClauses?.length > 0) {
             let text = "Concerning Clauses:\n\n";
             currentPopoutResult.concerningClauses.forEach(c => {
-                text += `--- ${c.title || 'Untitled'} (Severity: ${c.severity || 'N/A'}, Category: ${c.category || 'N/A'}) ---\n${getPlainText(c.text || "")}\n\n`;
+                text += `--- ${c.title || 'Untitled'} (Severity: ${c.severity || 'N/A'}, Category: ${c.category || 'N/A'}) ---\n${getPlainText(c.text || "")}\n${formatClauseQuoteText(c)}\n`;
             });
             navigator.clipboard.writeText(text.trim())
                 .then(() => showFeedback(copyClausesBtn))
@@ -143,7 +168,7 @@ document.addEventListener('DOMContentLoaded', function () {
             let text = "Summary:\n" + getPlainText(currentPopoutResult.summary || "Not available.") + "\n\n---\n\nConcerning Clauses:\n\n";
              if (currentPopoutResult.concerningClauses?.length > 0) {
                 currentPopoutResult.concerningClauses.forEach(c => {
-                    text += `--- ${c.title || 'Untitled'} (Severity: ${c.severity || 'N/A'}, Category: ${c.category || 'N/A'}) ---\n${getPlainText(c.text || "")}\n\n`;
+                    text += `--- ${c.title || 'Untitled'} (Severity: ${c.severity || 'N/A'}, Category: ${c.category || 'N/A'}) ---\n${getPlainText(c.text || "")}\n${formatClauseQuoteText(c)}\n`;
                 });
             } else { text += "No concerning clauses identified.\n"; }
              navigator.clipboard.writeText(text.trim())
@@ -159,7 +184,7 @@ document.addEventListener('DOMContentLoaded', function () {
              let text = "LegalEyes Analysis (Popout)\n=============================\n\nSummary:\n--------\n" + getPlainText(currentPopoutResult.summary || "Not available.") + "\n\n\nConcerning Clauses:\n---------------------\n";
               if (currentPopoutResult.concerningClauses?.length > 0) {
                 currentPopoutResult.concerningClauses.forEach(c => {
-                    text += `\n### ${c.title || 'Untitled'} ###\n(Severity: ${c.severity || 'N/A'}, Category: ${c.category || 'N/A'})\n\n${getPlainText(c.text || "")}\n---------------------\n`;
+                    text += `\n### ${c.title || 'Untitled'} ###\n(Severity: ${c.severity || 'N/A'}, Category: ${c.category || 'N/A'})\n\n${getPlainText(c.text || "")}\n${formatClauseQuoteText(c)}---------------------\n`;
                 });
             } else { text += "\nNo concerning clauses identified.\n"; }
               try {
@@ -179,119 +204,302 @@ document.addEventListener('DOMContentLoaded', function () {
      }
 
 
-    // --- Main Logic: Load Data and Render ---
-    console.log("Attempting to load data from browser.storage.local..."); // Log: Start loading
-    browser.storage.local.get('popoutData', function (result) {
-        console.log("Storage.local.get callback executed."); // Log: Callback runs
-
-        // Check for errors during storage access (important for callbacks)
-        if (browser.runtime.lastError) {
-            console.error("Popout Storage Error:", browser.runtime.lastError);
-            errorDiv.textContent = `Error loading analysis data: ${browser.runtime.lastError.message}`;
+    /** Handles "Save Annotated PDF" button click */
+    async function exportPdfHandler() {
+        console.log("Save Annotated PDF clicked (popout)");
+        const pdfUrl = currentPopoutResult?.pdfUrl || importedPdfUrl;
+        if (!pdfUrl) { console.warn("Popout: No PDF analysis to export."); return; }
+        const label = exportPdfBtn.textContent;
+        exportPdfBtn.textContent = "Preparing...";
+        exportPdfBtn.disabled = true;
+        try {
+            // An imported PDF only exists here; a tab's PDF is downloaded again by the background script
+            const data = currentPopoutResult.pdfUrl ? undefined : await (await fetch(importedPdfUrl)).arrayBuffer();
+            const password = currentPopoutResult.pdfUrl ? undefined : importedPdfPassword || undefined;
+            const tabId = Number(params.get('tabId')) || undefined;
+            const response = await browser.runtime.sendMessage({ action: "exportAnnotatedPdf", tabId, result: currentPopoutResult, data, password });
+            if (!response?.data) { throw new Error(response?.error || "The PDF could not be annotated."); }
+            const blob = new Blob([response.data], { type: 'application/pdf' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = annotatedPdfFileName(currentPopoutResult.pdfUrl || sourceP?.textContent);
+            link.click(); // Trigger download
+            setTimeout(() => URL.revokeObjectURL(link.href), 10000); // Large files take a moment to save
+            console.log(`Popout: Annotated PDF saved (${response.highlighted} clauses highlighted).`);
+            exportPdfBtn.textContent = label;
+            showFeedback(exportPdfBtn, "Saved!");
+        } catch (error) {
+            console.error("Popout annotated PDF export failed:", error);
+            exportPdfBtn.textContent = label;
+            exportPdfBtn.disabled = false;
+            errorDiv.textContent = `Could not create the annotated PDF: ${error.message}`;
             errorDiv.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Renders an analysis result into the popout.
+     * @param {object} result - The analysis result ({summary, concerningClauses, ...}).
+     */
+    function renderResult(result) {
+        currentPopoutResult = result; // Store data for button handlers
+
+        // --- Render Summary ---
+        console.log("Rendering summary...");
+        summaryDiv.innerHTML = result.summary || '<p>Summary data missing or empty.</p>'; // Render or show fallback
+        if (exportPdfBtn) exportPdfBtn.classList.toggle('hidden', !(result.pdfUrl || importedPdfUrl));
+
+        // --- Render the table of contents (only a tab's page can be scrolled to a section) ---
+        if (outlineDiv) {
+            outlineDiv.innerHTML = renderOutlineHtml({ ...result, pdfUrl: result.pdfUrl || importedPdfUrl }, params.has('tabId'));
+        }
+
+        // --- Render Changes (watched policies) ---
+        if (changesDiv) {
+            changesDiv.innerHTML = result.changes ? renderChangeReportHtml(result.changes) : '';
+            changesDiv.classList.toggle('hidden', !result.changes);
+        }
+
+        // --- Render Concerning Clauses ---
+        console.log("Rendering concerning clauses...");
+        if (result.concerningClauses && result.concerningClauses.length > 0) {
+            let concerningHTML = ''; // Initialize empty string to build HTML
+            result.concerningClauses.forEach((clause, index) => {
+                // Generate HTML structure for the clause item (common/render.js)
+                try {
+                    concerningHTML += renderClauseCardHtml(clause, index, result.pdfUrl || importedPdfUrl);
+                } catch (htmlError) {
+                     console.error(`Error generating HTML for clause ${index + 1}:`, htmlError, clause);
+                }
+            }); // End forEach loop
+            clausesDiv.innerHTML = concerningHTML;
+            actionButtonsDiv.classList.remove('hidden'); // Show action buttons
+            console.log(`${result.concerningClauses.length} clauses rendering complete.`);
+
+        } else {
+            // Handle case where no concerning clauses exist in the data
+            clausesDiv.textContent = "No concerning clauses were identified.";
+            actionButtonsDiv.classList.add('hidden'); // Hide action buttons
+            console.log("No concerning clauses found in data to render.");
+        }
+
+        errorDiv.classList.add('hidden'); // Ensure error div is hidden on success
+    }
+
+    /**
+     * Shows an error in place of the results.
+     * @param {string} message - The message for the user.
+     */
+    function showError(message) {
+        summaryDiv.textContent = "Error: Analysis data not found.";
+        clausesDiv.textContent = ""; // Clear placeholder
+        errorDiv.textContent = message;
+        errorDiv.classList.remove('hidden');
+        actionButtonsDiv.classList.add('hidden'); // Hide actions
+    }
+
+    /**
+     * Renders a job snapshot from the background script.
+     * @param {object} job - The job snapshot.
+     */
+    function renderJob(job) {
+        // Imported PDFs can be retried with a password here (tab PDFs from the popup)
+        const askPassword = job.status === 'error' && Boolean(job.passwordNeeded) && !importView.classList.contains('hidden');
+        passwordForm.classList.toggle('hidden', !askPassword);
+        if (askPassword) passwordInput.focus();
+        if (job.status === 'done') {
+            renderResult(job.result);
+        } else if (job.status === 'error') {
+            showError(job.error || "The analysis failed. Please close this window and try again.");
+        } else if (job.status === 'review') {
+            // The popup shows the extracted text for the user to check before it is analyzed
+            summaryDiv.innerHTML = '<p>Waiting for the extracted text to be checked in the popup...</p>';
+            clausesDiv.innerHTML = '';
+            actionButtonsDiv.classList.add('hidden');
+            errorDiv.classList.add('hidden');
+        } else {
+            let progress = job.status === 'extracting' ? 'Extracting text...' : 'Analyzing...';
+            if (job.progress && job.progress.stage === 'ocr') {
+                progress = `Reading text with OCR (${job.source === 'html' ? 'image' : 'page'} ${job.progress.part} of ${job.progress.total})...`;
+            } else if (job.progress && job.progress.total > 1) {
+                progress = `Analyzing part ${job.progress.part} of ${job.progress.total}...`;
+            }
+            summaryDiv.innerHTML = `<p>${progress}</p>`;
+            clausesDiv.innerHTML = '';
             actionButtonsDiv.classList.add('hidden');
-            return; // Stop processing
+            errorDiv.classList.add('hidden');
         }
+    }
+
+    // --- Add Event Listeners to Action Buttons ---
+    // Add checks to ensure buttons exist before adding listeners
+    if (copySummaryBtn) copySummaryBtn.addEventListener('click', copySummaryHandler);
+    else console.warn("Copy Summary button not found in popout.");
+    if (copyClausesBtn) copyClausesBtn.addEventListener('click', copyClausesHandler);
+    else console.warn("Copy Clauses button not found in popout.");
+    if (copyAllBtn) copyAllBtn.addEventListener('click', copyAllHandler);
+    else console.warn("Copy All button not found in popout.");
+    if (saveTxtBtn) saveTxtBtn.addEventListener('click', saveTxtHandler);
+    else console.warn("Save TXT button not found in popout.");
+    if (exportPdfBtn) exportPdfBtn.addEventListener('click', exportPdfHandler);
+    else console.warn("Save Annotated PDF button not found in popout.");
+
+    // Sections of a web page scroll the tab to them (PDF sections are plain links to the page)
+    if (outlineDiv) {
+        outlineDiv.addEventListener('click', async function (event) {
+            const link = event.target.closest('a.outline-link[data-section-title]');
+            if (!link) return;
+            event.preventDefault();
+            try {
+                const tabId = Number(params.get('tabId'));
+                await browser.tabs.sendMessage(tabId, { action: "scrollToSection", title: link.dataset.sectionTitle });
+                await browser.tabs.update(tabId, { active: true });
+            } catch (error) {
+                console.warn("Popout: Could not scroll page to section:", error);
+            }
+        });
+    }
+
+    /**
+     * Sets up the file import view: a drop zone and a file picker. The chosen
+     * file is analyzed as a job of this window's tab.
+     */
+    async function setupImportView() {
+        const ownTab = await browser.tabs.getCurrent();
+        document.title = 'LegalEyes - Import a File';
+        importView.classList.remove('hidden');
+        resultsDiv.classList.add('hidden');
 
-        // Check if the expected data key exists in the result
-        if (result && result.popoutData) {
-            console.log("Popout data FOUND in storage."); // Log: Data Found
-            currentPopoutResult = result.popoutData; // Store data for button handlers
-
-            // --- Render Summary ---
-            console.log("Rendering summary...");
-            summaryDiv.innerHTML = currentPopoutResult.summary || '<p>Summary data missing or empty.</p>'; // Render or show fallback
-
-            // --- Render Concerning Clauses ---
-            console.log("Rendering concerning clauses...");
-            // Log the raw clauses data for debugging rendering issues
-            console.log("Clauses data from storage:", JSON.stringify(currentPopoutResult.concerningClauses, null, 2));
-
-            if (currentPopoutResult.concerningClauses && currentPopoutResult.concerningClauses.length > 0) {
-                let concerningHTML = ''; // Initialize empty string to build HTML
-                currentPopoutResult.concerningClauses.forEach((clause, index) => {
-                    // Log details for each clause being processed
-                     console.log(`Processing Clause ${index + 1}:`, {
-                        title: clause.title,
-                        severity: clause.severity,
-                        category: clause.category,
-                        textExists: !!clause.text,
-                        textPreview: clause.text ? clause.text.substring(0, 50) + "..." : "N/A"
-                    });
-
-                    // Defensive defaults in case data is malformed
-                    const title = clause.title || 'Untitled Clause';
-                    const text = clause.text || 'No details provided.'; // Check if this is empty in logs if rendering fails
-                    const severity = clause.severity || 'medium';
-                    const category = clause.category || 'general';
-
-                    // Generate HTML structure for the clause item
-                    try {
-                        concerningHTML += `
-                          <div class="concerning-item" data-category="${category}" data-severity="${severity}">
-                            <div class="concerning-title">
-                              <span>${title}</span>
-                              <span class="severity-badge severity-${severity}">${severity}</span>
-                            </div>
-                            <div class="concerning-text">${text}</div>
-                          </div>`;
-                    } catch (htmlError) {
-                         console.error(`Error generating HTML for clause ${index + 1}:`, htmlError, clause);
-                    }
-                }); // End forEach loop
-
-                // Log the final generated HTML before assigning it
-                console.log("Final concerningHTML generated (length " + concerningHTML.length + "):", concerningHTML.substring(0, 500) + "...");
-
-                // Assign the generated HTML to the DOM element
-                console.log("Assigning generated HTML to clausesDiv.innerHTML");
-                clausesDiv.innerHTML = concerningHTML;
-                 // Log the content *after* assignment to check if it stuck
-                console.log("clausesDiv innerHTML after assignment (length " + clausesDiv.innerHTML.length + "):", clausesDiv.innerHTML.substring(0, 500) + "...");
-
-                actionButtonsDiv.classList.remove('hidden'); // Show action buttons
-                console.log(`${currentPopoutResult.concerningClauses.length} clauses rendering complete.`);
-
-            } else {
-                // Handle case where no concerning clauses exist in the data
-                clausesDiv.textContent = "No concerning clauses were identified.";
-                actionButtonsDiv.classList.add('hidden'); // Hide action buttons
-                console.log("No concerning clauses found in data to render.");
+        browser.runtime.onMessage.addListener(function (message) {
+            if (message.action === "jobUpdate" && message.job && message.job.tabId === ownTab.id) {
+                renderJob(message.job);
             }
+        });
+
+        /** @type {File | null} The last imported file (re-sent with a password). */
+        let importedFile = null;
 
-            // --- Add Event Listeners to Action Buttons ---
-            console.log("Adding action button listeners...");
-            // Add checks to ensure buttons exist before adding listeners
-            if (copySummaryBtn) copySummaryBtn.addEventListener('click', copySummaryHandler);
-            else console.warn("Copy Summary button not found in popout.");
-            if (copyClausesBtn) copyClausesBtn.addEventListener('click', copyClausesHandler);
-            else console.warn("Copy Clauses button not found in popout.");
-            if (copyAllBtn) copyAllBtn.addEventListener('click', copyAllHandler);
-            else console.warn("Copy All button not found in popout.");
-            if (saveTxtBtn) saveTxtBtn.addEventListener('click', saveTxtHandler);
-            else console.warn("Save TXT button not found in popout.");
-
-            // --- Clean up temporary data from storage ---
-            console.log("Attempting to remove popoutData from storage...");
-            browser.storage.local.remove('popoutData', function() {
-                if (browser.runtime.lastError) {
-                    console.error("Error removing popout data from storage:", browser.runtime.lastError);
-                } else {
-                    console.log("Popout data successfully removed from storage.");
+        /**
+         * Sends a file to the background script for analysis.
+         * @param {File} file
+         * @param {string} [password] - The open password of an encrypted PDF (not stored).
+         */
+        async function importFile(file, password) {
+            console.log(`Importing ${file.name} (${file.size} bytes)...`);
+            importedFile = file;
+            importedPdfPassword = password || null;
+            if (importedPdfUrl) URL.revokeObjectURL(importedPdfUrl);
+            importedPdfUrl = /\.pdf$/i.test(file.name) || file.type === 'application/pdf'
+                ? URL.createObjectURL(new Blob([file], { type: 'application/pdf' }))
+                : null;
+            errorDiv.classList.add('hidden');
+            passwordForm.classList.add('hidden');
+            try {
+                const data = await file.arrayBuffer();
+                const response = await browser.runtime.sendMessage({ action: "importFile", tabId: ownTab.id, name: file.name, data, password });
+                if (!response?.job) { throw new Error(response?.error || "The analysis could not be started."); }
+                if (sourceP) {
+                    sourceP.textContent = file.name;
+                    sourceP.classList.remove('hidden');
                 }
-            });
+                document.title = `LegalEyes - ${file.name}`;
+                resultsDiv.classList.remove('hidden');
+                renderJob(response.job);
+            } catch (error) {
+                console.error("Import failed:", error);
+                resultsDiv.classList.remove('hidden');
+                showError(`Could not import ${file.name}: ${error.message}`);
+            }
+        }
 
-            errorDiv.classList.add('hidden'); // Ensure error div is hidden on success
+        passwordForm.addEventListener('submit', function (event) {
+            event.preventDefault();
+            const password = passwordInput.value;
+            passwordInput.value = '';
+            if (importedFile) importFile(importedFile, password);
+        });
+
+        chooseFileBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', function () {
+            if (fileInput.files.length > 0) importFile(fileInput.files[0]);
+            fileInput.value = ''; // Choosing the same file again re-analyzes it
+        });
 
+        // A file dropped next to the drop zone would otherwise replace this page
+        document.addEventListener('dragover', event => event.preventDefault());
+        document.addEventListener('drop', event => event.preventDefault());
+        dropZone.addEventListener('dragover', function (event) {
+            event.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+        dropZone.addEventListener('drop', function (event) {
+            event.preventDefault();
+            dropZone.classList.remove('drag-over');
+            const file = event.dataTransfer.files[0];
+            if (file) importFile(file);
+        });
+    }
+
+    // --- Main Logic: Load the Job (or Saved Analysis) and Render ---
+    const params = new URLSearchParams(window.location.search);
+
+    if (params.has('import')) {
+        setupImportView().catch(function (error) {
+            console.error("Could not set up the import view:", error);
+            showError(`Error: ${error.message}`);
+        });
+        return;
+    }
+
+    if (params.has('historyId')) {
+        const historyId = Number(params.get('historyId'));
+        console.log(`Loading saved analysis #${historyId}...`);
+        getAnalysis(historyId).then(function (record) {
+            if (!record) {
+                showError("This analysis is no longer in your history.");
+                return;
+            }
+            if (sourceP) {
+                const origin = record.url ? `${record.title || record.url} (${record.url})` : record.title; // Imported files have no URL
+                sourceP.textContent = `${origin}, analyzed ${new Date(record.analyzedAt).toLocaleString()}`;
+                sourceP.classList.remove('hidden');
+            }
+            document.title = `LegalEyes - ${record.title || record.url}`;
+            renderResult(record.result);
+        }).catch(function (error) {
+            console.error("Popout could not load the saved analysis:", error);
+            showError(`Error loading analysis data: ${error.message}`);
+        });
+        return;
+    }
+
+    const tabId = Number(params.get('tabId'));
+    if (!Number.isInteger(tabId)) {
+        console.error("Popout opened without a tabId parameter.");
+        showError("No analysis was specified. Please close this window and try popping out again.");
+        return;
+    }
+
+    // Follow the job while it is still running
+    browser.runtime.onMessage.addListener(function (message) {
+        if (message.action === "jobUpdate" && message.job && message.job.tabId === tabId) {
+            renderJob(message.job);
+        }
+    });
+
+    console.log(`Loading the analysis job for tab ${tabId}...`);
+    browser.runtime.sendMessage({ action: "getJob", tabId }).then(function (response) {
+        if (response && response.job) {
+            console.log(`Job ${response.job.id} found (${response.job.status}).`);
+            renderJob(response.job);
         } else {
-            // Handle case where 'popoutData' key was missing in storage result
-            console.error("Popout data key ('popoutData') NOT FOUND in storage result.");
-            summaryDiv.textContent = "Error: Analysis data not found.";
-            clausesDiv.textContent = ""; // Clear placeholder
-            errorDiv.textContent = "Could not load analysis data. It might not have been saved correctly. Please close this window and try popping out again.";
-            errorDiv.classList.remove('hidden');
-            actionButtonsDiv.classList.add('hidden'); // Hide actions
+            console.error(`No job found for tab ${tabId}.`);
+            showError("Could not load analysis data. The tab may have been closed or navigated away. Please run the analysis again.");
         }
-    }); // End of browser.storage.local.get callback
+    }).catch(function (error) {
+        console.error("Popout could not reach the background script:", error);
+        showError(`Error loading analysis data: ${error.message}`);
+    });
 
-}); // --- End of DOMContentLoaded Listener ---
\ No newline at end of file
+}); // --- End of DOMContentLoaded Listener ---
@@ -1,120 +1,30 @@
 /**
  * popup.js: Handles the logic for the LegalEyes browser extension popup.
  * - Initializes the popup UI.
- * - Checks for API key and handles context menu actions.
- * - Triggers T&C extraction from the content script.
- * - Sends extracted text to the Gemini AI for analysis.
- * - Parses the AI response (summary, concerning clauses, severity, category).
+ * - Checks that an AI provider is configured.
+ * - Starts an analysis job for the active tab in the background script and
+ *   follows its progress (background.js does the extraction and AI calls, so
+ *   closing the popup doesn't cancel anything).
+ * - Before a web page is analyzed, shows what the extractor found (strategy,
+ *   confidence, length, preview) and lets the user pick another part of the
+ *   page or edit the text, or to pick the terms on the page with the element
+ *   picker (content_scripts/picker.js).
+ * - Shows the running or finished job for the tab when the popup is reopened,
+ *   including jobs started from the context menu.
  * - Displays the results, including filtering options.
- * - Provides Copy-to-Clipboard and Save-as-TXT functionality.
+ * - Provides Copy-to-Clipboard and Save-as-TXT functionality, and for PDFs an
+ *   annotated copy of the document (Save Annotated PDF).
  * - Handles popping out the results into a new window.
+ * - Opens the analysis history page and the file import window.
+ * - Watches a policy for changes and shows what changed since the last version.
+ * - Shows the document's table of contents; sections open the PDF at their page
+ *   or scroll the page to them.
  */
 
-// Import PDF.js (using dynamic import as it's an ES module)
-let pdfjsLib = null;
-const pdfjsWorkerSrc = browser.runtime.getURL("lib/pdfjs/pdf.worker.mjs"); // Get correct URL
-
-/**
- * Dynamically loads the PDF.js library.
- * Ensures it's loaded only once.
- */
-async function loadPdfJs() {
-    if (!pdfjsLib) {
-        try {
-            console.log("Loading PDF.js library...");
-            // Dynamically import the ES module
-            const pdfjsModule = await import(browser.runtime.getURL("lib/pdfjs/pdf.mjs"));
-            pdfjsLib = pdfjsModule; // Assign the module object
-
-            // Configure the worker source (IMPORTANT!)
-            // Check if pdfjsLib.GlobalWorkerOptions exists (might vary slightly by version)
-            if (pdfjsLib.GlobalWorkerOptions) {
-                 pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorkerSrc;
-                 console.log("PDF.js worker source configured:", pdfjsWorkerSrc);
-            } else if (pdfjsLib.PDFWorker) { // Older versions might use this
-                 pdfjsLib.PDFWorker.workerSrc = pdfjsWorkerSrc;
-                 console.log("PDF.js worker source configured (legacy):", pdfjsWorkerSrc);
-            } else {
-                 console.warn("Could not find GlobalWorkerOptions or PDFWorker on pdfjsLib. Worker may not function correctly.", pdfjsLib);
-            }
-            console.log("PDF.js loaded successfully.");
-        } catch (error) {
-            console.error("Failed to load PDF.js library:", error);
-            pdfjsLib = null; // Reset on failure
-            throw new Error("Could not load PDF processing library."); // Re-throw
-        }
-    }
-    return pdfjsLib;
-}
-
-
-/**
- * Fetches a PDF from a URL and extracts text content using PDF.js.
- * @param {string} pdfUrl - The URL of the PDF file.
- * @returns {Promise<string|null>} - A promise resolving with the extracted text or null on failure.
- */
-async function getTextFromPdfUrl(pdfUrl) {
-    console.log(`Fetching PDF from: ${pdfUrl}`);
-    const pdfjs = await loadPdfJs(); // Ensure library is loaded
-    if (!pdfjs) return null; // Exit if library failed to load
-
-    try {
-        // 1. Fetch the PDF data as an ArrayBuffer
-        const response = await fetch(pdfUrl);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const pdfData = await response.arrayBuffer();
-        console.log(`PDF data fetched (${pdfData.byteLength} bytes)`);
-
-        // 2. Load the PDF document using PDF.js
-        console.log("Loading PDF document with PDF.js...");
-        // Use getDocument method from the loaded module
-        const loadingTask = pdfjs.getDocument({ data: pdfData });
-        const pdfDocument = await loadingTask.promise;
-        console.log(`PDF loaded (${pdfDocument.numPages} pages)`);
-
-        // 3. Extract text from each page
-        let fullText = "";
-        for (let pageNum = 1; pageNum <= pdfDocument.numPages; pageNum++) {
-            try {
-                const page = await pdfDocument.getPage(pageNum);
-                const textContent = await page.getTextContent();
-                // Concatenate text items, adding spaces/newlines appropriately
-                let pageText = "";
-                if (textContent && textContent.items) {
-                    textContent.items.forEach((item, index) => {
-                        pageText += item.str;
-                        // Add a space if the next item isn't immediately adjacent horizontally (heuristic)
-                        // Or simply add space after each item if simpler. Consider adding newline on transform[5] change.
-                        if (index < textContent.items.length - 1) {
-                           pageText += " "; // Simple space joining
-                        }
-                    });
-                }
-                // Add double newline between pages for separation
-                fullText += pageText.trim() + "\n\n";
-                 console.log(`Extracted text from page ${pageNum}`);
-            } catch (pageError) {
-                 console.error(`Error processing page ${pageNum}:`, pageError);
-                 // Optionally add placeholder text or just skip the page
-                 fullText += `[Error extracting text from page ${pageNum}]\n\n`;
-            }
-        }
-
-        console.log("Finished extracting text from PDF.");
-        return fullText.trim(); // Return all extracted text
-
-    } catch (error) {
-        console.error("Error fetching or parsing PDF:", error);
-        throw new Error(`Failed to process PDF: ${error.message}`); // Re-throw for handler
-    }
-}
-
-
 document.addEventListener('DOMContentLoaded', function() {
   // --- Element Selections ---
   const summarizeBtn = document.getElementById('summarize-btn');
+  const pickElementBtn = document.getElementById('pick-element-btn');
   const loadingDiv = document.getElementById('loading');
   const resultsDiv = document.getElementById('results');
   const errorDiv = document.getElementById('error');
@@ -128,47 +38,97 @@ document.addEventListener('DOMContentLoaded', function() {
   const copyClausesBtn = document.getElementById('copy-clauses-btn');
   const copyAllBtn = document.getElementById('copy-all-btn');
   const saveTxtBtn = document.getElementById('save-txt-btn');
+  const exportPdfBtn = document.getElementById('export-pdf-btn');
+  const sidebarBtn = document.getElementById('sidebar-btn');
   const popoutBtn = document.getElementById('popout-btn');
+  const historyBtn = document.getElementById('history-btn');
+  const importBtn = document.getElementById('import-btn');
+  const coverageNoteDiv = document.getElementById('coverage-note');
+  const watchBtn = document.getElementById('watch-btn');
+  const ocrBtn = document.getElementById('ocr-btn');
+  const passwordForm = document.getElementById('password-form');
+  const passwordInput = document.getElementById('pdf-password');
+  const changeReportDiv = document.getElementById('change-report');
+  const outlineDiv = document.getElementById('outline');
+  const reviewDiv = document.getElementById('extraction-review');
+  const reviewSummary = document.getElementById('extraction-summary');
+  const reviewPreview = document.getElementById('extraction-preview');
+  const reviewChoice = document.getElementById('extraction-choice');
+  const reviewText = document.getElementById('extraction-text');
+  const editExtractionBtn = document.getElementById('edit-extraction-btn');
+  const analyzeExtractionBtn = document.getElementById('analyze-extraction-btn');
+  const rememberRuleLabel = document.getElementById('remember-rule-label');
+  const rememberRuleCheckbox = document.getElementById('remember-rule');
+  const loadingText = loadingDiv ? loadingDiv.querySelector('p') : null;
+  const defaultLoadingMessage = loadingText ? loadingText.textContent : '';
 
   /**
-   * @type {object | null} Stores the latest analysis result from the AI.
+   * @type {object | null} Stores the latest analysis result.
    * Used by action buttons (copy/save/popout).
    */
   let currentAnalysisResult = null;
 
-  console.log("Popup script loaded");
+  /** @type {number | null} ID of the active tab this popup belongs to. */
+  let activeTabId = null;
 
-  // --- Initial Setup ---
+  /** @type {object | null} The last job snapshot rendered (to avoid re-rendering finished results). */
+  let renderedJob = null;
+
+  /** @type {object[]} The parts of the page offered in the review step (the extractor's pick first). */
+  let extractionChoices = [];
 
   /**
-   * Checks local storage on startup (for debugging).
+   * @type {number | null} ID of the tab whose HTML page holds the highlights
+   * for the current result. Null for PDFs and selected text.
    */
-  browser.storage.local.get(['selectedText', 'contextMenuClicked'], function(result) {
-    console.log("Initial storage check:", result);
-  });
+  let highlightedTabId = null;
 
   /**
-   * Checks if the API key is set. If not, shows a message prompting the user
-   * to set it in the options page. If set, checks if the popup was opened
-   * via the context menu to automatically process selected text.
+   * @type {string | null} The PDF password last entered, needed again to save
+   * an annotated copy of an encrypted PDF. Only kept while the popup is open.
    */
-  browser.storage.local.get('apiKey', function(result) {
-    console.log("API key check:", result.apiKey ? "Key exists" : "No key");
-    if (!result.apiKey) {
+  let pdfPassword = null;
+
+  console.log("Popup script loaded");
+
+  // --- Initial Setup ---
+
+  /**
+   * Checks if the selected AI provider is configured (API key set where one is
+   * required). If not, shows a message prompting the user to set it in the
+   * options page. If set, shows the job for the active tab (if any), e.g. a
+   * running page analysis or a selection started from the context menu.
+   */
+  loadProviderSettings().then(async function(settings) {
+    const configured = isProviderConfigured(settings);
+    console.log(`Provider check (${settings.providerId}):`, configured ? "Configured" : "Missing API key");
+    if (!configured) {
       // API Key Missing - Show setup prompt
       if(apiKeyMissingDiv) apiKeyMissingDiv.classList.remove('hidden');
       if(mainContentDiv) mainContentDiv.classList.add('hidden');
-    } else {
-      // API Key Present - Check for context menu trigger
-      browser.storage.local.get(['selectedText', 'contextMenuClicked'], async function(storageData) {
-        if (storageData.selectedText && storageData.contextMenuClicked) {
-          console.log("Processing text from context menu...");
-          // Clear the flag immediately to prevent re-processing on subsequent popup opens
-          browser.storage.local.remove('contextMenuClicked');
-          // Process the text
-          await processSelectedText(storageData.selectedText);
-        }
-      });
+      return;
+    }
+
+    try {
+      const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+      if (!tabs || tabs.length === 0) { throw new Error("Could not find the active tab."); }
+      activeTabId = tabs[0].id;
+      const response = await browser.runtime.sendMessage({ action: "getJob", tabId: activeTabId });
+      if (response?.job) {
+        console.log(`Found job ${response.job.id} (${response.job.status}) for this tab.`);
+        renderJob(response.job);
+      }
+    } catch (error) {
+      console.error("Could not load the job for this tab:", error);
+    }
+  });
+
+  /**
+   * Follows job updates broadcast by the background script.
+   */
+  browser.runtime.onMessage.addListener(function(message) {
+    if (message.action === "jobUpdate" && message.job && message.job.tabId === activeTabId) {
+      renderJob(message.job);
     }
   });
 
@@ -185,105 +145,100 @@ document.addEventListener('DOMContentLoaded', function() {
 
   /**
    * Handles the main "Summarize Terms & Conditions" button click.
-   * Gets the active tab, sends a message to the content script to extract text,
-   * processes the text with the AI, and displays the results.
+   * Asks the background script to extract the active tab's text for review
+   * (PDFs are analyzed straight away); progress and the result arrive as job
+   * updates (see renderJob).
    */
-    // --- Summarize Button Listener (UPDATED) ---
-    if (summarizeBtn) {
-      summarizeBtn.addEventListener('click', async function() {
-        console.log("Summarize button clicked");
-        // Reset UI
-        if(loadingDiv) loadingDiv.classList.remove('hidden');
-        if(resultsDiv) resultsDiv.classList.add('hidden');
-        if(errorDiv) errorDiv.classList.add('hidden');
-        if(actionButtonsDiv) actionButtonsDiv.classList.add('hidden');
-        currentAnalysisResult = null;
-  
-        try {
-          const tabs = await browser.tabs.query({ active: true, currentWindow: true });
-          if (!tabs || tabs.length === 0) { throw new Error("Could not find the active tab."); }
-          const activeTab = tabs[0]; // Get the full tab object
-          const activeTabId = activeTab.id;
-          const activeTabUrl = activeTab.url;
-          console.log("Active tab:", activeTabId, "URL:", activeTabUrl);
-  
-          // --- >>> PDF Detection Logic <<< ---
-          let isPdf = false;
-          if (activeTabUrl && activeTabUrl.toLowerCase().endsWith('.pdf')) {
-              isPdf = true;
-          }
-          // More robust check (requires 'tabs' permission potentially for headers) - Optional for now
-          // try {
-          //     const headers = await browser.webRequest.getHeaders({ tabId: activeTabId, url: activeTabUrl });
-          //     const contentTypeHeader = headers.responseHeaders.find(h => h.name.toLowerCase() === 'content-type');
-          //     if (contentTypeHeader && contentTypeHeader.value.toLowerCase().includes('application/pdf')) {
-          //         isPdf = true;
-          //     }
-          // } catch (headerError) { console.warn("Could not check headers:", headerError); }
-  
-          console.log("Is PDF?", isPdf);
-  
-          let extractedText = null;
-  
-          if (isPdf) {
-              // --- Handle PDF ---
-              console.log("Handling as PDF...");
-              if (!activeTabUrl) throw new Error("PDF URL not found.");
-              // Call a new function to fetch and parse the PDF
-              extractedText = await getTextFromPdfUrl(activeTabUrl);
-          } else {
-              // --- Handle HTML (Existing Logic) ---
-              console.log("Handling as HTML...");
-              console.log("Sending extractTC message to content script");
-              const response = await browser.tabs.sendMessage(activeTabId, { action: "extractTC" });
-              console.log("Response from content script:", response);
-  
-              if (response && response.error) {
-                  throw new Error(`Error during HTML extraction: ${response.error}`);
-              }
-              extractedText = response?.text; // Use the text from the content script
-          }
-          // --- >>> End of Branching Logic <<< ---
-  
-  
-          // --- Process and Display (Common Logic) ---
-          if (typeof extractedText === 'string' && extractedText.length > 100) {
-            console.log(`Got text (length: ${extractedText.length}). Processing with AI...`);
-            const result = await processWithAI(extractedText);
-            displayResults(result, summaryDiv, concerningClausesDiv, resultsDiv);
-          } else {
-            console.log("No substantial text extracted from", isPdf ? "PDF" : "HTML page");
-            throw new Error(`Couldn't find sufficient text content on the ${isPdf ? 'PDF' : 'page'}.`);
-          }
-  
-        } catch (error) {
-          // Catch errors from PDF handling, HTML handling, AI processing, etc.
-          console.error("Error in summarizeBtn handler:", error);
-          let userMessage = `An error occurred: ${error.message}`;
-           if (error.message.includes("Could not establish connection")) {
-             userMessage = "Could not connect to the HTML page content. Ensure the extension has permission and try reloading the page.";
-           } else if (error.message.includes("Failed to fetch")) {
-               userMessage = "Failed to download the PDF. Check the URL and network connection.";
-           } else if (error.message.includes("PDF")) { // Keep PDF specific errors somewhat clear
-               userMessage = `Error processing PDF: ${error.message}`;
-           }
-          if(errorDiv) {
-              errorDiv.textContent = userMessage;
-              errorDiv.classList.remove('hidden');
-          }
-          if(resultsDiv) resultsDiv.classList.add('hidden');
-          if(actionButtonsDiv) actionButtonsDiv.classList.add('hidden');
-  
-        } finally {
-          if(loadingDiv) loadingDiv.classList.add('hidden');
+  if (summarizeBtn) {
+    summarizeBtn.addEventListener('click', function() {
+      console.log("Summarize button clicked");
+      requestAnalysis({ review: true });
+    });
+  }
+
+  /**
+   * Starts the element picker in the page (content_scripts/picker.js) and gets
+   * out of the way; the block the user clicks is analyzed by the background script.
+   */
+  if (pickElementBtn) {
+    pickElementBtn.addEventListener('click', async function() {
+      console.log("Pick element clicked");
+      try {
+        const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+        if (!tabs || tabs.length === 0) { throw new Error("Could not find the active tab."); }
+        await browser.tabs.sendMessage(tabs[0].id, { action: "startPicker" });
+        window.close();
+      } catch (error) {
+        console.error("Failed to start the element picker:", error);
+        if(errorDiv) {
+          errorDiv.textContent = "Picking is only available on regular web pages.";
+          errorDiv.classList.remove('hidden');
         }
-      });
-    }
+      }
+    });
+  }
+
+  /**
+   * The review step (before a web page is analyzed): pick another part of the
+   * page, edit the text, or analyze it.
+   */
+  if (reviewChoice) {
+    reviewChoice.addEventListener('change', function() {
+      showExtractionChoice(Number(reviewChoice.value));
+    });
+  }
+
+  if (editExtractionBtn) {
+    editExtractionBtn.addEventListener('click', function() {
+      reviewText.classList.remove('hidden');
+      editExtractionBtn.classList.add('hidden');
+      reviewText.focus();
+    });
+  }
+
+  // Analyzing sends the chosen (or edited) text; the page isn't extracted again.
+  // With "Use this part of the page next time", the block is saved as the site's rule.
+  if (analyzeExtractionBtn) {
+    analyzeExtractionBtn.addEventListener('click', function() {
+      const choice = extractionChoices[Number(reviewChoice.value) || 0];
+      if (!choice) return;
+      const text = reviewText.classList.contains('hidden') ? choice.text : reviewText.value;
+      const remember = !rememberRuleLabel.classList.contains('hidden') && rememberRuleCheckbox.checked;
+      requestAnalysis({ extracted: { text, blocks: choice.blocks, selector: remember ? choice.selector : null } });
+    });
+  }
+
+  /**
+   * Handles the "Read Text from Images (OCR)" button, offered when a page had
+   * no usable text but has images that may contain the terms.
+   */
+  if (ocrBtn) {
+    ocrBtn.addEventListener('click', function() {
+      console.log("OCR button clicked");
+      requestAnalysis({ ocr: true });
+    });
+  }
+
+  /**
+   * Retries a password-protected PDF with the entered password. The password
+   * travels with this request and is kept in memory (not stored) for the
+   * annotated PDF export.
+   */
+  if (passwordForm) {
+    passwordForm.addEventListener('submit', function(event) {
+      event.preventDefault();
+      console.log("PDF password submitted");
+      const password = passwordInput.value;
+      passwordInput.value = '';
+      pdfPassword = password;
+      requestAnalysis({ password });
+    });
+  }
 
   /**
    * Handles the "Pop Out" button click.
-   * Stores the current analysis results in local storage temporarily,
-   * then creates a new window/tab loading the dedicated popout HTML page.
+   * Creates a new window loading the dedicated popout HTML page, which
+   * shows (and follows) the background job for the active tab.
    */
   if (popoutBtn) {
     popoutBtn.addEventListener('click', async function() { // Use async/await as it works now
@@ -292,15 +247,12 @@ document.addEventListener('DOMContentLoaded', function() {
         if(errorDiv) errorDiv.classList.add('hidden'); // Clear previous errors
 
         try {
-          // 1. Store data temporarily
-          await browser.storage.local.set({ popoutData: currentAnalysisResult });
-          console.log("Analysis data stored for popout.");
-
-          // 2. Get the full URL for the popout page
-          const popoutUrl = browser.runtime.getURL("popout/popout.html");
+          // 1. Get the full URL for the popout page; it loads the job for this tab
+          //    from the background script and keeps following it
+          const popoutUrl = browser.runtime.getURL(`popout/popout.html?tabId=${activeTabId}`);
           console.log("Resolved popout URL:", popoutUrl);
 
-          // 3. Create the new window, passing URL directly
+          // 2. Create the new window, passing URL directly
           console.log("Attempting to create popout window with direct URL...");
           let createdWindow = await browser.windows.create({
             url: popoutUrl, // Pass the URL directly
@@ -321,8 +273,8 @@ document.addEventListener('DOMContentLoaded', function() {
              throw new Error("Window creation failed unexpectedly.");
           }
         } catch (error) {
-          // Catch errors from storage.set or windows.create
-          console.error(">>> ERROR caught during popout storage/window creation:", error);
+          // Catch errors from windows.create
+          console.error(">>> ERROR caught during popout window creation:", error);
           if(errorDiv) {
             errorDiv.textContent = `Error opening popout: ${error.message}`;
             errorDiv.classList.remove('hidden');
@@ -343,271 +295,298 @@ document.addEventListener('DOMContentLoaded', function() {
   } // End if(popoutBtn)
 
 
-  // --- Core Logic Functions ---
-
   /**
-   * Processes text selected via the context menu.
-   * @param {string} text - The selected text.
+   * Starts or stops watching the analyzed page for changes (background.js
+   * stores the versions and diffs later analyses against them).
    */
-  async function processSelectedText(text) {
-    console.log("Processing selected text...");
-    if(loadingDiv) loadingDiv.classList.remove('hidden');
-    if(resultsDiv) resultsDiv.classList.add('hidden');
-    if(errorDiv) errorDiv.classList.add('hidden');
-    if(actionButtonsDiv) actionButtonsDiv.classList.add('hidden');
-    currentAnalysisResult = null; // Clear previous result
-
-    try {
-      const result = await processWithAI(text);
-      displayResults(result, summaryDiv, concerningClausesDiv, resultsDiv);
-    } catch (error) {
-      console.error("Error processing selected text:", error);
-      if(errorDiv) {
-        errorDiv.textContent = `Error processing selection: ${error.message}`;
-        errorDiv.classList.remove('hidden');
+  if (watchBtn) {
+    watchBtn.addEventListener('click', async function() {
+      if (!renderedJob) return;
+      const action = renderedJob.watched ? "unwatchPolicy" : "watchPolicy";
+      console.log(`${action} clicked.`);
+      watchBtn.disabled = true;
+      try {
+        const response = await browser.runtime.sendMessage({ action, tabId: activeTabId });
+        if (!response?.job) { throw new Error(response?.error || "Could not update the watched policies."); }
+        renderedJob = response.job;
+        updateWatchButton(response.job);
+      } catch (error) {
+        console.error("Watch toggle failed:", error);
+        if(errorDiv) {
+          errorDiv.textContent = error.message;
+          errorDiv.classList.remove('hidden');
+        }
+      } finally {
+        watchBtn.disabled = false;
       }
-      if(resultsDiv) resultsDiv.classList.add('hidden');
-    } finally {
-      if(loadingDiv) loadingDiv.classList.add('hidden');
-      // Clean up selectedText from storage
-      browser.storage.local.remove('selectedText');
-      console.log("Cleaned up selectedText from storage.");
-    }
+    });
   }
 
   /**
-   * Sends text to the Gemini AI API for analysis.
-   * @param {string} text - The text to analyze (e.g., T&C content).
-   * @returns {Promise<object>} - A promise that resolves with the parsed AI response.
+   * Opens the analysis history page in a new tab.
    */
-  async function processWithAI(text) {
-    console.log("Processing with AI...");
-    const storageResult = await browser.storage.local.get('apiKey');
-    const apiKey = storageResult.apiKey;
-    if (!apiKey) { throw new Error("API key not found. Please set it in options."); }
-
-    // The detailed prompt including requests for Summary, Clauses, Severity, Category
-    const prompt = `
-Analyze the following Terms and Conditions text. Provide the output in two distinct sections exactly as labeled below:
-
-**1. SUMMARY:**
-Provide a concise summary of the key points in 5-7 bullet points. Focus on what the service does, what the user agrees to, and key permissions granted.
-
-**2. CONCERNING CLAUSES:**
-Identify and list clauses that could be concerning for a user. For each concerning clause:
-  a. Provide a clear, descriptive title in bold (e.g., "**Unilateral Changes Without Notice**").
-  b. Explain concisely *why* it's concerning, referencing potential impacts on user rights, privacy, or control.
-  c. **Assign a Severity level:** (Low, Medium, High) based on the potential negative impact. Label it clearly (e.g., "Severity: High").
-  d. **Assign a Category:** (Privacy, Data Usage, Legal Rights, Service Changes, User Content) based on the main topic. Label it clearly (e.g., "Category: Legal Rights").
-
-Focus specifically on identifying language related to:
-  *   Unilateral Changes ("reserve the right to", "without notice") -> Category: Service Changes
-  *   Broad Company Discretion ("sole discretion") -> Category: Service Changes / Legal Rights
-  *   Third-Party Data Sharing ("share your information with", "third-party partners") -> Category: Privacy / Data Usage
-  *   Vague Language ("including but not limited to") -> Apply to relevant category
-  *   Waiver of User Rights ("waive your right", "class action waiver") -> Category: Legal Rights
-  *   Binding Arbitration ("binding arbitration") -> Category: Legal Rights
-  *   Data Handling (Anonymized/Aggregated) ("anonymized data") -> Category: Data Usage / Privacy
-  *   Implicit Acceptance ("continued use constitutes acceptance") -> Category: Service Changes
-  *   User Content Licensing (broad licenses to user posts/photos) -> Category: User Content / Legal Rights
-  *   Indemnification ("you agree to indemnify") -> Category: Legal Rights
-
-Ensure the explanation, Severity, and Category are provided for each concerning clause. If no concerning clauses are found, state that explicitly under the "CONCERNING CLAUSES:" heading.
-
---- START OF TERMS AND CONDITIONS TEXT ---
-${text.substring(0, 10000)}
---- END OF TERMS AND CONDITIONS TEXT ---
-`;
-
-    // Select the appropriate API model and endpoint
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${apiKey}`;
-    // const apiUrl = `https://generativelanguage.googleapis.com/v1/models/gemini-pro:generateContent?key=${apiKey}`; // Alternative
-
-    console.log("Calling API:", apiUrl.split('key=')[0] + 'key=...');
-
-    try {
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: { temperature: 0.3, maxOutputTokens: 2048 }
-          // Consider adding safetySettings here if needed
-        })
-      });
-
-      console.log("API response status:", response.status);
+  if (historyBtn) {
+    historyBtn.addEventListener('click', function() {
+      browser.tabs.create({ url: browser.runtime.getURL("history/history.html") });
+      window.close();
+    });
+  }
 
-      // Robust error handling for non-OK HTTP responses
-      if (!response.ok) {
-        let errorMsg = `API request failed with status ${response.status}`;
-        try {
-          const errorText = await response.text();
-          console.error("API error response body:", errorText);
-          if (errorText) errorMsg += `: ${errorText}`;
-        } catch (readError) {
-          console.error("Could not read error response body:", readError);
-          errorMsg += " (Could not read error body)";
+  /**
+   * Opens the file import view in a pop-out window (a file picker would close the popup).
+   */
+  if (importBtn) {
+    importBtn.addEventListener('click', async function() {
+      try {
+        await browser.windows.create({
+          url: browser.runtime.getURL("popout/popout.html?import=1"),
+          type: "popup",
+          width: 700,
+          height: 650
+        });
+        window.close();
+      } catch (error) {
+        console.error("Could not open the import window:", error);
+        if(errorDiv) {
+          errorDiv.textContent = `Error opening the import window: ${error.message}`;
+          errorDiv.classList.remove('hidden');
         }
-        throw new Error(errorMsg);
       }
+    });
+  }
 
-      // Parse successful JSON response
-      const data = await response.json();
-      console.log("API response received (structure check):", data ? 'Data received' : 'No data');
+  /**
+   * Clicking a clause card that was found on the page scrolls the page to it.
+   * Uses delegation because the cards are re-rendered for every result.
+   */
+  if (concerningClausesDiv) {
+    concerningClausesDiv.addEventListener('click', async function(event) {
+      const pageLink = event.target.closest('a.page-ref');
+      if (pageLink) {
+        event.preventDefault();
+        openPdfPage(pageLink.href);
+        return;
+      }
+      const card = event.target.closest('.concerning-item.on-page');
+      if (!card || highlightedTabId === null) return;
+      try {
+        await browser.tabs.sendMessage(highlightedTabId, { action: "scrollToClause", index: Number(card.dataset.index) });
+      } catch (error) {
+        console.warn("Could not scroll page to clause:", error);
+      }
+    });
+  }
 
-      // Validate the expected structure of the successful response
-      if (!data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-        console.error("Unexpected API response structure:", data);
-        throw new Error("Received an unexpected response format from the AI service.");
+  /**
+   * Clicking a section of the table of contents opens the PDF at its page or
+   * scrolls the analyzed page to it.
+   */
+  if (outlineDiv) {
+    outlineDiv.addEventListener('click', async function(event) {
+      const link = event.target.closest('a.outline-link');
+      if (!link) return;
+      event.preventDefault();
+      if (link.dataset.page) {
+        openPdfPage(link.href);
+        return;
+      }
+      const tabId = highlightedTabId ?? activeTabId;
+      if (tabId === null) return;
+      try {
+        const response = await browser.tabs.sendMessage(tabId, { action: "scrollToSection", title: link.dataset.sectionTitle });
+        if (!response?.found) link.title = "This section could not be found on the page";
+      } catch (error) {
+        console.warn("Could not scroll page to section:", error);
       }
-      const aiResponse = data.candidates[0].content.parts[0].text;
-      console.log("Raw AI response:", aiResponse.substring(0, 200) + "..."); // Log truncated response
+    });
+  }
 
-      // Parse the raw AI text into structured data
-      const parsedResponse = parseAIResponse(aiResponse);
-      return parsedResponse;
+  // --- Core Logic Functions ---
 
+  /**
+   * Opens a PDF page reference (`pdfUrl#page=N`): in the active tab when it
+   * shows that PDF (the viewer just jumps to the page), otherwise in a new tab.
+   * @param {string} url
+   */
+  async function openPdfPage(url) {
+    try {
+      const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+      if (tab && tab.url && tab.url.split('#')[0] === url.split('#')[0]) {
+        await browser.tabs.update(tab.id, { url });
+      } else {
+        await browser.tabs.create({ url });
+      }
     } catch (error) {
-      // Catch errors from fetch or JSON parsing
-      console.error('Error inside processWithAI:', error);
-      throw error; // Re-throw to allow calling function to handle UI updates
+      console.error("Could not open the PDF page:", error);
     }
   }
 
   /**
-   * Parses the raw text response from the AI into a structured object.
-   * @param {string} aiResponse - The raw text string from the Gemini API.
-   * @returns {object} An object containing `summary` (string, HTML) and `concerningClauses` (array of objects).
+   * Asks the background script to analyze the active tab.
+   * @param {{ocr?: boolean, password?: string, review?: boolean, extracted?: object}} options - ocr: read
+   *   the text from the page's images instead of its text; password: the open password of an encrypted PDF;
+   *   review: stop after extracting a web page, to show the review step; extracted: the reviewed text to analyze.
    */
-  function parseAIResponse(aiResponse) {
-    console.log("Parsing AI response...");
-    let summary = "<p>Summary could not be parsed.</p>"; // Default value
-    let concerningClauses = [];
-
+  async function requestAnalysis(options) {
     try {
-      // --- Summary Parsing ---
-      // Regex to find the summary section between **SUMMARY:** and **CONCERNING CLAUSES:** (or end of string)
-      const summaryMatch = aiResponse.match(/\*\*1\. SUMMARY:\*\*([\s\S]*?)(?=\*\*2\. CONCERNING CLAUSES:|$)/i);
-      if (summaryMatch && summaryMatch[1]) {
-        const summaryText = summaryMatch[1].trim();
-        // Regex to find lines starting with '*' or '-' (list items)
-        const bulletPoints = summaryText.match(/^[\*\-]\s+(.*)/gm);
-
-        if (bulletPoints && bulletPoints.length > 0) {
-          console.log("Found bullet points:", bulletPoints.length);
-          // Process matched bullet points into clean HTML list items
-          const formattedBullets = bulletPoints
-            .map(bullet => bullet.replace(/^[\*\-]\s+/, '').trim()) // Remove marker
-            .filter(bullet => bullet.length > 0) // Remove empty lines
-            .map(bullet => convertMarkdownToHtml(bullet)); // Convert inner markdown
-
-          if (formattedBullets.length > 0) {
-            summary = '<ul>' + formattedBullets.map(bullet => `<li>${bullet}</li>`).join('') + '</ul>';
-            console.log("Successfully parsed summary bullets.");
-          } else {
-            console.log("Formatted bullet points array was empty after processing.");
-            summary = '<p>' + convertMarkdownToHtml(summaryText) + '</p>'; // Fallback to paragraph
-          }
+      if (activeTabId === null) {
+        const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+        if (!tabs || tabs.length === 0) { throw new Error("Could not find the active tab."); }
+        activeTabId = tabs[0].id;
+      }
+      const response = await browser.runtime.sendMessage({ action: "startAnalysis", tabId: activeTabId, ...options });
+      if (!response?.job) { throw new Error(response?.error || "The analysis could not be started."); }
+      renderedJob = null; // Always render the new job
+      renderJob(response.job);
+    } catch (error) {
+      console.error("Could not start the analysis:", error);
+      if(errorDiv) {
+        errorDiv.textContent = `An error occurred: ${error.message}`;
+        errorDiv.classList.remove('hidden');
+      }
+    }
+  }
+
+  /**
+   * Renders a job snapshot from the background script: a loading message
+   * (with progress for multi-part documents), the results, or the error.
+   * @param {object} job - The job snapshot.
+   */
+  function renderJob(job) {
+    const alreadyShown = renderedJob && renderedJob.id === job.id && renderedJob.status === job.status &&
+                         (job.status === 'done' || job.status === 'error' || job.status === 'review');
+    renderedJob = job;
+    updateWatchButton(job);
+    if(ocrBtn) ocrBtn.classList.toggle('hidden', !(job.status === 'error' && job.ocrAvailable > 0));
+    if(passwordForm) passwordForm.classList.toggle('hidden', !(job.status === 'error' && job.passwordNeeded));
+    if (alreadyShown) return;
+    if(reviewDiv) reviewDiv.classList.toggle('hidden', job.status !== 'review');
+
+    if (job.status === 'extracting' || job.status === 'analyzing') {
+      if(loadingDiv) loadingDiv.classList.remove('hidden');
+      if(resultsDiv) resultsDiv.classList.add('hidden');
+      if(errorDiv) errorDiv.classList.add('hidden');
+      if(actionButtonsDiv) actionButtonsDiv.classList.add('hidden');
+      if(summarizeBtn) summarizeBtn.disabled = true;
+      currentAnalysisResult = null;
+      highlightedTabId = null;
+      if (loadingText) {
+        if (job.progress && job.progress.stage === 'ocr') {
+          loadingText.textContent = `Reading text with OCR (${job.source === 'html' ? 'image' : 'page'} ${job.progress.part} of ${job.progress.total})...`;
+        } else if (job.status === 'extracting') {
+          loadingText.textContent = job.source === 'pdf' ? 'Reading PDF...' : 'Extracting text...';
+        } else if (job.progress && job.progress.total > 1) {
+          loadingText.textContent = `Analyzing part ${job.progress.part} of ${job.progress.total}...`;
         } else {
-          console.log("No bullet points matched in summary section. Using raw text.");
-          summary = '<p>' + convertMarkdownToHtml(summaryText) + '</p>'; // Fallback to paragraph
+          loadingText.textContent = defaultLoadingMessage;
         }
-      } else {
-        console.log("Summary section regex did not match.");
       }
+      return;
+    }
 
-      // --- Concerning Clauses Parsing ---
-      // Regex to find the concerning clauses section after **CONCERNING CLAUSES:**
-      const clausesMatch = aiResponse.match(/\*\*2\. CONCERNING CLAUSES:\*\*([\s\S]*)/i);
-      if (clausesMatch && clausesMatch[1]) {
-        const clausesText = clausesMatch[1].trim();
-        // Split *before* a line that starts (^) with optional bullet/space and then **Title**. Use 'm' flag for multiline ^.
-        const clauseBlocks = clausesText.split(/(?=^[\*\-]?\s*\*\*.*?\*\*)/m);
-        
-        console.log(`Found ${clauseBlocks.length} potential clause blocks after split.`); // Log count
-
-        // Filter out any empty strings resulting from the split (e.g., if text started with a title)
-        const validBlocks = clauseBlocks.filter(block => block.trim().length > 0);
-        console.log(`Found ${validBlocks.length} *valid* clause blocks after filtering empty strings.`); // Log valid count
-
-        for (const block of validBlocks) {
-          const trimmedBlock = block.trim();
-          if (!trimmedBlock) continue; // Skip empty blocks
-
-          // Regex to extract title (handles optional leading list marker)
-          const titleMatch = trimmedBlock.match(/^[\*\-]?\s*\*\*(.*?)\*\*/);
-          const title = titleMatch ? titleMatch[1].trim() : null;
-
-          // Regex to extract severity
-          const severityMatch = trimmedBlock.match(/Severity:\s*(High|Medium|Low)/i);
-          const severity = severityMatch ? severityMatch[1].toLowerCase() : 'medium'; // Default
-
-          // Regex to extract category (handles potential space)
-          const categoryMatch = trimmedBlock.match(/Category:\s*(Privacy|Data\sUsage|Legal\sRights|Service\sChanges|User\sContent)/i);
-          const category = categoryMatch ? categoryMatch[1].replace(/\s+/g, '-').toLowerCase() : 'general'; // Default
-
-          // Extract the explanation text: starts after title, ends before Severity/Category
-          let textContent = trimmedBlock;
-          if (titleMatch) {
-             textContent = textContent.substring(textContent.indexOf(titleMatch[0]) + titleMatch[0].length);
-          }
+    if(loadingDiv) loadingDiv.classList.add('hidden');
+    if(loadingText) loadingText.textContent = defaultLoadingMessage;
+    if(summarizeBtn) summarizeBtn.disabled = false;
 
-          // Find where to cut (before Severity or Category label)
-          // Remove Severity line (case-insensitive, multiline)
-          textContent = textContent.replace(/^\s*Severity:\s*(High|Medium|Low)\s*$/gim, '');
-          // Remove Category line (case-insensitive, multiline)
-          textContent = textContent.replace(/^\s*Category:\s*(Privacy|Data\sUsage|Legal\sRights|Service\sChanges|User\sContent)\s*$/gim, '');
-          // Trim remaining whitespace (especially blank lines left by removal)
-          const cleanedTextContent = textContent.trim();
+    if (job.status === 'review') {
+      showExtractionReview(job.extraction);
+      if(resultsDiv) resultsDiv.classList.add('hidden');
+      if(errorDiv) errorDiv.classList.add('hidden');
+    } else if (job.status === 'done') {
+      displayResults(job.result, summaryDiv, concerningClausesDiv, resultsDiv);
+      displayChangeReport(job.result.changes);
+      highlightedTabId = job.source === 'html' ? job.tabId : null;
+      markCardsOnPage(job.foundOnPage || []);
+    } else if (job.status === 'error') {
+      if(errorDiv) {
+        errorDiv.textContent = job.error || "Couldn't find or process Terms & Conditions on this page.";
+        errorDiv.classList.remove('hidden');
+      }
+      if(job.passwordNeeded && passwordInput) passwordInput.focus();
+      if(resultsDiv) resultsDiv.classList.add('hidden');
+      if(actionButtonsDiv) actionButtonsDiv.classList.add('hidden');
+    }
+  }
 
-          // Convert the CLEANED text content to HTML
-          const text = convertMarkdownToHtml(cleanedTextContent); // Pass the cleaner version
+  /**
+   * Shows the review step: what the extractor found and the other parts of
+   * the page it considered.
+   * @param {{choices: object[]}} extraction - The job's `extraction` (see runJob() in background.js).
+   */
+  function showExtractionReview(extraction) {
+    extractionChoices = extraction?.choices || [];
+    if (!reviewDiv || extractionChoices.length === 0) return;
+    reviewChoice.innerHTML = extractionChoices.map((choice, index) =>
+      `<option value="${index}">${escapeHtml(`${index === 0 ? 'Best match: ' : ''}${choice.label} (${choice.chars.toLocaleString()} characters)`)}</option>`).join('');
+    reviewChoice.disabled = extractionChoices.length === 1;
+    reviewText.classList.add('hidden');
+    if (editExtractionBtn) editExtractionBtn.classList.remove('hidden');
+    showExtractionChoice(0);
+  }
 
-          // Add to results only if both title and text seem valid
-          if (title && text) {
-            concerningClauses.push({ title, text, severity, category });
-          } else {
-             console.warn(`Skipped clause block. Title found: ${!!title}, Text is truthy: ${!!text}`, trimmedBlock.substring(0,60)+"...");
-          }
-        } // End for loop
-        console.log(`Finished processing blocks. Parsed ${concerningClauses.length} concerning clauses.`);
-
-        if (concerningClauses.length > 1) { // Only sort if there's more than one clause
-          console.log("Sorting concerning clauses (High severity first)...");
-          concerningClauses.sort((a, b) => {
-              const severityA = a.severity || 'medium'; // Default to medium if missing
-              const severityB = b.severity || 'medium';
-
-              // Prioritize 'high'
-              if (severityA === 'high' && severityB !== 'high') {
-                  return -1; // a comes first
-              }
-              if (severityA !== 'high' && severityB === 'high') {
-                  return 1; // b comes first
-              }
-              return 0;
-            });
-             console.log("Sorting complete.");
-        }
-      } else {
-        console.log("Concerning clauses section regex did not match or section was empty.");
-        // Double-check if the AI *explicitly* mentioned no clauses in the *entire* response
-        // (This is less critical now, as the main check failed, but doesn't hurt)
-        if (/No concerning clauses/i.test(aiResponse)) {
-            console.log("AI response explicitly stated no concerning clauses.");
-        }
+  /**
+   * Shows one of the review step's choices.
+   * @param {number} index - Into extractionChoices.
+   */
+  function showExtractionChoice(index) {
+    const choice = extractionChoices[index];
+    if (!choice) return;
+    reviewSummary.textContent = `Found: ${describeExtractionChoice(choice)}.` +
+      (choice.confidence < 0.5 ? ' This may not be the terms; check the preview or pick another part of the page.' : '');
+    reviewDiv.classList.toggle('low-confidence', choice.confidence < 0.5);
+    reviewPreview.textContent = choice.preview + (choice.chars > choice.preview.length ? '…' : '');
+    reviewText.value = choice.text;
+    // Offered for single blocks; suggested when the user had to correct the extractor or it was unsure
+    rememberRuleLabel.classList.toggle('hidden', !choice.selector || choice.strategy === 'site-rule');
+    rememberRuleCheckbox.checked = index > 0 || choice.confidence < 0.5;
+  }
+
+  /**
+   * Shows the Watch button for finished page and PDF analyses, reflecting
+   * whether the page is already watched.
+   * @param {object} job - The job snapshot.
+   */
+  function updateWatchButton(job) {
+    if (!watchBtn) return;
+    const canWatch = job.status === 'done' && job.source !== 'selection';
+    watchBtn.classList.toggle('hidden', !canWatch);
+    watchBtn.classList.toggle('watching', Boolean(job.watched));
+    watchBtn.textContent = job.watched ? 'Watching (Stop)' : 'Watch for Changes';
+  }
+
+  /**
+   * Shows what changed since the last version of a watched policy.
+   * @param {object} [changes] - The `changes` report (absent unless the page is watched).
+   */
+  function displayChangeReport(changes) {
+    if (!changeReportDiv) return;
+    if (!changes) {
+      changeReportDiv.classList.add('hidden');
+      changeReportDiv.innerHTML = '';
+      return;
+    }
+    changeReportDiv.innerHTML = renderChangeReportHtml(changes);
+    changeReportDiv.classList.remove('hidden');
+  }
+
+  /**
+   * Marks the cards whose clause was highlighted on the page, so clicking
+   * them scrolls the page to it.
+   * @param {number[]} foundIndices - Clause indices found on the page.
+   */
+  function markCardsOnPage(foundIndices) {
+    for (const index of foundIndices) {
+      const card = concerningClausesDiv.querySelector(`.concerning-item[data-index="${index}"]`);
+      if (card) {
+        card.classList.add('on-page');
+        card.title = 'Click to show this clause on the page';
       }
-    } catch (parseError) {
-        console.error("Error during parsing AI response:", parseError);
     }
-    console.log("Returning parsed data:", { summary: summary.substring(0,50)+"...", concerningClausesCount: concerningClauses.length });
-    return { summary, concerningClauses };
-  } // End parseAIResponse
+  }
 
   /**
    * Updates the popup's DOM to display the analysis results.
-   * @param {object} result - The parsed result object from parseAIResponse.
+   * @param {object} result - The analysis result from the background job.
    * @param {HTMLElement} summaryDiv - The DOM element for the summary.
    * @param {HTMLElement} concerningClausesDiv - The DOM element for concerning clauses.
    * @param {HTMLElement} resultsDiv - The main container for results.
@@ -629,6 +608,9 @@ ${text.substring(0, 10000)}
 
     // Display Summary
     summaryDiv.innerHTML = result.summary || '<p>Summary could not be displayed.</p>';
+    displayCoverage(result.coverage, result.engine);
+    if (outlineDiv) outlineDiv.innerHTML = renderOutlineHtml(result);
+    if (exportPdfBtn) exportPdfBtn.classList.toggle('hidden', !result.pdfUrl);
 
     // Get references to filter/action containers
     const filterControlsElement = document.getElementById('filter-controls');
@@ -637,20 +619,9 @@ ${text.substring(0, 10000)}
     // Display Concerning Clauses
     if (result.concerningClauses && result.concerningClauses.length > 0) {
       let concerningHTML = '';
-      result.concerningClauses.forEach(clause => {
-        const title = clause.title || 'Untitled Clause';
-        const text = clause.text || 'No details provided.';
-        const severity = clause.severity || 'medium';
-        const category = clause.category || 'general';
-        // Generate HTML for each clause item
-        concerningHTML += `
-          <div class="concerning-item" data-category="${category}" data-severity="${severity}">
-            <div class="concerning-title">
-              <span>${title}</span>
-              <span class="severity-badge severity-${severity}">${severity}</span>
-            </div>
-            <div class="concerning-text">${text}</div>
-          </div>`;
+      result.concerningClauses.forEach((clause, index) => {
+        // Generate HTML for each clause item (common/render.js)
+        concerningHTML += renderClauseCardHtml(clause, index, result.pdfUrl);
       });
       concerningClausesDiv.innerHTML = concerningHTML; // Update DOM
       concerningClausesDiv.classList.remove('no-clauses-message', 'success-message');
@@ -682,6 +653,29 @@ ${text.substring(0, 10000)}
     setupFiltering();
   }
 
+  /**
+   * Shows how much of the document the analysis covered.
+   * @param {object} [coverage] - The `coverage` object added by processWithAI.
+   * @param {string} [engine] - 'rules' when the offline rule engine produced the result.
+   */
+  function displayCoverage(coverage, engine) {
+    if (!coverageNoteDiv) return;
+    if (!coverage || !coverage.totalChars) {
+      coverageNoteDiv.classList.add('hidden');
+      return;
+    }
+    const percent = Math.round((coverage.analyzedChars / coverage.totalChars) * 100);
+    const parts = coverage.totalChunks > 1 ? ` in ${coverage.chunksAnalyzed} of ${coverage.totalChunks} parts` : '';
+    const prefix = engine === 'rules' ? 'Offline rules: ' : '';
+    let message = `${prefix}Analyzed ${percent}% of the document (${coverage.analyzedChars.toLocaleString()} of ${coverage.totalChars.toLocaleString()} characters${parts}).`;
+    if (percent < 100) {
+      message += ' Sections that were not analyzed may contain additional concerning clauses.';
+    }
+    coverageNoteDiv.textContent = message;
+    coverageNoteDiv.classList.toggle('partial-coverage', percent < 100);
+    coverageNoteDiv.classList.remove('hidden');
+  }
+
   /**
    * Sets up event listeners for the filter buttons.
    * Should be called *after* concerning clause items are added to the DOM.
@@ -776,34 +770,6 @@ ${text.substring(0, 10000)}
 
   // --- Helper Functions ---
 
-  /**
-   * Converts basic Markdown formatting (bold, italics, code, lists) in a string to HTML.
-   * @param {string} text - The input text possibly containing Markdown.
-   * @returns {string} - The text converted to HTML.
-   */
-  function convertMarkdownToHtml(text) {
-    if (!text) return '';
-    // Process line by line to handle list markers before other markdown
-    const lines = text.split('\n');
-    const processedLines = lines.map(line => {
-        let processedLine = line.trim();
-        // Handle list items specifically first to avoid italic conversion of '*'
-        if (processedLine.startsWith('* ') || processedLine.startsWith('- ')) {
-            processedLine = processedLine.substring(2); // Remove marker
-        }
-        // Standard Markdown conversion
-        processedLine = processedLine.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-                                    .replace(/__(.*?)__/g, '<strong>$1</strong>')
-                                    // Use lookarounds to avoid italics interfering with bold
-                                    .replace(/(?<![\*_])\*([^\*]+)\*(?![\*_])/g, '<em>$1</em>')
-                                    .replace(/(?<![\*_])_([^_]+)_(?![\*_])/g, '<em>$1</em>')
-                                    .replace(/`([^`]+?)`/g, '<code>$1</code>');
-        return processedLine;
-    });
-    // Join lines back with <br>, filtering out potentially empty lines
-    return processedLines.filter(line => line.length > 0).join('<br>');
-  }
-
   /**
    * Converts an HTML string into plain text, preserving paragraphs.
    * @param {string} htmlString - The HTML string to convert.
@@ -873,7 +839,8 @@ ${text.substring(0, 10000)}
         currentAnalysisResult.concerningClauses.forEach(clause => {
             const plainClauseText = getPlainText(clause.text || "");
             clausesText += `--- ${clause.title || 'Untitled'} (Severity: ${clause.severity || 'N/A'}, Category: ${clause.category || 'N/A'}) ---\n`;
-            clausesText += `${plainClauseText}\n\n`;
+            clausesText += `${plainClauseText}\n`;
+            clausesText += `${formatClauseQuoteText(clause)}\n`;
         });
         navigator.clipboard.writeText(clausesText.trim())
           .then(() => showFeedback(copyClausesBtn))
@@ -893,7 +860,8 @@ ${text.substring(0, 10000)}
           currentAnalysisResult.concerningClauses.forEach(clause => {
               const plainClauseText = getPlainText(clause.text || "");
               allText += `--- ${clause.title || 'Untitled'} (Severity: ${clause.severity || 'N/A'}, Category: ${clause.category || 'N/A'}) ---\n`;
-              allText += `${plainClauseText}\n\n`;
+              allText += `${plainClauseText}\n`;
+              allText += `${formatClauseQuoteText(clause)}\n`;
           });
         } else { allText += "No concerning clauses were identified.\n"; }
         navigator.clipboard.writeText(allText.trim())
@@ -917,6 +885,7 @@ ${text.substring(0, 10000)}
               allText += `\n### ${clause.title || 'Untitled'} ###\n`;
               allText += `(Severity: ${clause.severity || 'N/A'}, Category: ${clause.category || 'N/A'})\n\n`;
               allText += `${plainClauseText}\n`;
+              allText += formatClauseQuoteText(clause);
               allText += `---------------------\n`;
           });
         } else { allText += "\nNo concerning clauses were identified.\n"; }
@@ -940,4 +909,57 @@ ${text.substring(0, 10000)}
     });
   } else { console.warn("Save TXT button not found."); }
 
-}); // --- End of DOMContentLoaded ---
\ No newline at end of file
+  if (exportPdfBtn) {
+    exportPdfBtn.addEventListener('click', async function() {
+      console.log("Save Annotated PDF clicked.");
+      if (!currentAnalysisResult?.pdfUrl) { console.warn("No PDF analysis to export."); return; }
+      const label = exportPdfBtn.textContent;
+      exportPdfBtn.textContent = "Preparing...";
+      exportPdfBtn.disabled = true;
+      try {
+        // The background script downloads the PDF and adds the highlights (common/annotate.js)
+        const response = await browser.runtime.sendMessage({ action: "exportAnnotatedPdf", tabId: activeTabId, result: currentAnalysisResult, password: pdfPassword || undefined });
+        if (!response?.data) { throw new Error(response?.error || "The PDF could not be annotated."); }
+        const blob = new Blob([response.data], { type: 'application/pdf' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = annotatedPdfFileName(currentAnalysisResult.pdfUrl);
+        document.body.appendChild(link); // Required for Firefox
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000); // Large files take a moment to save
+        console.log(`Annotated PDF saved (${response.highlighted} clauses highlighted).`);
+        exportPdfBtn.textContent = label;
+        showFeedback(exportPdfBtn, "Saved!");
+      } catch (error) {
+        console.error("Failed to save the annotated PDF:", error);
+        exportPdfBtn.textContent = label;
+        exportPdfBtn.disabled = false;
+        if(errorDiv) {
+          errorDiv.textContent = `Could not create the annotated PDF: ${error.message}`;
+          errorDiv.classList.remove('hidden');
+        }
+      }
+    });
+  } else { console.warn("Save Annotated PDF button not found."); }
+
+  if (sidebarBtn) {
+    sidebarBtn.addEventListener('click', async function() {
+      console.log("Show in Page clicked.");
+      if (!currentAnalysisResult) { console.warn("No analysis data to show in the page."); return; }
+      try {
+        const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+        if (!tabs || tabs.length === 0) { throw new Error("Could not find the active tab."); }
+        await browser.tabs.sendMessage(tabs[0].id, { action: "showSidebar", result: currentAnalysisResult });
+        window.close(); // Get the popup out of the way of the panel
+      } catch (error) {
+        console.error("Failed to open the page sidebar:", error);
+        if(errorDiv) {
+          errorDiv.textContent = "The in-page panel is only available on regular web pages. Use the Pop Out button for PDFs.";
+          errorDiv.classList.remove('hidden');
+        }
+      }
+    });
+  } else { console.warn("Show in Page button not found."); }
+
+}); // --- End of DOMContentLoaded ---